@@ -7,218 +7,586 @@
  * of patent rights can be found in the PATENTS file in the same directory.
  */
 
-// ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
-//   /!\ DO NOT MODIFY THIS FILE /!\
-// ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// The `createExtension()` API, which the `create-divi-extension` command (cli.js)
+// and tools calling it from Node use alike, see the README. The package is
+// installed globally, so keep its options, its result and the `code` of its
+// errors backwards compatible.
 //
-// create-divi-extension is installed globally on people's computers. This means
-// that it is extremely difficult to have them upgrade the version and
-// because there's only one global version installed, it is very prone to
-// breaking changes.
-//
-// The only job of create-divi-extension is to init the repository and then
-// forward all the commands to the local version of create-divi-extension.
-//
-// If you need to add a new command, please add it to the scripts/ folder.
-//
-// The only reason to modify this file is to add more warnings and
-// troubleshooting information for the `create-divi-extension` command.
-//
-// Do not make breaking changes! We absolutely don't want to have to
-// tell people to update their global version of create-divi-extension.
-//
-// Also be careful with new language features.
-// This file must work on Node 6+.
-//
-// ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
-//   /!\ DO NOT MODIFY THIS FILE /!\
-// ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+// Like the rest of the package, it must work on Node 6+ (see "engines" in
+// package.json): no object spread and no async functions.
 
 'use strict';
 
 const validateProjectName = require( 'validate-npm-package-name' );
 const chalk               = require( 'chalk' );
-const commander           = require( 'commander' );
 const fs                  = require( 'fs-extra' );
 const path                = require( 'path' );
 const execSync            = require( 'child_process' ).execSync;
 const spawn               = require( 'cross-spawn' );
 const semver              = require( 'semver' );
-const dns                 = require( 'dns' );
 const tmp                 = require( 'tmp' );
 const unpack              = require( 'tar-pack' ).unpack;
 const hyperquest          = require( 'hyperquest' );
+const readline            = require( 'readline' );
+const url                 = require( 'url' );
+const getPrefixExpansions = require( './scripts/utils/tokens' ).getPrefixExpansions;
+const applyTemplate       = require( './scripts/utils/template' ).applyTemplate;
+const planTemplate        = require( './scripts/utils/template' ).planTemplate;
+const readManifest        = require( './scripts/utils/template' ).readManifest;
+const updatePackage       = require( './eject' ).updatePackage;
+const buildDependencies   = require( './eject' ).buildDependencies;
+const toOptionKey         = require( './scripts/utils/template' ).toOptionKey;
+const rollback            = require( './scripts/utils/rollback' ).rollback;
+const snapshot            = require( './scripts/utils/rollback' ).snapshot;
+const errors              = require( './scripts/utils/errors' );
+
+const maxPrefixLength  = require( './scripts/utils/tokens' ).maxPrefixLength;
+const minPrefixLength  = require( './scripts/utils/tokens' ).minPrefixLength;
+const reservedPrefixes = require( './scripts/utils/tokens' ).reservedPrefixes;
+
+const checkIntegrity        = require( './scripts/utils/integrity' ).checkIntegrity;
+const parseIntegrity        = require( './scripts/utils/integrity' ).parseIntegrity;
+const readLockfileIntegrity = require( './scripts/utils/integrity' ).readLockfileIntegrity;
+
+const templateDependenciesFile = require( './scripts/utils/template' ).dependenciesFile;
+const templateManifestFile     = require( './scripts/utils/template' ).manifestFile;
+
+const checkIfOnline        = require( './scripts/utils/package-manager' ).checkIfOnline;
+const choosePackageManager = require( './scripts/utils/package-manager' ).choosePackageManager;
+const findMissingPackages  = require( './scripts/utils/package-manager' ).findMissingPackages;
+const getAddCommand        = require( './scripts/utils/package-manager' ).getAddCommand;
+const getInstallCommand    = require( './scripts/utils/package-manager' ).getInstallCommand;
+const packageManagers      = require( './scripts/utils/package-manager' ).packageManagers;
+const removeOfflineConfig  = require( './scripts/utils/package-manager' ).removeOfflineConfig;
+const writeOfflineConfig   = require( './scripts/utils/package-manager' ).writeOfflineConfig;
+
+const ConflictError   = errors.ConflictError;
+const InstallError    = errors.InstallError;
+const TemplateError   = errors.TemplateError;
+const ValidationError = errors.ValidationError;
+
+const defaultTemplate = path.join( __dirname, 'template' );
+
+// The validators a token of a template manifest can use.
+const validators = {
+	uri:           isValidUri,
+	version:       isValidVersion,
+	'text-domain': isValidTextDomain,
+};
 
-const packageJson = require( './package.json' );
-const template    = path.join( __dirname, 'template' );
-
-let projectName;
-
-const program = new commander.Command( packageJson.name )
-	.version( packageJson.version )
-	.arguments( '<project-directory>' )
-	.usage( `${chalk.green( '<project-directory>' )} [options]` )
-	.action( name => {
-		projectName = name;
-	} )
-	.option( '--verbose', 'print additional logs' )
-	.option(
-		'--scripts-version <alternative-package>',
-		'use a non-standard version of react-scripts'
-	)
-	.allowUnknownOption()
-	.on( '--help', () => {
-		console.log( `    Only ${chalk.green( '<project-directory>' )} is required.` );
-		console.log();
-		console.log(
-			`    A custom ${chalk.cyan( '--scripts-version' )} can be one of:`
-		);
-		console.log( `      - a specific npm version: ${chalk.green( '0.8.2' )}` );
-		console.log(
-			`      - a custom fork published on npm: ${chalk.green( 'my-react-scripts' )}`
-		);
-		console.log(
-			`      - a .tgz archive: ${chalk.green( 'https://mysite.com/my-react-scripts-0.8.2.tgz' )}`
-		);
-		console.log(
-			`    It is not needed unless you specifically want to use a fork.`
-		);
-		console.log();
-		console.log(
-			`    If you have any problems, do not hesitate to file an issue:`
-		);
-		console.log(
-			`      ${chalk.cyan( 'https://github.com/lots0logs/create-divi-extension/issues/new' )}`
+/**
+ * Creates a new extension. It's what the `create-divi-extension` command runs.
+ *
+ * The values of the template's tokens are passed by the camelCased name of
+ * their option, eg. `authorUri` for `--author-uri`.
+ *
+ * @param {Object}  options                    The options.
+ * @param {string}  options.directory          The project directory.
+ * @param {string}  [options.template]         A custom template: a folder, a .tgz archive, a git URL or an npm package.
+ * @param {string}  [options.scriptsVersion]   A non-standard version of react-scripts.
+ * @param {string}  [options.integrity]        The Subresource Integrity of a `scriptsVersion` .tgz archive.
+ * @param {string}  [options.lockfile]         A package-lock.json, npm-shrinkwrap.json or yarn.lock to read
+ *                                             the integrity of a `scriptsVersion` .tgz archive from.
+ * @param {boolean} [options.guessPackageName] Whether to guess the name of a `scriptsVersion` archive from
+ *                                             its file name when it can't be read from the archive.
+ * @param {string}  [options.prefix]           The prefix, derived from the project name by default.
+ * @param {string}  [options.packageManager]   `npm`, `yarn` or `pnpm`. Yarn is used when it is installed by default.
+ * @param {boolean} [options.offline]          Whether to install from the cache without going online at all.
+ * @param {string}  [options.offlineCache]     Another cache directory to install from, it implies `offline`.
+ * @param {boolean} [options.interactive]      Whether to prompt for the missing values when a terminal is attached.
+ * @param {boolean} [options.verbose]          Whether to print additional logs.
+ * @param {boolean} [options.dryRun]           Whether to only work out what would be done, see `planExtension()`.
+ * @param {Function} [options.logger]          Prints the progress, it's called like `console.log()`. Nothing is
+ *                                             printed by default.
+ * @returns {Promise<{root: string, files: Array<string>, metadata: Object}>} The project directory, the
+ *          paths of the files created from the template and the resolved metadata. It is rejected with
+ *          the errors of `scripts/utils/errors.js`.
+ */
+function createExtension( options ) {
+	if ( !options || !options.directory ) {
+		return Promise.reject( new ValidationError( 'Please specify the project directory.' ) );
+	}
+
+	const root    = path.resolve( options.directory );
+	const appName = path.basename( root );
+	const log     = options.logger || ( () => {} );
+	const offline = options.offline || options.offlineCache
+		? { cache: options.offlineCache ? path.resolve( options.offlineCache ) : null }
+		: null;
+
+	if ( options.packageManager && !packageManagers.hasOwnProperty( options.packageManager ) ) {
+		return Promise.reject( new ValidationError(
+			`The package manager must be one of ${Object.keys( packageManagers ).join( ', ' )}, not ${chalk.red( options.packageManager )}.`,
+			[`Unknown package manager: ${options.packageManager}`]
+		) );
+	}
+
+	if ( offline && options.template && !isLocalTemplate( options.template ) && !isLocalArchive( options.template ) ) {
+		return Promise.reject( new TemplateError(
+			`The template ${chalk.green( options.template )} has to be fetched, which can't be done offline.`
+		) );
+	}
+
+	if ( offline && options.scriptsVersion && isRemotePackage( options.scriptsVersion ) ) {
+		return Promise.reject( new ValidationError(
+			`The scripts version ${chalk.green( options.scriptsVersion )} has to be fetched, which can't be done offline.`,
+			[`Remote scripts version: ${options.scriptsVersion}`]
+		) );
+	}
+
+	if ( ( options.integrity || options.lockfile ) && ( !options.scriptsVersion || options.scriptsVersion.indexOf( '.tgz' ) === -1 ) ) {
+		return Promise.reject( new ValidationError(
+			`The ${chalk.cyan( options.integrity ? '--integrity' : '--lockfile' )} can only be checked for a ${chalk.cyan( '--scripts-version' )} .tgz archive.`,
+			['Integrity without a .tgz archive']
+		) );
+	}
+
+	if ( options.integrity && options.lockfile ) {
+		return Promise.reject( new ValidationError(
+			`Please check the archive against either an ${chalk.cyan( '--integrity' )} or a ${chalk.cyan( '--lockfile' )}, not both.`,
+			['Integrity and lockfile']
+		) );
+	}
+
+	if ( options.dryRun && options.template && !isLocalTemplate( options.template ) ) {
+		return Promise.reject( new TemplateError(
+			`A dry run can only use a template from a local folder, ${chalk.green( options.template )} has to be fetched.`
+		) );
+	}
+
+	const archive = {
+		integrity: options.integrity,
+		guessName: !!options.guessPackageName,
+	};
+
+	return Promise.resolve()
+		.then( () => checkAppName( appName ) )
+		.then( () => {
+			if ( options.lockfile ) {
+				archive.integrity = readLockfileIntegrity( options.lockfile, options.scriptsVersion );
+			}
+
+			return archive.integrity && parseIntegrity( archive.integrity );
+		} )
+		.then( () => getTemplate( options.template, log ) )
+		.then( template => getExtensionMetadata( appName, template.manifest, options, log )
+			.then( metadata => {
+				printPrefixExpansions( metadata.prefix, log );
+
+				if ( options.dryRun ) {
+					const plan = planExtension( root, options.directory, appName, options.verbose, options.scriptsVersion, template, metadata, options.packageManager, offline );
+
+					template.cleanup();
+					return plan;
+				}
+
+				return createAppIn( root, options.directory, appName, options.verbose, options.scriptsVersion, template, metadata, options.packageManager, offline, archive, log );
+			} )
+			.catch( err => {
+				template.cleanup();
+				throw err;
+			} ) );
+}
+
+function createAppIn( root, name, appName, verbose, version, template, metadata, packageManagerName, offline, archive, log ) {
+	const packageManager = choosePackageManager( packageManagerName );
+
+	// Fail before anything is written when the cache won't do.
+	if ( offline ) {
+		checkOfflinePackages( packageManager, version, template, offline.cache, log );
+	}
+
+	// Everything that is written from here on is undone when creating the extension fails.
+	const before = snapshot( root );
+
+	try {
+		fs.ensureDirSync( root );
+		checkDirectory( root, name );
+
+		log( `Creating a new Divi extension in ${chalk.green( root )}.` );
+		log();
+
+		fs.writeFileSync(
+			path.join( root, 'package.json' ),
+			JSON.stringify( getInitialPackage( appName ), null, 2 )
 		);
-		console.log();
-	} )
-	.parse( process.argv );
-
-if ( typeof projectName === 'undefined' ) {
-	console.error( 'Please specify the project directory:' );
-	console.log(
-		`  ${chalk.cyan( program.name() )} ${chalk.green( '<project-directory>' )}`
-	);
-	console.log();
-	console.log( 'For example:' );
-	console.log( `  ${chalk.cyan( program.name() )} ${chalk.green( 'my-react-app' )}` );
-	console.log();
-	console.log(
-		`Run ${chalk.cyan( `${program.name()} --help` )} to see all options.`
-	);
-	process.exit( 1 );
+		if ( offline ) {
+			writeOfflineConfig( root, packageManager, offline.cache );
+		}
+
+		if ( !semver.satisfies( process.version, '>=6.0.0' ) ) {
+			log(
+				chalk.yellow(
+					`You are using Node ${process.version} so the project will be boostrapped with an old unsupported version of tools.\n\n` +
+					`Please update to Node 6 or higher for a better, fully supported experience.\n`
+				)
+			);
+			// Fall back to latest supported react-scripts on Node 4
+			version = 'react-scripts@0.9.x';
+		}
+
+		if ( packageManager.name === 'npm' ) {
+			const npmInfo = checkNpmVersion();
+			if ( !npmInfo.hasMinNpm ) {
+				if ( npmInfo.npmVersion ) {
+					log(
+						chalk.yellow(
+							`You are using npm ${npmInfo.npmVersion} so the project will be boostrapped with an old unsupported version of tools.\n\n` +
+							`Please update to npm 3 or higher for a better, fully supported experience.\n`
+						)
+					);
+				}
+				// Fall back to latest supported react-scripts for npm 3
+				version = 'react-scripts@0.9.x';
+			}
+		}
+
+	} catch ( err ) {
+		undoCreate( before, log );
+		throw err;
+	}
+
+	return run( root, version, verbose, template, packageManager, metadata, before, offline, archive, log );
 }
 
-function printValidationResults( results ) {
-	if ( typeof results !== 'undefined' ) {
-		results.forEach( error => {
-			console.error( chalk.red( `  *  ${error}` ) );
-		} );
+// The packages the installs need, by name => version range.
+function getRequiredPackages( version, template ) {
+	const packageToInstall = getInstallPackage( version );
+	const packages         = Object.assign(
+		{ react: '*', 'react-dom': '*' },
+		template.dependencies,
+		buildDependencies,
+		template.devDependencies
+	);
+
+	// A local archive is installed as it is.
+	if ( !isLocalArchive( packageToInstall ) ) {
+		const packageName = guessPackageName( packageToInstall );
+
+		packages[packageName] = packageToInstall.slice( packageName.length + 1 ) || '*';
 	}
+
+	return packages;
 }
 
-createApp( projectName, program.verbose, program.scriptsVersion );
+function checkOfflinePackages( packageManager, version, template, cache, log ) {
+	log( `Checking the ${packageManager.name} cache for the packages to install (only the direct dependencies, not theirs)...` );
+	log();
 
-function createApp( name, verbose, version ) {
-	const root    = path.resolve( name );
-	const appName = path.basename( root );
+	const missing = findMissingPackages( packageManager, getRequiredPackages( version, template ), cache );
 
-	checkAppName( appName );
-	fs.ensureDirSync( name );
-	if ( !isSafeToCreateProjectIn( root ) ) {
-		console.log(
-			`The directory ${chalk.green( name )} contains files that could conflict.`
+	if ( missing.length ) {
+		throw new InstallError(
+			`These packages are not in the ${packageManager.name} cache, so they can't be installed offline:\n` +
+			missing.map( dependency => `  *  ${dependency}` ).join( '\n' ) +
+			'\n\nAdd them to the cache on a machine that is online, with what they depend on, or use another cache with --offline-cache.',
+			null,
+			missing
 		);
-		console.log( 'Try using a new directory name.' );
-		process.exit( 1 );
 	}
+}
 
-	console.log( `Creating a new Divi extension in ${chalk.green( root )}.` );
-	console.log();
-
-	const packageJson = {
+function getInitialPackage( appName ) {
+	return {
 		name:    appName,
 		version: '0.1.0',
 		private: true,
 	};
-	fs.writeFileSync(
-		path.join( root, 'package.json' ),
-		JSON.stringify( packageJson, null, 2 )
-	);
-	const originalDirectory = process.cwd();
-	process.chdir( root );
-
-	if ( !semver.satisfies( process.version, '>=6.0.0' ) ) {
-		console.log(
-			chalk.yellow(
-				`You are using Node ${process.version} so the project will be boostrapped with an old unsupported version of tools.\n\n` +
-				`Please update to Node 6 or higher for a better, fully supported experience.\n`
-			)
+}
+
+function checkDirectory( root, name ) {
+	const conflicts = findConflictingFiles( root );
+
+	if ( conflicts.length ) {
+		throw new ConflictError(
+			`The directory ${chalk.green( name )} contains files that could conflict:\n` +
+			conflicts.map( file => `  *  ${file}` ).join( '\n' ) +
+			'\n\nTry using a new directory name.',
+			conflicts
 		);
-		// Fall back to latest supported react-scripts on Node 4
-		version = 'react-scripts@0.9.x';
 	}
+}
 
-	const useYarn = shouldUseYarn();
-	if ( !useYarn ) {
-		const npmInfo = checkNpmVersion();
-		if ( !npmInfo.hasMinNpm ) {
-			if ( npmInfo.npmVersion ) {
-				console.log(
-					chalk.yellow(
-						`You are using npm ${npmInfo.npmVersion} so the project will be boostrapped with an old unsupported version of tools.\n\n` +
-						`Please update to npm 3 or higher for a better, fully supported experience.\n`
-					)
-				);
-			}
-			// Fall back to latest supported react-scripts for npm 3
-			version = 'react-scripts@0.9.x';
-		}
+// Whether a command is installed, without running it.
+function isOnPath( command ) {
+	const extensions = process.platform === 'win32'
+		? ( process.env.PATHEXT || '.EXE;.CMD' ).split( ';' )
+		: [''];
+
+	return ( process.env.PATH || '' )
+		.split( path.delimiter )
+		.some( dir => extensions.some( extension => fs.existsSync( path.join( dir, command + extension ) ) ) );
+}
+
+/**
+ * Works out what `createAppIn()` would do, without writing any files, running
+ * npm or Yarn, or going online. The versions of the packages that are installed
+ * without one, like react, are only known once they are, so they are `latest`.
+ *
+ * @param {string}  root     The project directory.
+ * @param {string}  name     The project directory, as it was given.
+ * @param {string}  appName  The project name.
+ * @param {boolean} verbose  Whether npm or Yarn would print additional logs.
+ * @param {string}  version  The `--scripts-version`.
+ * @param {Object}  template The template, see `getTemplate()`.
+ * @param {Object}  metadata The extension's metadata, see `getExtensionMetadata()`.
+ * @param {string}  [packageManagerName] The package manager that was asked for.
+ * @param {Object}  [offline]  Whether to install offline, and from which `cache`.
+ * @returns {Object} The project directory, the paths of the files, the resolved metadata, the final
+ *                   package.json, the `changes` to the files and the install `commands`.
+ */
+function planExtension( root, name, appName, verbose, version, template, metadata, packageManagerName, offline ) {
+	if ( fs.existsSync( root ) ) {
+		checkDirectory( root, name );
 	}
-	run( root, appName, version, verbose, originalDirectory, template, useYarn );
+
+	const packageManager   = packageManagerName
+		? packageManagers[packageManagerName]
+		: packageManagers[isOnPath( 'yarnpkg' ) ? 'yarn' : 'npm'];
+	const packageToInstall = getInstallPackage( version );
+	const packageName      = guessPackageName( packageToInstall );
+	const initialPackage   = getInitialPackage( appName );
+	const appPackage       = getInitialPackage( appName );
+
+	// What the first install saves, see `run()`.
+	appPackage.dependencies = {
+		react:         'latest',
+		'react-dom':   'latest',
+		[packageName]: semver.valid( version ) || 'latest',
+	};
+	fixPackageDependencies( appPackage, packageName, () => {} );
+
+	// What `initTemplate()` adds.
+	appPackage.scripts = {
+		start: 'react-scripts start',
+		build: 'react-scripts build',
+		test:  'react-scripts test --env=jsdom',
+		eject: 'react-scripts eject',
+	};
+	Object.keys( template.dependencies ).forEach( dependency => {
+		appPackage.dependencies[dependency] = template.dependencies[dependency];
+	} );
+
+	const result = planTemplate( template.path, template.manifest, getTemplateTokens( metadata ) );
+
+	checkLeftovers( result.leftovers );
+	setExtensionSettings( appPackage, metadata );
+	updatePackage( appPackage, packageName, template.devDependencies, () => {} );
+
+	const changes = result.files
+		.filter( file => file.processed && file.content !== file.original.toString( 'utf8' ) )
+		.map( file => ( {
+			file:   file.target,
+			before: file.original.toString( 'utf8' ),
+			after:  file.content,
+		} ) )
+		.concat( {
+			file:   'package.json',
+			before: JSON.stringify( initialPackage, null, 2 ),
+			after:  JSON.stringify( appPackage, null, 2 ),
+		} );
+
+	const flags    = {
+		offline: !!offline,
+		cache:   offline && offline.cache,
+	};
+	const commands = [
+		getAddCommand( packageManager, ['react', 'react-dom', packageToInstall], Object.assign( { exact: true, verbose }, flags ) ),
+		// `initTemplate()` installs react and react-dom again, with the template's dependencies.
+		getAddCommand( packageManager, ['react', 'react-dom'].concat( getTemplateDependencies( template ) ), Object.assign( { verbose }, flags ) ),
+		// eject.js installs the build tools.
+		getInstallCommand( packageManager, flags ),
+	];
+
+	return {
+		dryRun:      true,
+		root,
+		// `initTemplate()` renames `gitignore`.
+		files:       result.files
+			.map( file => path.join( root, file.target === 'gitignore' ? '.gitignore' : file.target ) )
+			.concat( path.join( root, 'package.json' ) ),
+		metadata,
+		packageJson: appPackage,
+		changes,
+		commands:    commands.map( command => `${command.command} ${command.args.join( ' ' )}`.trim() ),
+	};
 }
 
-function shouldUseYarn() {
+function isValidUri( value ) {
+	return /^https?:\/\/\S+$/.test( value ) ? null : 'must be an http(s) URL';
+}
+
+function isValidVersion( value ) {
+	return /^\d+(\.\d+){1,2}$/.test( value ) ? null : 'must be a version like 6.8';
+}
+
+function isValidTextDomain( value ) {
+	return /^[a-z0-9]+(-[a-z0-9]+)*$/.test( value )
+		? null
+		: 'may only contain lowercase letters, numbers and dashes';
+}
+
+// The tokens of the template manifest, in the order they are declared.
+function getTokenFields( manifest ) {
+	return Object.keys( manifest.tokens ).map( name => Object.assign( {
+		name,
+		label: name,
+	}, manifest.tokens[name] ) );
+}
+
+// A value the derived tokens and the defaults can refer to: the project name,
+// the prefix or another token. Anything that can't be a token is the value itself, eg. `6.8`.
+function getReferencedValue( metadata, reference ) {
+	if ( reference === 'name' ) {
+		return metadata.name;
+	}
+	if ( reference === 'prefix' ) {
+		return metadata.prefix;
+	}
+	if ( !/^[A-Z][A-Z0-9_]*$/.test( reference ) ) {
+		return reference;
+	}
+	return metadata.values[reference];
+}
+
+function getExtensionMetadata( appName, manifest, options, log ) {
+	let prefix;
+
 	try {
-		execSync( 'yarnpkg --version', { stdio: 'ignore' } );
-		return true;
-	} catch ( e ) {
-		return false;
+		prefix = checkPrefix(
+			options.prefix || derivePrefix( appName ),
+			!options.prefix
+		);
+	} catch ( err ) {
+		return Promise.reject( err );
 	}
+
+	const metadata = {
+		name:   appName,
+		prefix,
+		values: {},
+	};
+	const fields   = getTokenFields( manifest );
+
+	fields
+		.filter( field => field.option && typeof options[toOptionKey( field.option )] === 'string' )
+		.forEach( field => {
+			metadata.values[field.name] = options[toOptionKey( field.option )];
+		} );
+
+	const missing = fields.filter( field => field.source === 'prompt' && !metadata.values[field.name] );
+	const prompts = options.interactive && process.stdin.isTTY && process.stdout.isTTY
+		? promptForMetadata( metadata, missing, log )
+		: Promise.resolve( metadata );
+
+	return prompts.then( metadata => validateMetadata( metadata, fields ) );
 }
 
-function install( useYarn, dependencies, verbose, isOnline ) {
-	return new Promise( ( resolve, reject ) => {
-		let command;
-		let args;
-		if ( useYarn ) {
-			command = 'yarnpkg';
-			args    = ['add', '--exact'];
-			if ( !isOnline ) {
-				args.push( '--offline' );
+function promptForMetadata( metadata, fields, log ) {
+	if ( !fields.length ) {
+		return Promise.resolve( metadata );
+	}
+
+	const rl = readline.createInterface( {
+		input:  process.stdin,
+		output: process.stdout,
+	} );
+
+	log( 'Please provide the details for the plugin:' );
+
+	const ask = field => new Promise( resolve => {
+		const defaultValue = field.default && getReferencedValue( metadata, field.default );
+		const hint         = defaultValue
+			? chalk.dim( ` (${defaultValue})` )
+			: field.required ? '' : chalk.dim( ' (optional)' );
+
+		rl.question( `  ${field.label}${hint}: `, answer => {
+			answer = answer.trim();
+
+			if ( answer ) {
+				metadata.values[field.name] = answer;
 			}
-			[].push.apply( args, dependencies );
+			resolve();
+		} );
+	} );
 
-			if ( !isOnline ) {
-				console.log( chalk.yellow( 'You appear to be offline.' ) );
-				console.log( chalk.yellow( 'Falling back to the local Yarn cache.' ) );
-				console.log();
+	return fields
+		.reduce( ( promise, field ) => promise.then( () => ask( field ) ), Promise.resolve() )
+		.then( () => {
+			rl.close();
+			log();
+			return metadata;
+		} );
+}
+
+function validateMetadata( metadata, fields ) {
+	const errors = [];
+
+	fields.forEach( field => {
+		if ( field.source === 'derived' ) {
+			metadata.values[field.name] = getReferencedValue( metadata, field.from );
+		} else if ( !metadata.values[field.name] && field.default ) {
+			metadata.values[field.name] = getReferencedValue( metadata, field.default );
+		}
+
+		const value = metadata.values[field.name];
+
+		if ( !value ) {
+			if ( field.required ) {
+				errors.push( field.option
+					? `${field.label} is required, use ${field.option} to provide it.`
+					: `${field.label} is required.` );
 			}
-		} else {
-			command = 'npm';
-			args    = ['install', '--save', '--save-exact'].concat( dependencies );
+			metadata.values[field.name] = '';
+			return;
+		}
+
+		if ( field.validate && !validators.hasOwnProperty( field.validate ) ) {
+			errors.push( `${field.label} uses the unknown validator "${field.validate}".` );
+			return;
+		}
+
+		const error = field.validate && validators[field.validate]( value );
+
+		if ( error ) {
+			errors.push( `${field.label} ${error}: ${value}` );
 		}
+	} );
+
+	if ( errors.length ) {
+		throw new ValidationError(
+			`Could not create the plugin:\n${errors.map( error => `  *  ${error}` ).join( '\n' )}`,
+			errors
+		);
+	}
 
-		if ( verbose ) {
-			args.push( '--verbose' );
+	return metadata;
+}
+
+function install( root, packageManager, dependencies, verbose, isOnline, offline, log ) {
+	return new Promise( ( resolve, reject ) => {
+		const installCommand = getAddCommand( packageManager, dependencies, {
+			exact:   true,
+			offline: !isOnline,
+			cache:   offline && offline.cache,
+			verbose,
+		} );
+		const command        = installCommand.command;
+		const args           = installCommand.args;
+
+		if ( !isOnline && !offline ) {
+			log( chalk.yellow( 'You appear to be offline.' ) );
+			log( chalk.yellow( `Falling back to the local ${packageManager.name} cache.` ) );
+			log();
 		}
 
-		const child = spawn( command, args, { stdio: 'inherit' } );
+		const child = spawn( command, args, { cwd: root, stdio: 'inherit' } );
 		child.on( 'close', code => {
 			if ( code !== 0 ) {
-				reject( {
-					command: `${command} ${args.join( ' ' )}`,
-				} );
+				reject( new InstallError(
+					`${command} ${args.join( ' ' )} has failed.`,
+					`${command} ${args.join( ' ' )}`
+				) );
 				return;
 			}
 			resolve();
@@ -226,111 +594,184 @@ function install( useYarn, dependencies, verbose, isOnline ) {
 	} );
 }
 
-function run( root, appName, version, verbose, originalDirectory, template, useYarn ) {
+function run( root, version, verbose, template, packageManager, metadata, before, offline, archive, log ) {
 	const packageToInstall = getInstallPackage( version );
-	const allDependencies  = ['react', 'react-dom', packageToInstall];
-
-	console.log( 'Installing packages. This might take a couple minutes.' );
-	getPackageName( packageToInstall )
-		.then( packageName => checkIfOnline( useYarn ).then( isOnline => ({
-			isOnline:    isOnline,
-			packageName: packageName,
-		}) ) )
+	// The downloaded archives, which are removed once they are installed.
+	const downloads        = [];
+	const removeDownloads  = () => downloads.splice( 0 ).forEach( cleanup => cleanup() );
+
+	log( 'Installing packages. This might take a couple minutes.' );
+	return fetchArchive( packageToInstall, archive.integrity )
+		.then( fetched => {
+			downloads.push( fetched.cleanup );
+			return getPackageName( fetched.installPackage, archive.guessName, log ).then( packageName => ( {
+				installPackage: fetched.installPackage,
+				packageName,
+			} ) );
+		} )
+		.then( info => ( offline ? Promise.resolve( false ) : checkIfOnline( packageManager ) ).then( isOnline => ( {
+			isOnline,
+			packageName: info.packageName,
+			// What was checked is what is installed.
+			allDependencies: ['react', 'react-dom', info.installPackage],
+		} ) ) )
 		.then( info => {
 			const isOnline    = info.isOnline;
 			const packageName = info.packageName;
-			console.log(
+			log(
 				`Installing ${chalk.cyan( 'react' )}, ${chalk.cyan( 'react-dom' )}, and ${chalk.cyan( packageName )}...`
 			);
-			console.log();
+			log();
 
-			return install( useYarn, allDependencies, verbose, isOnline ).then(
-				() => packageName
-			);
+			return install( root, packageManager, info.allDependencies, verbose, isOnline, offline, log ).then( () => {
+				removeDownloads();
+				return info;
+			} );
 		} )
-		.then( packageName => {
-			checkNodeVersion( packageName );
+		.then( info => {
+			const packageName = info.packageName;
+
+			checkNodeVersion( root, packageName );
 
 			// Since react-scripts has been installed with --save
 			// we need to move it into devDependencies and rewrite package.json
 			// also ensure react dependencies have caret version range. We also need
 			// to move react and react-dom to devDependencies because we don't want them
 			// included in production bundles.
-			fixDependencies( packageName );
-
-			const scriptsPath = path.resolve(
-				process.cwd(),
-				'node_modules',
-				packageName,
-				'scripts',
-				'init.js'
-			);
+			fixDependencies( root, packageName, log );
 
-			const init = require( scriptsPath );
-			init( root, appName, verbose, originalDirectory, template );
+			initTemplate( root, template, packageManager, {
+				offline: !info.isOnline,
+				cache:   offline && offline.cache,
+				verbose,
+			}, log );
 
-			finalize_extension_files( root, appName );
+			const files = finalize_extension_files( root, template, metadata );
+			template.cleanup();
 
 			const ejectPath = path.resolve( __dirname, 'eject.js' );
 			const eject     = require( ejectPath );
-			eject( root );
+			eject( root, template.devDependencies, {
+				offline: !info.isOnline,
+				cache:   offline && offline.cache,
+				verbose,
+			}, log );
+
+			// The project shouldn't stay offline.
+			if ( offline ) {
+				removeOfflineConfig( root, packageManager, offline.cache );
+			}
 
 			if ( version === 'react-scripts@0.9.x' ) {
-				console.log(
+				log(
 					chalk.yellow(
 						`\nNote: the project was boostrapped with an old unsupported version of tools.\n` +
 						`Please update to Node >=6 and npm >=4 to get supported tools in new projects.\n`
 					)
 				);
 			}
+
+			return {
+				root,
+				files,
+				metadata,
+			};
 		} )
 		.catch( reason => {
-			console.log();
-			console.log( 'Aborting installation.' );
-			if ( reason.command ) {
-				console.log( `  ${chalk.cyan( reason.command )} has failed.` );
-			} else {
-				console.log( chalk.red( 'Unexpected error. Please report it as a bug:' ) );
-				console.log( reason );
-			}
-			console.log();
-
-			// On 'exit' we will delete these files from target directory.
-			const knownGeneratedFiles = [
-				'package.json',
-				'npm-debug.log',
-				'yarn-error.log',
-				'yarn-debug.log',
-				'node_modules',
-			];
-			const currentFiles        = fs.readdirSync( path.join( root ) );
-			currentFiles.forEach( file => {
-				knownGeneratedFiles.forEach( fileToMatch => {
-					// This will catch `(npm-debug|yarn-error|yarn-debug).log*` files
-					// and the rest of knownGeneratedFiles.
-					if (
-						(fileToMatch.match( /.log/g ) && file.indexOf( fileToMatch ) === 0) ||
-						file === fileToMatch
-					) {
-						console.log( `Deleting generated file... ${chalk.cyan( file )}` );
-						fs.removeSync( path.join( root, file ) );
-					}
-				} );
-			} );
-			const remainingFiles = fs.readdirSync( path.join( root ) );
-			if ( !remainingFiles.length ) {
-				// Delete target folder if empty
-				console.log(
-					`Deleting ${chalk.cyan( `${appName} /` )} from ${chalk.cyan( path.resolve( root, '..' ) )}`
-				);
-				process.chdir( path.resolve( root, '..' ) );
-				fs.removeSync( path.join( root ) );
-			}
-			console.log( 'Done.' );
-			process.exit( 1 );
+			template.cleanup();
+			removeDownloads();
+
+			undoCreate( before, log );
+
+			throw reason;
 		} );
 }
 
+// Removes everything that creating the extension wrote, and only that, see `snapshot()`.
+function undoCreate( before, log ) {
+	log();
+	log( 'Aborting installation.' );
+	log();
+
+	if ( before.created ) {
+		log(
+			`Deleting ${chalk.cyan( `${path.basename( before.created )}/` )} from ${chalk.cyan( path.dirname( before.created ) )}`
+		);
+	}
+
+	const undone = rollback( before );
+
+	if ( !before.created ) {
+		undone.removed.forEach( file => log( `Deleting generated file... ${chalk.cyan( path.basename( file ) )}` ) );
+		undone.restored.forEach( file => log( `Restoring ${chalk.cyan( path.basename( file ) )}` ) );
+	}
+	log( 'Done.' );
+	log();
+}
+
+// The template's dependencies, as they are given to the package manager.
+function getTemplateDependencies( template ) {
+	return Object.keys( template.dependencies )
+		.map( dependency => `${dependency}@${template.dependencies[dependency]}` );
+}
+
+/**
+ * Does what the init.js of react-scripts does: it copies the template and
+ * installs react, react-dom and the template's dependencies. init.js only
+ * installs with npm or yarn, in the working directory and without the offline
+ * flags.
+ *
+ * @param {string}   root           The project directory.
+ * @param {Object}   template       The template, see `getTemplate()`.
+ * @param {Object}   packageManager The package manager, see `packageManagers`.
+ * @param {Object}   options        The `offline`, `cache` and `verbose` options of `getAddCommand()`.
+ * @param {Function} log            Prints the progress.
+ * @returns {void}
+ */
+function initTemplate( root, template, packageManager, options, log ) {
+	const packagePath = path.join( root, 'package.json' );
+	const appPackage  = require( packagePath );
+
+	appPackage.scripts = {
+		start: 'react-scripts start',
+		build: 'react-scripts build',
+		test:  'react-scripts test --env=jsdom',
+		eject: 'react-scripts eject',
+	};
+	fs.writeFileSync( packagePath, JSON.stringify( appPackage, null, 2 ) );
+
+	// Keep the README.md that was in the directory, the template has its own.
+	const readmePath = path.join( root, 'README.md' );
+
+	if ( fs.existsSync( readmePath ) ) {
+		fs.renameSync( readmePath, path.join( root, 'README.old.md' ) );
+	}
+
+	fs.copySync( template.path, root );
+
+	// The template has a `gitignore`, because npm would turn a `.gitignore` into `.npmignore`.
+	const gitignorePath = path.join( root, 'gitignore' );
+
+	if ( fs.existsSync( gitignorePath ) ) {
+		fs.appendFileSync( path.join( root, '.gitignore' ), fs.readFileSync( gitignorePath ) );
+		fs.removeSync( gitignorePath );
+	}
+
+	const addCommand = getAddCommand( packageManager, ['react', 'react-dom'].concat( getTemplateDependencies( template ) ), options );
+	const command    = `${addCommand.command} ${addCommand.args.join( ' ' )}`;
+
+	log( `Installing react and react-dom using ${packageManager.name}...` );
+	log();
+
+	if ( spawn.sync( addCommand.command, addCommand.args, { cwd: root, stdio: 'inherit' } ).status !== 0 ) {
+		throw new InstallError( `${command} has failed.`, command );
+	}
+
+	// eject.js shares the cached `require()` of package.json, so it gets the
+	// dependencies that were just saved.
+	Object.assign( appPackage, fs.readJsonSync( packagePath ) );
+}
+
 function getInstallPackage( version ) {
 	let packageToInstall = 'react-scripts';
 	const validSemver    = semver.valid( version );
@@ -369,6 +810,7 @@ function getTemporaryDirectory() {
 
 function extractStream( stream, dest ) {
 	return new Promise( ( resolve, reject ) => {
+		stream.on( 'error', reject );
 		stream.pipe(
 			unpack( dest, err => {
 				if ( err ) {
@@ -381,51 +823,255 @@ function extractStream( stream, dest ) {
 	} );
 }
 
-// Extract package name from tarball url or path.
-function getPackageName( installPackage ) {
+// Extract a tarball url or path into a temporary directory.
+function extractPackage( installPackage ) {
+	return getTemporaryDirectory().then( obj => {
+		let stream;
+		if ( /^http/.test( installPackage ) ) {
+			stream = hyperquest( installPackage );
+		} else {
+			stream = fs.createReadStream( installPackage );
+		}
+		return extractStream( stream, obj.tmpdir )
+			.then( () => obj )
+			.catch( err => {
+				obj.cleanup();
+				throw err;
+			} );
+	} );
+}
+
+/**
+ * Downloads a tarball into a temporary directory, so that the archive that is
+ * checked is the one that is installed, and checks it against its integrity.
+ *
+ * @param {string} installPackage The package to install, eg. a .tgz url or path.
+ * @param {string} [integrity]    The integrity the archive should have.
+ * @returns {Promise<{installPackage: string, cleanup: Function}>} What to install instead and how to
+ *          remove it. Anything but a .tgz url is installed as it is.
+ */
+function fetchArchive( installPackage, integrity ) {
+	const noop = () => {};
+
+	if ( installPackage.indexOf( '.tgz' ) === -1 ) {
+		return Promise.resolve( { installPackage, cleanup: noop } );
+	}
+
+	if ( !/^http/.test( installPackage ) ) {
+		return ( integrity ? checkIntegrity( installPackage, integrity ) : Promise.resolve() )
+			.then( () => ( { installPackage, cleanup: noop } ) );
+	}
+
+	return getTemporaryDirectory().then( obj => {
+		const file = path.join( obj.tmpdir, path.basename( url.parse( installPackage ).pathname ) );
+
+		return new Promise( ( resolve, reject ) => {
+			hyperquest( installPackage )
+				.on( 'error', reject )
+				.on( 'response', response => {
+					if ( response.statusCode !== 200 ) {
+						reject( new InstallError( `Could not download ${installPackage}: ${response.statusCode} ${response.statusMessage}` ) );
+					}
+				} )
+				.pipe( fs.createWriteStream( file ) )
+				.on( 'error', reject )
+				.on( 'finish', resolve );
+		} )
+			.then( () => integrity && checkIntegrity( file, integrity ) )
+			.then( () => ( { installPackage: file, cleanup: obj.cleanup } ) )
+			.catch( err => {
+				obj.cleanup();
+				throw err;
+			} );
+	} );
+}
+
+// Extract package name from tarball url or path. The name is only guessed from
+// the file name when that is asked for.
+function getPackageName( installPackage, allowGuess, log ) {
 	if ( installPackage.indexOf( '.tgz' ) > -1 ) {
-		return getTemporaryDirectory()
+		return extractPackage( installPackage )
 			.then( obj => {
-				let stream;
-				if ( /^http/.test( installPackage ) ) {
-					stream = hyperquest( installPackage );
-				} else {
-					stream = fs.createReadStream( installPackage );
+				try {
+					return require( path.join( obj.tmpdir, 'package.json' ) ).name;
+				} finally {
+					obj.cleanup();
 				}
-				return extractStream( stream, obj.tmpdir ).then( () => obj );
-			} )
-			.then( obj => {
-				const packageName = require( path.join( obj.tmpdir, 'package.json' ) ).name;
-				obj.cleanup();
-				return packageName;
 			} )
 			.catch( err => {
-				// The package name could be with or without semver version, e.g.
-				// react-scripts-0.2.0-alpha.1.tgz However, this function returns package name
-				// only without semver version.
-				console.log(
+				if ( !allowGuess ) {
+					throw new InstallError(
+						`Could not extract the package name from ${installPackage}: ${err.message}\n` +
+						`Pass ${chalk.cyan( '--guess-package-name' )} to use the one in its file name instead.`
+					);
+				}
+				log(
 					`Could not extract the package name from the archive: ${err.message}`
 				);
-				const assumedProjectName = installPackage.match(
-					/^.+\/(.+?)(?:-\d+.+)?\.tgz$/
-				)[1];
-				console.log(
+				const assumedProjectName = guessPackageName( installPackage );
+				log(
 					`Based on the filename, assuming it is "${chalk.cyan( assumedProjectName )}"`
 				);
 				return Promise.resolve( assumedProjectName );
 			} );
+	}
+	return Promise.resolve( guessPackageName( installPackage ) );
+}
+
+// The name of a package, from how it is installed alone.
+function guessPackageName( installPackage ) {
+	if ( installPackage.indexOf( '.tgz' ) > -1 ) {
+		// The package name could be with or without semver version, e.g.
+		// react-scripts-0.2.0-alpha.1.tgz However, this function returns package name
+		// only without semver version.
+		return installPackage.match( /^(?:.*\/)?(.+?)(?:-\d+.+)?\.tgz$/ )[1];
 	} else if ( installPackage.indexOf( 'git+' ) === 0 ) {
 		// Pull package name out of git urls e.g:
 		// git+https://github.com/mycompany/react-scripts.git
 		// git+ssh://github.com/mycompany/react-scripts.git#v1.2.3
-		return Promise.resolve( installPackage.match( /([^\/]+)\.git(#.*)?$/ )[1] );
+		return installPackage.match( /([^\/]+)\.git(#.*)?$/ )[1];
 	} else if ( installPackage.indexOf( '@' ) > 0 ) {
 		// Do not match @scope/ when stripping off @version or @tag
-		return Promise.resolve(
-			installPackage.charAt( 0 ) + installPackage.substr( 1 ).split( '@' )[0]
+		return installPackage.charAt( 0 ) + installPackage.substr( 1 ).split( '@' )[0];
+	}
+	return installPackage;
+}
+
+// Fetch a starter template into a temporary directory. Like `--scripts-version`
+// it can be a .tgz archive, a git url or an npm package, and it can also be a
+// local folder, which is used as is.
+function getTemplate( template, log ) {
+	const noop = () => {};
+
+	if ( !template ) {
+		return Promise.resolve( readTemplate( defaultTemplate, 'the built-in template', noop ) );
+	}
+
+	const localPath = path.resolve( template );
+
+	if ( isLocalTemplate( template ) ) {
+		if ( !fs.statSync( localPath ).isDirectory() ) {
+			return Promise.reject( new TemplateError( `The template ${chalk.green( template )} is not a folder.` ) );
+		}
+		return Promise.resolve().then( () => readTemplate( localPath, chalk.green( template ), noop ) );
+	}
+
+	// The name is only shown, so it may as well be guessed.
+	return getPackageName( template, true, log ).then( templateName => {
+		log( `Fetching the template ${chalk.cyan( templateName )}...` );
+		log();
+
+		let fetched;
+		if ( template.indexOf( '.tgz' ) > -1 ) {
+			fetched = extractPackage( template );
+		} else if ( template.indexOf( 'git+' ) === 0 ) {
+			fetched = cloneRepository( template );
+		} else {
+			fetched = packPackage( template );
+		}
+
+		return fetched
+			.then( obj => {
+				try {
+					return readTemplate( obj.tmpdir, chalk.cyan( templateName ), obj.cleanup );
+				} catch ( err ) {
+					obj.cleanup();
+					throw err;
+				}
+			} )
+			.catch( err => {
+				throw err instanceof TemplateError
+					? err
+					: new TemplateError( `Could not fetch the template ${chalk.cyan( templateName )}: ${err.message}` );
+			} );
+	} );
+}
+
+function isLocalTemplate( template ) {
+	return template.indexOf( '.tgz' ) === -1 && fs.existsSync( path.resolve( template ) );
+}
+
+function isLocalArchive( installPackage ) {
+	return /\.tgz$/.test( installPackage ) && !isRemotePackage( installPackage ) && fs.existsSync( path.resolve( installPackage ) );
+}
+
+// Whether a package is fetched from a URL rather than from the registry.
+function isRemotePackage( installPackage ) {
+	return /^(?:https?:|git\+)/.test( installPackage );
+}
+
+// A template package can keep its files in a `template` folder, next to its
+// own package.json. The dependencies the template needs on top of the built-in
+// ones are declared in `.template.dependencies.json`, the `dependencies` are
+// installed by `initTemplate()` and the `devDependencies` are added by eject.js. Its
+// tokens are declared in `.template.manifest.json`.
+function readTemplate( templatePath, description, cleanup ) {
+	if ( fs.existsSync( path.join( templatePath, 'template' ) ) ) {
+		templatePath = path.join( templatePath, 'template' );
+	}
+
+	if ( fs.existsSync( path.join( templatePath, 'package.json' ) ) ) {
+		throw new TemplateError(
+			`The template ${description} contains a package.json, which would replace the project's.\n` +
+			'Move the template files into a `template` folder, next to the package.json.'
 		);
 	}
-	return Promise.resolve( installPackage );
+
+	const dependenciesPath = path.join( templatePath, templateDependenciesFile );
+	const dependencies     = fs.existsSync( dependenciesPath ) ? fs.readJsonSync( dependenciesPath ) : {};
+
+	return {
+		path:            templatePath,
+		manifest:        readManifest( templatePath, defaultTemplate ),
+		dependencies:    dependencies.dependencies || {},
+		devDependencies: dependencies.devDependencies || {},
+		cleanup,
+	};
+}
+
+function cloneRepository( repository ) {
+	const url = repository.replace( /^git\+/, '' ).split( '#' );
+
+	return getTemporaryDirectory().then( obj => {
+		const args = ['clone', '--depth', '1'];
+		if ( url[1] ) {
+			args.push( '--branch', url[1] );
+		}
+		args.push( url[0], obj.tmpdir );
+
+		const result = spawn.sync( 'git', args, { stdio: 'ignore' } );
+		if ( result.status !== 0 ) {
+			obj.cleanup();
+			throw new Error( `git ${args.join( ' ' )} has failed.` );
+		}
+		fs.removeSync( path.join( obj.tmpdir, '.git' ) );
+
+		return obj;
+	} );
+}
+
+function packPackage( installPackage ) {
+	return getTemporaryDirectory().then( obj => {
+		const result = spawn.sync( 'npm', ['pack', installPackage], {
+			cwd:   obj.tmpdir,
+			stdio: ['ignore', 'pipe', 'ignore'],
+		} );
+		if ( result.status !== 0 ) {
+			obj.cleanup();
+			throw new Error( `npm pack ${installPackage} has failed.` );
+		}
+
+		// npm prints the name of the archive last.
+		const archive = result.stdout.toString().trim().split( '\n' ).pop();
+
+		return extractPackage( path.join( obj.tmpdir, archive ) ).then( extracted => {
+			obj.cleanup();
+			return extracted;
+		}, err => {
+			obj.cleanup();
+			throw err;
+		} );
+	} );
 }
 
 function checkNpmVersion() {
@@ -443,9 +1089,9 @@ function checkNpmVersion() {
 	};
 }
 
-function checkNodeVersion( packageName ) {
+function checkNodeVersion( root, packageName ) {
 	const packageJsonPath = path.resolve(
-		process.cwd(),
+		root,
 		'node_modules',
 		packageName,
 		'package.json'
@@ -456,28 +1102,24 @@ function checkNodeVersion( packageName ) {
 	}
 
 	if ( !semver.satisfies( process.version, packageJson.engines.node ) ) {
-		console.error(
-			chalk.red(
-				'You are running Node %s.\n' +
-				'Create Divi Extension requires Node %s or higher. \n' +
-				'Please update your version of Node.'
-			),
-			process.version,
-			packageJson.engines.node
+		throw new InstallError(
+			`You are running Node ${process.version}.\n` +
+			`Create Divi Extension requires Node ${packageJson.engines.node} or higher. \n` +
+			'Please update your version of Node.'
 		);
-		process.exit( 1 );
 	}
 }
 
 function checkAppName( appName ) {
 	const validationResult = validateProjectName( appName );
 	if ( !validationResult.validForNewPackages ) {
-		console.error(
-			`Could not create a project called ${chalk.red( `"${appName}"` )} because of npm naming restrictions:`
+		const errors = ( validationResult.errors || [] ).concat( validationResult.warnings || [] );
+
+		throw new ValidationError(
+			`Could not create a project called ${chalk.green( `"${appName}"` )} because of npm naming restrictions:\n` +
+			errors.map( error => `  *  ${error}` ).join( '\n' ),
+			errors
 		);
-		printValidationResults( validationResult.errors );
-		printValidationResults( validationResult.warnings );
-		process.exit( 1 );
 	}
 
 	// TODO: there should be a single place that holds the dependencies
@@ -485,30 +1127,31 @@ function checkAppName( appName ) {
 	const devDependencies = ['react', 'react-dom', 'react-scripts'];
 	const allDependencies = dependencies.concat( devDependencies ).sort();
 	if ( allDependencies.indexOf( appName ) >= 0 ) {
-		console.error(
-			chalk.red(
-				`We cannot create a project called ${chalk.green( appName )} because a dependency with the same name exists.\n` +
-				`Due to the way npm works, the following names are not allowed:\n\n`
-			) +
+		throw new ValidationError(
+			`We cannot create a project called ${chalk.green( appName )} because a dependency with the same name exists.\n` +
+			'Due to the way npm works, the following names are not allowed:\n\n' +
 			chalk.cyan( allDependencies.map( depName => `  ${depName}` ).join( '\n' ) ) +
-			chalk.red( '\n\nPlease choose a different project name.' )
+			'\n\nPlease choose a different project name.'
 		);
-		process.exit( 1 );
 	}
 }
 
-function makeCaretRange( dependencies, name ) {
+function makeCaretRange( dependencies, name, log ) {
 	const version = dependencies[name];
 
 	if ( typeof version === 'undefined' ) {
-		console.error( chalk.red( `Missing ${name} dependency in package.json` ) );
-		process.exit( 1 );
+		throw new InstallError( `Missing ${name} dependency in package.json` );
+	}
+
+	// A dist-tag, like the `latest` of a dry run.
+	if ( !semver.validRange( version ) ) {
+		return;
 	}
 
 	let patchedVersion = `^${version}`;
 
 	if ( !semver.validRange( patchedVersion ) ) {
-		console.error(
+		log(
 			`Unable to patch ${name} dependency version because version ${chalk.red( version )} will become invalid ${chalk.red( patchedVersion )}`
 		);
 		patchedVersion = version;
@@ -517,20 +1160,24 @@ function makeCaretRange( dependencies, name ) {
 	dependencies[name] = patchedVersion;
 }
 
-function fixDependencies( packageName ) {
-	const packagePath = path.join( process.cwd(), 'package.json' );
+function fixDependencies( root, packageName, log ) {
+	const packagePath = path.join( root, 'package.json' );
 	const packageJson = require( packagePath );
 
+	fixPackageDependencies( packageJson, packageName, log );
+
+	fs.writeFileSync( packagePath, JSON.stringify( packageJson, null, 2 ) );
+}
+
+function fixPackageDependencies( packageJson, packageName, log ) {
 	if ( typeof packageJson.dependencies === 'undefined' ) {
-		console.error( chalk.red( 'Missing dependencies in package.json' ) );
-		process.exit( 1 );
+		throw new InstallError( 'Missing dependencies in package.json' );
 	}
 
 	const packageVersion = packageJson.dependencies[packageName];
 
 	if ( typeof packageVersion === 'undefined' ) {
-		console.error( chalk.red( `Unable to find ${packageName} in package.json` ) );
-		process.exit( 1 );
+		throw new InstallError( `Unable to find ${packageName} in package.json` );
 	}
 
 	packageJson.devDependencies              = packageJson.devDependencies || {};
@@ -544,16 +1191,14 @@ function fixDependencies( packageName ) {
 	delete packageJson.dependencies['react'];
 	delete packageJson.dependencies['react-dom'];
 
-	makeCaretRange( packageJson.devDependencies, 'react' );
-	makeCaretRange( packageJson.devDependencies, 'react-dom' );
-
-	fs.writeFileSync( packagePath, JSON.stringify( packageJson, null, 2 ) );
+	makeCaretRange( packageJson.devDependencies, 'react', log );
+	makeCaretRange( packageJson.devDependencies, 'react-dom', log );
 }
 
 // If project only contains files generated by GH, it’s safe.
 // We also special case IJ-based products .idea because it integrates with CRA:
 // https://github.com/lots0logs/create-divi-extension/pull/368#issuecomment-243446094
-function isSafeToCreateProjectIn( root ) {
+function findConflictingFiles( root ) {
 	const validFiles = [
 		'.DS_Store',
 		'Thumbs.db',
@@ -567,24 +1212,10 @@ function isSafeToCreateProjectIn( root ) {
 		'.hgignore',
 		'.hgcheck',
 	];
-	return fs.readdirSync( root ).every( file => validFiles.indexOf( file ) >= 0 );
-}
-
-function checkIfOnline( useYarn ) {
-	if ( !useYarn ) {
-		// Don't ping the Yarn registry.
-		// We'll just assume the best case.
-		return Promise.resolve( true );
-	}
-
-	return new Promise( resolve => {
-		dns.lookup( 'registry.yarnpkg.com', err => {
-			resolve( err === null );
-		} );
-	} );
+	return fs.readdirSync( root ).filter( file => validFiles.indexOf( file ) === -1 );
 }
 
-function finalize_extension_files( root, appName ) {
+function derivePrefix( appName ) {
 	let prefix = appName.replace( /^divi/igm, '' );
 	let offset = 0;
 
@@ -598,42 +1229,98 @@ function finalize_extension_files( root, appName ) {
 	const start = ['-', '_'].includes( prefix[0] ) ? 1 : 0;
 
 	prefix = prefix.substring( start, end ).toLowerCase();
+	return prefix.replace( /[-_]/g, '' );
+}
 
-	console.log( `prefix is: ${prefix}` );
+function checkPrefix( prefix, isDerived ) {
+	const errors = [];
 
-	['-', '_'].forEach( char => prefix = prefix.replace( char, '' ) );
+	if ( !/^[a-z][a-z0-9_]*$/.test( prefix ) ) {
+		errors.push(
+			'It must start with a lowercase letter and only contain lowercase letters, digits and underscores.'
+		);
+	}
+	if ( prefix.length < minPrefixLength || prefix.length > maxPrefixLength ) {
+		errors.push( `It must be between ${minPrefixLength} and ${maxPrefixLength} characters long.` );
+	}
 
-	const PREFIX = prefix.toUpperCase();
-	const Prefix = PREFIX.charAt( 0 ) + prefix.slice( 1 );
-	const files  = [
-		'template.php',
-		'module/loader.php',
-		'module/HelloWorld/HelloWorld.php',
-		'module/loader.jsx',
-	];
+	const reserved = reservedPrefixes.filter( reserved => prefix === reserved || prefix.indexOf( `${reserved}_` ) === 0 );
+
+	if ( reserved.length ) {
+		errors.push( `It collides with the reserved prefix ${chalk.cyan( reserved[0] )}.` );
+	}
+
+	if ( errors.length ) {
+		const source = isDerived ? ' (derived from the project name)' : '';
+		const hint   = isDerived
+			? `Please choose one with ${chalk.cyan( '--prefix' )}.`
+			: 'Please choose a different one.';
+
+		throw new ValidationError(
+			`The prefix ${chalk.green( `"${prefix}"` )}${source} is not valid:\n` +
+			errors.map( error => `  *  ${error}` ).join( '\n' ) +
+			`\n\n${hint}`,
+			errors
+		);
+	}
 
-	for ( let file of files ) {
-		const is_main_file = 'template.php' === file;
+	return prefix;
+}
 
-		file = path.join( root, file );
+function printPrefixExpansions( prefix, log ) {
+	const expansions = getPrefixExpansions( prefix );
 
-		const data = fs.readFileSync( file, 'utf8' );
+	log( 'Using the prefix:' );
+	Object.keys( expansions ).forEach( token => {
+		log( `  ${token} => ${chalk.cyan( expansions[token] )}` );
+	} );
+	log();
+}
 
-		const output = data
-			.replace( /__Prefix/g, Prefix )
-			.replace( /__PREFIX/g, PREFIX )
-			.replace( /__prefix/g, prefix )
-			.replace( /<NAME>/g, appName )
-			.replace( /<GETTEXT_DOMAIN>/g, appName );
+function getTemplateTokens( metadata ) {
+	const tokens = getPrefixExpansions( metadata.prefix );
 
-		fs.writeFileSync( file, output, 'utf8' );
+	Object.keys( metadata.values ).forEach( name => {
+		tokens[`<${name}>`] = metadata.values[name];
+	} );
 
-		if ( is_main_file ) {
-			fs.move( file, file.replace( 'template', path.basename( path.dirname( file ) ) ), err => {
-				if ( err ) {
-					console.error( err );
-				}
-			} );
-		}
+	return tokens;
+}
+
+function checkLeftovers( leftovers ) {
+	if ( leftovers.length ) {
+		throw new TemplateError(
+			'The template left placeholders that have no value in the extension:\n' +
+			leftovers.map( leftover => `  *  ${leftover}` ).join( '\n' ) +
+			`\n\nDeclare the tokens in the ${templateManifestFile} of the template and list the files that use them in its "files".`,
+			leftovers
+		);
 	}
 }
+
+// Remembers the prefix and text domain for commands like `add-module`.
+function setExtensionSettings( appPackage, metadata ) {
+	appPackage.diviExtension = {
+		prefix:     metadata.prefix,
+		textDomain: metadata.values.GETTEXT_DOMAIN || metadata.name,
+	};
+}
+
+function finalize_extension_files( root, template, metadata ) {
+	const result = applyTemplate( root, template.path, template.manifest, getTemplateTokens( metadata ) );
+
+	checkLeftovers( result.leftovers );
+
+	// `initTemplate()` and eject.js share the cached `require()` of package.json, so we update it in place.
+	const packagePath = path.join( root, 'package.json' );
+	const appPackage  = require( packagePath );
+
+	setExtensionSettings( appPackage, metadata );
+	fs.writeFileSync( packagePath, JSON.stringify( appPackage, null, 2 ) );
+
+	return result.files;
+}
+
+module.exports = {
+	createExtension,
+};
@@ -0,0 +1,179 @@
+'use strict';
+
+const fs   = require( 'fs-extra' );
+const path = require( 'path' );
+const tmp  = require( 'tmp' );
+
+const createExtension = require( '../CreateDiviExtension' ).createExtension;
+const ValidationError = require( '../scripts/utils/errors' ).ValidationError;
+const formatDiff      = require( '../scripts/utils/preview' ).formatDiff;
+const formatTree      = require( '../scripts/utils/preview' ).formatTree;
+
+describe( 'a dry run of createExtension()', () => {
+	let dir;
+	let root;
+
+	function dryRun( options ) {
+		return createExtension( Object.assign( {
+			directory:      root,
+			dryRun:         true,
+			author:         'Jane Doe',
+			description:    'Adds a few custom modules to Divi.',
+			prefix:         'myex',
+			packageManager: 'npm',
+		}, options ) );
+	}
+
+	beforeEach( () => {
+		dir  = tmp.dirSync( { unsafeCleanup: true } );
+		root = path.join( dir.name, 'my-ext' );
+
+		jest.spyOn( console, 'log' ).mockImplementation( () => {} );
+	} );
+
+	afterEach( () => {
+		console.log.mockRestore();
+		dir.removeCallback();
+	} );
+
+	it( 'plans the files of the extension without writing them', () => {
+		fs.ensureDirSync( root );
+
+		return dryRun().then( plan => {
+			const files = plan.files.map( file => path.relative( root, file ).split( path.sep ).join( '/' ) );
+
+			expect( plan.dryRun ).toBe( true );
+			expect( plan.root ).toBe( root );
+			expect( files ).toEqual( expect.arrayContaining( [
+				'my-ext.php',
+				'readme.txt',
+				'.gitignore',
+				'module/HelloWorld/HelloWorld.php',
+				'module/HelloWorld/HelloWorld.jsx',
+				'package.json',
+			] ) );
+			expect( files ).not.toContain( 'gitignore' );
+			expect( fs.readdirSync( root ) ).toEqual( [] );
+		} );
+	} );
+
+	it( 'plans the package.json and the changes to the template\'s files', () => {
+		return dryRun().then( plan => {
+			const readme = plan.changes.filter( change => change.file === 'readme.txt' )[0];
+
+			expect( plan.metadata.prefix ).toBe( 'myex' );
+			expect( plan.packageJson.diviExtension ).toEqual( { prefix: 'myex', textDomain: 'my-ext' } );
+			expect( Object.keys( plan.packageJson.devDependencies ) ).toEqual( expect.arrayContaining( ['react', 'react-dom', 'webpack'] ) );
+			expect( plan.packageJson.devDependencies['react-scripts'] ).toBeUndefined();
+			expect( plan.packageJson.scripts.start ).toBe( 'node config/start.js' );
+			expect( readme.before ).toContain( 'Contributors: <AUTHOR>' );
+			expect( readme.after ).toContain( 'Contributors: Jane Doe' );
+			expect( plan.changes.map( change => change.file ) ).toContain( 'package.json' );
+			expect( fs.existsSync( root ) ).toBe( false );
+			expect( fs.readdirSync( dir.name ) ).toEqual( [] );
+		} );
+	} );
+
+	it( 'plans the install commands of the package manager', () => {
+		return dryRun().then( plan => {
+			expect( plan.commands ).toEqual( [
+				'npm install --save --save-exact react react-dom react-scripts',
+				'npm install --save react react-dom',
+				'npm install',
+			] );
+
+			return dryRun( { packageManager: 'yarn', offlineCache: '/tmp/yarn-cache' } );
+		} ).then( plan => {
+			expect( plan.commands ).toEqual( [
+				'yarnpkg add --exact --offline --cache-folder /tmp/yarn-cache react react-dom react-scripts',
+				'yarnpkg add --offline --cache-folder /tmp/yarn-cache react react-dom',
+				'yarnpkg --offline --cache-folder /tmp/yarn-cache',
+			] );
+		} );
+	} );
+
+	it( 'previews the plan', () => {
+		return dryRun().then( plan => {
+			const tree    = formatTree( 'my-ext', plan.files.map( file => path.relative( root, file ).split( path.sep ).join( '/' ) ) );
+			const changes = plan.changes.filter( change => change.file === 'readme.txt' )[0];
+
+			expect( tree.split( '\n' ) ).toEqual( expect.arrayContaining( ['my-ext/', '  module/', '    HelloWorld/', '      HelloWorld.php', '  readme.txt'] ) );
+			expect( formatDiff( changes.before, changes.after ) ).toContain( '+ Contributors: Jane Doe' );
+		} );
+	} );
+
+	it( 'prints only through the logger', () => {
+		const output = [];
+
+		return dryRun().then( () => {
+			expect( console.log ).not.toHaveBeenCalled();
+
+			return dryRun( { logger: message => output.push( message ) } );
+		} ).then( () => {
+			expect( output ).toContain( 'Using the prefix:' );
+			expect( console.log ).not.toHaveBeenCalled();
+		} );
+	} );
+
+	it( 'leaves a directory that is in the way alone', () => {
+		fs.outputFileSync( path.join( root, 'readme.txt' ), 'My notes' );
+
+		expect.assertions( 2 );
+
+		return dryRun().catch( err => {
+			expect( err.files ).toEqual( ['readme.txt'] );
+			expect( fs.readFileSync( path.join( root, 'readme.txt' ), 'utf8' ) ).toBe( 'My notes' );
+		} );
+	} );
+} );
+
+describe( 'the prefix of createExtension()', () => {
+	let dir;
+
+	function getPrefix( name, prefix ) {
+		return createExtension( {
+			directory:      path.join( dir.name, name ),
+			dryRun:         true,
+			author:         'Jane Doe',
+			description:    'Adds a few custom modules to Divi.',
+			prefix,
+			packageManager: 'npm',
+		} ).then( plan => plan.metadata.prefix );
+	}
+
+	beforeEach( () => {
+		dir = tmp.dirSync( { unsafeCleanup: true } );
+
+		jest.spyOn( console, 'log' ).mockImplementation( () => {} );
+	} );
+
+	afterEach( () => {
+		console.log.mockRestore();
+		dir.removeCallback();
+	} );
+
+	it( 'is derived from the project name without its dashes and underscores', () => {
+		return Promise.all( [
+			getPrefix( 'my-extension' ),
+			getPrefix( 'divi-slider' ),
+			getPrefix( 'a-b-c-d-e' ),
+		] ).then( prefixes => {
+			expect( prefixes ).toEqual( ['myex', 'slid', 'abc'] );
+		} );
+	} );
+
+	it( 'is taken as it is given', () => {
+		return getPrefix( 'my-extension', 'acme_2' ).then( prefix => {
+			expect( prefix ).toBe( 'acme_2' );
+		} );
+	} );
+
+	it( 'fails when the given one is not lowercase', () => {
+		expect.assertions( 2 );
+
+		return getPrefix( 'my-extension', 'MyEx' ).catch( err => {
+			expect( err ).toBeInstanceOf( ValidationError );
+			expect( err.errors ).toEqual( ['It must start with a lowercase letter and only contain lowercase letters, digits and underscores.'] );
+		} );
+	} );
+} );
@@ -0,0 +1,73 @@
+'use strict';
+
+jest.mock( 'cross-spawn', () => ( { sync: jest.fn() } ) );
+
+const fs        = require( 'fs-extra' );
+const path      = require( 'path' );
+const spawnSync = require( 'cross-spawn' ).sync;
+const tmp       = require( 'tmp' );
+
+const InstallError = require( '../scripts/utils/errors' ).InstallError;
+const eject        = require( '../eject' );
+
+describe( 'eject', () => {
+	let dir;
+	let output;
+
+	beforeEach( () => {
+		dir    = tmp.dirSync( { unsafeCleanup: true } );
+		output = [];
+
+		const ownPath = path.join( dir.name, 'node_modules', 'react-scripts' );
+
+		['config', 'config/jest', 'scripts'].forEach( folder => fs.ensureDirSync( path.join( ownPath, folder ) ) );
+		fs.writeJsonSync( path.join( ownPath, 'package.json' ), { name: 'react-scripts', bin: { 'react-scripts': './bin/react-scripts.js' } } );
+		fs.writeJsonSync( path.join( dir.name, 'package.json' ), {
+			name:            'my-extension',
+			dependencies:    {},
+			devDependencies: { 'react-scripts': '1.0.7' },
+			scripts:         { start: 'react-scripts start', eject: 'react-scripts eject' },
+		} );
+		fs.writeFileSync( path.join( dir.name, 'yarn.lock' ), '' );
+
+		jest.spyOn( console, 'log' ).mockImplementation( message => output.push( message ) );
+	} );
+
+	afterEach( () => {
+		console.log.mockRestore();
+		spawnSync.mockReset();
+		dir.removeCallback();
+	} );
+
+	it( 'reinstalls with the package manager of the project', () => {
+		spawnSync.mockReturnValue( { status: 0 } );
+
+		eject( dir.name, {}, { offline: true } );
+
+		expect( spawnSync ).toHaveBeenCalledWith( 'yarnpkg', ['--offline'], { cwd: dir.name, stdio: 'inherit' } );
+		expect( fs.readJsonSync( path.join( dir.name, 'package.json' ) ).devDependencies['react-scripts'] ).toBeUndefined();
+		expect( output.join( '\n' ) ).toMatch( 'Done!' );
+	} );
+
+	it( 'fails when the install fails', () => {
+		spawnSync.mockReturnValue( { status: 1 } );
+
+		// It removes react-scripts before the install, so it can only run once.
+		expect( () => eject( dir.name, {} ) ).toThrow( 'yarnpkg has failed.' );
+		expect( output.join( '\n' ) ).not.toMatch( 'Done!' );
+	} );
+
+	it( 'fails when the package manager can\'t be run', () => {
+		spawnSync.mockReturnValue( { status: null, error: new Error( 'spawn yarnpkg ENOENT' ) } );
+
+		let error;
+
+		try {
+			eject( dir.name, {} );
+		} catch ( err ) {
+			error = err;
+		}
+		expect( error ).toBeInstanceOf( InstallError );
+		expect( error.command ).toBe( 'yarnpkg' );
+	} );
+} );
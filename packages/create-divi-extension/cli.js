@@ -0,0 +1,345 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+// ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+//   /!\ DO NOT MODIFY THIS FILE /!\
+// ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+//
+// create-divi-extension is installed globally on people's computers. This means
+// that it is extremely difficult to have them upgrade the version and
+// because there's only one global version installed, it is very prone to
+// breaking changes.
+//
+// The only job of create-divi-extension is to init the repository and then
+// forward all the commands to the local version of create-divi-extension.
+//
+// If you need to add a new command, please add it to the scripts/ folder.
+//
+// The only reason to modify this file is to add more warnings and
+// troubleshooting information for the `create-divi-extension` command.
+//
+// Do not make breaking changes! We absolutely don't want to have to
+// tell people to update their global version of create-divi-extension.
+//
+// Also be careful with new language features.
+// This file must work on Node 6+.
+//
+// ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+//   /!\ DO NOT MODIFY THIS FILE /!\
+// ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+
+'use strict';
+
+// Makes the script crash on unhandled rejections instead of silently
+// ignoring them. In the future, promise rejections that are not handled will
+// terminate the Node.js process with a non-zero exit code.
+process.on( 'unhandledRejection', err => {
+	throw err;
+} );
+
+const chalk     = require( 'chalk' );
+const commander = require( 'commander' );
+const path      = require( 'path' );
+
+const createExtension       = require( './CreateDiviExtension' ).createExtension;
+const configFiles           = require( './scripts/utils/config' ).configFiles;
+const readConfig            = require( './scripts/utils/config' ).readConfig;
+const resolvePackageManager = require( './scripts/utils/config' ).resolvePackageManager;
+const CreateExtensionError  = require( './scripts/utils/errors' ).CreateExtensionError;
+const InstallError          = require( './scripts/utils/errors' ).InstallError;
+const formatDiff            = require( './scripts/utils/preview' ).formatDiff;
+const formatTree            = require( './scripts/utils/preview' ).formatTree;
+const templateManifestFile  = require( './scripts/utils/template' ).manifestFile;
+const toOptionKey           = require( './scripts/utils/template' ).toOptionKey;
+const maxPrefixLength       = require( './scripts/utils/tokens' ).maxPrefixLength;
+const minPrefixLength       = require( './scripts/utils/tokens' ).minPrefixLength;
+const reservedPrefixes      = require( './scripts/utils/tokens' ).reservedPrefixes;
+
+const packageJson = require( './package.json' );
+
+let projectName;
+let projectCommand;
+
+const program = new commander.Command( packageJson.name )
+	.version( packageJson.version )
+	.arguments( '<project-directory>' )
+	.usage( `${chalk.green( '<project-directory>' )} [options]` )
+	.action( name => {
+		projectName = name;
+	} )
+	.option( '--verbose', 'print additional logs' )
+	.option(
+		'--scripts-version <alternative-package>',
+		'use a non-standard version of react-scripts'
+	)
+	.option( '--integrity <sri-hash>', 'check a --scripts-version .tgz archive against its integrity, e.g. sha512-...' )
+	.option( '--lockfile <file>', 'check a --scripts-version .tgz archive against its integrity in a package-lock.json or yarn.lock' )
+	.option( '--guess-package-name', 'use the file name of a --scripts-version archive when its package name can\'t be read' )
+	.option( '--author <name>', 'the plugin author' )
+	.option( '--author-uri <uri>', 'the plugin author\'s website' )
+	.option( '--plugin-uri <uri>', 'the plugin\'s website' )
+	.option( '--description <text>', 'a short description of the plugin' )
+	.option( '--text-domain <domain>', 'the gettext text domain (defaults to the project name)' )
+	.option( '--license <license>', 'the plugin license (defaults to GPL-2.0-or-later)' )
+	.option( '--license-uri <uri>', 'the license\'s website (defaults to the GPLv2)' )
+	.option( '--requires-wp <version>', 'the lowest version of WordPress the plugin runs on' )
+	.option( '--tested-up-to <version>', 'the latest version of WordPress the plugin was tested with' )
+	.option( '--requires-php <version>', 'the lowest version of PHP the plugin runs on' )
+	.option( '--prefix <prefix>', 'the prefix for PHP functions, classes and module slugs' )
+	.option( '--template <template>', 'use a custom starter template instead of the built-in one' )
+	.option( '--use-npm', 'install the dependencies with npm' )
+	.option( '--use-yarn', 'install the dependencies with Yarn (the default when it is installed)' )
+	.option( '--use-pnpm', 'install the dependencies with pnpm' )
+	.option( '--offline', 'install from the package manager\'s cache without going online' )
+	.option( '--offline-cache <dir>', 'install offline from another cache directory' )
+	.option( '--dry-run', 'show what would be created without writing any files or installing anything' )
+	.option( '--config <file>', `read the default options from a file instead of ${configFiles.join( ' or ' )}` )
+	.allowUnknownOption()
+	.on( '--help', () => {
+		console.log( `    Only ${chalk.green( '<project-directory>' )} is required.` );
+		console.log();
+		console.log(
+			`    A custom ${chalk.cyan( '--scripts-version' )} can be one of:`
+		);
+		console.log( `      - a specific npm version: ${chalk.green( '0.8.2' )}` );
+		console.log(
+			`      - a custom fork published on npm: ${chalk.green( 'my-react-scripts' )}`
+		);
+		console.log(
+			`      - a .tgz archive: ${chalk.green( 'https://mysite.com/my-react-scripts-0.8.2.tgz' )}`
+		);
+		console.log(
+			'    It is not needed unless you specifically want to use a fork. An archive is checked'
+		);
+		console.log(
+			`    against the ${chalk.cyan( '--integrity' )} when one is given, or taken from the config file or`
+		);
+		console.log(
+			`    from the entry of the archive in a ${chalk.cyan( '--lockfile' )}.`
+		);
+		console.log();
+		console.log(
+			`    A custom ${chalk.cyan( '--template' )} can be one of:`
+		);
+		console.log( `      - a local folder: ${chalk.green( '../my-starter' )}` );
+		console.log( `      - a .tgz archive: ${chalk.green( 'https://mysite.com/my-starter-1.0.0.tgz' )}` );
+		console.log( `      - a git URL: ${chalk.green( 'git+https://github.com/mycompany/my-starter.git#v1.0.0' )}` );
+		console.log( `      - a package published on npm: ${chalk.green( 'my-starter' )}` );
+		console.log();
+		console.log(
+			`    The plugin header values (${chalk.cyan( '--author' )}, ${chalk.cyan( '--description' )}, etc.) will be`
+		);
+		console.log(
+			'    prompted for when they are not provided and a terminal is attached. A custom template'
+		);
+		console.log(
+			`    can declare options of its own in its ${chalk.cyan( templateManifestFile )}.`
+		);
+		console.log();
+		console.log(
+			`    The defaults for the options are read from a ${configFiles.map( file => chalk.cyan( file ) ).join( ' or ' )} file in the`
+		);
+		console.log(
+			`    current directory or else the home directory, or from the ${chalk.cyan( '--config' )} file. It is JSON, e.g.`
+		);
+		console.log( `      ${chalk.green( '{ "author": "Jane Doe", "authorUri": "https://example.com", "interactive": false }' )}` );
+		console.log( '    The options given on the command line take precedence.' );
+		console.log();
+		console.log(
+			`    The ${chalk.cyan( '--prefix' )} is derived from the project name when it is not provided.`
+		);
+		console.log(
+			`    It must be ${minPrefixLength}-${maxPrefixLength} lowercase letters, digits or underscores, start with a letter`
+		);
+		console.log(
+			`    and not use a reserved prefix (${reservedPrefixes.join( ', ' )}).`
+		);
+		console.log();
+		console.log(
+			'    If you have any problems, do not hesitate to file an issue:'
+		);
+		console.log(
+			`      ${chalk.cyan( 'https://github.com/lots0logs/create-divi-extension/issues/new' )}`
+		);
+		console.log();
+	} );
+
+program
+	.command( 'add-module <name>' )
+	.description( 'add a new module to the extension in the current directory' )
+	.action( name => {
+		projectCommand = () => require( './scripts/add-module' )( process.cwd(), name );
+	} );
+
+// `version` is an option and a command. commander calls the option's listener
+// for both, only the option is emitted without arguments.
+program.removeAllListeners( 'version' );
+program.on( 'version', args => {
+	if ( typeof args === 'undefined' ) {
+		console.log( packageJson.version );
+		process.exit( 0 );
+	}
+} );
+
+program
+	.command( 'version <version>' )
+	.description( 'change the version of the extension in the current directory: major, minor, patch or x.y.z' )
+	.option( '--force', 'change it even when the files have different versions' )
+	.option( '--changelog <entry>', 'add an entry for the new version to the changelog' )
+	.action( ( version, command ) => {
+		projectCommand = () => require( './scripts/version' )( process.cwd(), version, {
+			force:     command.force,
+			changelog: command.changelog,
+		} );
+	} );
+
+program
+	.command( 'validate-readme' )
+	.description( 'check the readme.txt of the extension in the current directory against the plugin header' )
+	.action( () => {
+		projectCommand = () => require( './scripts/validate-readme' )( process.cwd() );
+	} );
+
+program
+	.command( 'make-pot' )
+	.description( 'extract the translatable strings of the modules into languages/<text-domain>.pot' )
+	.action( () => {
+		projectCommand = () => require( './scripts/make-pot' )( process.cwd() );
+	} );
+
+program
+	.command( 'package' )
+	.description( 'build the extension in the current directory and zip it as a WordPress plugin' )
+	.action( () => {
+		projectCommand = () => require( './scripts/package' )( process.cwd() );
+	} );
+
+program.parse( process.argv );
+
+if ( typeof projectName === 'undefined' && typeof projectCommand === 'undefined' ) {
+	console.error( 'Please specify the project directory:' );
+	console.log(
+		`  ${chalk.cyan( program.name() )} ${chalk.green( '<project-directory>' )}`
+	);
+	console.log();
+	console.log( 'For example:' );
+	console.log( `  ${chalk.cyan( program.name() )} ${chalk.green( 'my-react-app' )}` );
+	console.log();
+	console.log(
+		`Run ${chalk.cyan( `${program.name()} --help` )} to see all options.`
+	);
+	process.exit( 1 );
+}
+
+// The values of the `--option value` pairs by their camelCased name. It includes
+// the options that only a custom template declares, which commander doesn't know.
+function parseOptions( argv ) {
+	const options = {};
+
+	argv.forEach( ( arg, index ) => {
+		const match = arg.match( /^--([a-z][a-z0-9-]*)(?:=(.*))?$/ );
+
+		if ( !match ) {
+			return;
+		}
+
+		const value = typeof match[2] === 'string' ? match[2] : argv[index + 1];
+
+		if ( typeof value === 'string' && value.charAt( 0 ) !== '-' ) {
+			options[toOptionKey( `--${match[1]}` )] = value;
+		}
+	} );
+
+	return options;
+}
+
+function printPlan( plan ) {
+	const relative = file => path.relative( plan.root, file ).split( path.sep ).join( '/' );
+
+	console.log();
+	console.log( `${chalk.cyan( 'Dry run:' )} nothing was written or installed.` );
+	console.log();
+	console.log( 'The extension would use these values:' );
+	console.log( `  ${chalk.cyan( 'name' )}: ${plan.metadata.name}` );
+	console.log( `  ${chalk.cyan( 'prefix' )}: ${plan.metadata.prefix}` );
+	Object.keys( plan.metadata.values ).forEach( name => {
+		console.log( `  ${chalk.cyan( name )}: ${plan.metadata.values[name]}` );
+	} );
+	console.log();
+	console.log( 'It would create these files:' );
+	console.log( formatTree( path.basename( plan.root ), plan.files.map( relative ) ) );
+	console.log();
+	console.log( 'And run these commands:' );
+	plan.commands.forEach( command => console.log( `  ${chalk.cyan( command )}` ) );
+	console.log();
+	console.log( 'With these changes to the template and to package.json:' );
+	plan.changes.forEach( change => {
+		console.log();
+		console.log( chalk.bold( change.file.split( path.sep ).join( '/' ) ) );
+		console.log( formatDiff( change.before, change.after ) );
+	} );
+	console.log();
+}
+
+function printSuccess( result ) {
+	console.log();
+	console.log( `Success! Created ${chalk.green( result.metadata.name )} at ${chalk.green( result.root )}.` );
+	console.log();
+}
+
+function printError( err ) {
+	if ( err instanceof InstallError && err.command ) {
+		console.log( `  ${chalk.cyan( err.command )} has failed.` );
+	} else if ( err instanceof CreateExtensionError ) {
+		console.error( chalk.red( err.message ) );
+	} else {
+		console.log( chalk.red( 'Unexpected error. Please report it as a bug:' ) );
+		console.log( err );
+	}
+}
+
+if ( typeof projectCommand !== 'undefined' ) {
+	projectCommand();
+} else {
+	const flags = {
+		directory:        projectName,
+		template:         program.template,
+		scriptsVersion:   program.scriptsVersion,
+		integrity:        program.integrity,
+		lockfile:         program.lockfile,
+		guessPackageName: program.guessPackageName,
+		prefix:           program.prefix,
+		verbose:          program.verbose,
+		dryRun:           program.dryRun,
+		offline:          program.offline,
+		offlineCache:     program.offlineCache,
+		useNpm:           program.useNpm,
+		useYarn:          program.useYarn,
+		usePnpm:          program.usePnpm,
+	};
+
+	// The flags that were not given don't override the config file.
+	Object.keys( flags )
+		.filter( key => typeof flags[key] === 'undefined' )
+		.forEach( key => delete flags[key] );
+
+	Promise.resolve()
+		.then( () => Object.assign(
+			{ interactive: true, logger: console.log },
+			resolvePackageManager( readConfig( program.config ) ),
+			parseOptions( process.argv.slice( 2 ) ),
+			resolvePackageManager( flags )
+		) )
+		.then( options => createExtension( options ) )
+		.then( result => result.dryRun ? printPlan( result ) : printSuccess( result ) )
+		.catch( err => {
+			printError( err );
+			process.exit( 1 );
+		} );
+}
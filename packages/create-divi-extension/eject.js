@@ -9,13 +9,6 @@
  */
 'use strict';
 
-// Makes the script crash on unhandled rejections instead of silently
-// ignoring them. In the future, promise rejections that are not handled will
-// terminate the Node.js process with a non-zero exit code.
-process.on( 'unhandledRejection', err => {
-	throw err;
-} );
-
 const fs       = require( 'fs-extra' );
 const path     = require( 'path' );
 const execSync = require( 'child_process' ).execSync;
@@ -25,9 +18,40 @@ const chalk    = require( 'chalk' );
 // const inquirer  = require( 'react-dev-utils/inquirer' );
 const spawnSync = require( 'cross-spawn' ).sync;
 
+const InstallError         = require( './scripts/utils/errors' ).InstallError;
+const detectPackageManager = require( './scripts/utils/package-manager' ).detectPackageManager;
+const getInstallCommand    = require( './scripts/utils/package-manager' ).getInstallCommand;
+
 const green = chalk.green;
 const cyan  = chalk.cyan;
 
+// The tools used by the webpack configs and config/start.js. react-scripts
+// is removed below, so the project needs its own copy of them.
+const buildDependencies = {
+	autoprefixer:                                '7.1.0',
+	'babel-core':                                '6.24.1',
+	'babel-loader':                              '7.0.0',
+	'babel-plugin-transform-class-properties':   '6.24.1',
+	'babel-plugin-transform-object-rest-spread': '6.23.0',
+	'babel-preset-env':                          '1.5.1',
+	'babel-preset-react':                        '6.24.1',
+	'case-sensitive-paths-webpack-plugin':       '1.1.4',
+	chalk:                                       '1.1.3',
+	'css-loader':                                '0.28.1',
+	eslint:                                      '3.19.0',
+	'eslint-loader':                             '1.7.1',
+	'extract-text-webpack-plugin':               '2.1.0',
+	'file-loader':                               '0.11.1',
+	'node-sass':                                 '4.5.3',
+	'postcss-flexbugs-fixes':                    '3.0.0',
+	'postcss-loader':                            '2.0.5',
+	'react-dev-utils':                           '3.0.0',
+	'sass-loader':                               '6.0.5',
+	'style-loader':                              '0.17.0',
+	'url-loader':                                '0.5.8',
+	webpack:                                     '2.6.1',
+};
+
 function getGitStatus() {
 	try {
 		let stdout = execSync( `git status --porcelain`, {
@@ -67,7 +91,45 @@ if ( gitStatus ) {
 
 // console.log( 'Ejecting...' );
 
-module.exports = function( appPath ) {
+/**
+ * Moves the project's package.json off react-scripts: it gets its own copy of
+ * the build tools and the scripts that run them.
+ *
+ * @param {Object}   appPackage           The project's package.json, updated in place.
+ * @param {string}   ownPackageName       The name of the react-scripts package that was installed.
+ * @param {Object}   templateDependencies The devDependencies the template declares.
+ * @param {Function} log                  Prints what's changed.
+ * @returns {void}
+ */
+function updatePackage( appPackage, ownPackageName, templateDependencies, log ) {
+	if ( appPackage.devDependencies[ownPackageName] ) {
+		log( `  Removing ${cyan( ownPackageName )} from devDependencies` );
+		delete appPackage.devDependencies[ownPackageName];
+	}
+	if ( appPackage.dependencies[ownPackageName] ) {
+		log( `  Removing ${cyan( ownPackageName )} from dependencies` );
+		delete appPackage.dependencies[ownPackageName];
+	}
+
+	Object.keys( buildDependencies ).forEach( key => {
+		log( `  Adding ${cyan( key )} to devDependencies` );
+		appPackage.devDependencies[key] = buildDependencies[key];
+	} );
+
+	// The devDependencies a custom template declares in `.template.dependencies.json`.
+	Object.keys( templateDependencies || {} ).forEach( key => {
+		log( `  Adding ${cyan( key )} to devDependencies` );
+		appPackage.devDependencies[key] = templateDependencies[key];
+	} );
+
+	appPackage.scripts.build = 'webpack --config webpack.config.prod.js';
+	appPackage.scripts.start = 'node config/start.js';
+	delete appPackage.scripts.test;
+	delete appPackage.scripts.eject;
+}
+
+module.exports = function( appPath, templateDependencies, installOptions, log ) {
+	log = log || console.log;
 
 	const ownPath = path.resolve( appPath, 'node_modules/react-scripts' );
 
@@ -145,25 +207,8 @@ module.exports = function( appPath ) {
 	const ownPackage = require( path.join( ownPath, 'package.json' ) );
 	const appPackage = require( path.join( appPath, 'package.json' ) );
 
-	console.log( cyan( 'Updating the dependencies' ) );
-	const ownPackageName = ownPackage.name;
-	if ( appPackage.devDependencies[ownPackageName] ) {
-		console.log( `  Removing ${cyan( ownPackageName )} from devDependencies` );
-		delete appPackage.devDependencies[ownPackageName];
-	}
-	if ( appPackage.dependencies[ownPackageName] ) {
-		console.log( `  Removing ${cyan( ownPackageName )} from dependencies` );
-		delete appPackage.dependencies[ownPackageName];
-	}
-
-	/* Object.keys( ownPackage.dependencies ).forEach( key => {
-		// For some reason optionalDependencies end up in dependencies after install
-		if ( ownPackage.optionalDependencies[key] ) {
-			return;
-		}
-		console.log( `  Adding ${cyan( key )} to devDependencies` );
-		appPackage.devDependencies[key] = ownPackage.dependencies[key];
-	} ); */
+	log( cyan( 'Updating the dependencies' ) );
+	updatePackage( appPackage, ownPackage.name, templateDependencies, log );
 	/* console.log();
 	console.log( cyan( 'Updating the scripts' ) );
 	delete appPackage.scripts['eject'];
@@ -180,13 +225,8 @@ module.exports = function( appPath ) {
 		} );
 	} ); */
 
-	appPackage.scripts.build = 'webpack --config webpack.config.prod.js';
-	appPackage.scripts.start = 'webpack --config webpack.config.dev.js';
-	delete appPackage.scripts.test;
-	delete appPackage.scripts.eject;
-
-	console.log();
-	console.log( cyan( 'Configuring package.json' ) );
+	log();
+	log( cyan( 'Configuring package.json' ) );
 	// Add Jest config
 	// console.log( `  Adding ${cyan( 'Jest' )} configuration` );
 	// appPackage.jest = jestConfig;
@@ -207,7 +247,7 @@ module.exports = function( appPath ) {
 		path.join( appPath, 'package.json' ),
 		JSON.stringify( appPackage, null, 2 ) + '\n'
 	);
-	console.log();
+	log();
 
 	// "Don't destroy what isn't ours"
 	if ( ownPath.indexOf( appPath ) === 0 ) {
@@ -222,15 +262,19 @@ module.exports = function( appPath ) {
 		}
 	}
 
-	if ( fs.existsSync( 'yarn.lock' ) ) {
-		console.log( cyan( 'Running yarn...' ) );
-		spawnSync( 'yarnpkg', [], { stdio: 'inherit' } );
-	} else {
-		console.log( cyan( 'Running npm install...' ) );
-		spawnSync( 'npm', ['install'], { stdio: 'inherit' } );
+	const packageManager = detectPackageManager( appPath );
+	const installCommand = getInstallCommand( packageManager, installOptions );
+	const command        = [installCommand.command].concat( installCommand.args ).join( ' ' );
+
+	log( cyan( `Running ${packageManager.name} install...` ) );
+	const result = spawnSync( installCommand.command, installCommand.args, { cwd: appPath, stdio: 'inherit' } );
+
+	// The caller rolls back what was created.
+	if ( result.error || result.status !== 0 ) {
+		throw new InstallError( `${command} has failed.`, command );
 	}
-	console.log( green( 'Done!' ) );
-	console.log();
+	log( green( 'Done!' ) );
+	log();
 
 	/* console.log(
 		green( 'Please consider sharing why you ejected in this survey:' )
@@ -239,3 +283,6 @@ module.exports = function( appPath ) {
 	console.log(); */
 	// } );
 };
+
+module.exports.buildDependencies = buildDependencies;
+module.exports.updatePackage = updatePackage;
@@ -57,4 +57,4 @@ if ( major < 6 ) {
 	process.exit( 1 );
 }
 
-require( './CreateDiviExtension' );
+require( './cli' );
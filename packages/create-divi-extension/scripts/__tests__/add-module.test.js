@@ -0,0 +1,133 @@
+'use strict';
+
+const fs   = require( 'fs-extra' );
+const path = require( 'path' );
+const tmp  = require( 'tmp' );
+
+const addModule = require( '../add-module' );
+
+const plugin = [
+	'<?php',
+	'/*',
+	'Plugin Name: My Extension',
+	'Text Domain: my-ext',
+	'*/',
+	'',
+	'define( \'MYEX_PLUGIN_DIR\', __DIR__ );',
+	'',
+].join( '\n' );
+
+describe( 'the add-module command', () => {
+	let dir;
+	let output;
+
+	// Runs the command, it returns whether it passed.
+	function add( name ) {
+		try {
+			addModule( dir.name, name );
+		} catch ( err ) {
+			return false;
+		}
+
+		return true;
+	}
+
+	function read( file ) {
+		return fs.readFileSync( path.join( dir.name, 'module', file ), 'utf8' );
+	}
+
+	beforeEach( () => {
+		dir    = tmp.dirSync( { unsafeCleanup: true } );
+		output = [];
+
+		fs.writeJsonSync( path.join( dir.name, 'package.json' ), { name: 'my-ext', version: '1.0.0' } );
+		fs.writeFileSync( path.join( dir.name, 'my-ext.php' ), plugin );
+		fs.ensureDirSync( path.join( dir.name, 'module' ) );
+
+		jest.spyOn( console, 'log' ).mockImplementation( message => output.push( message ) );
+		jest.spyOn( console, 'error' ).mockImplementation( message => output.push( message ) );
+		// The command exits on the errors, the test stops there instead.
+		jest.spyOn( process, 'exit' ).mockImplementation( code => {
+			throw new Error( `exit ${code}` );
+		} );
+	} );
+
+	afterEach( () => {
+		console.log.mockRestore();
+		console.error.mockRestore();
+		process.exit.mockRestore();
+		dir.removeCallback();
+	} );
+
+	it( 'copies the blueprint into the module directory', () => {
+		expect( add( 'ContactCard' ) ).toBe( true );
+
+		expect( fs.readdirSync( path.join( dir.name, 'module', 'ContactCard' ) ).sort() ).toEqual( [
+			'ContactCard.jsx',
+			'ContactCard.php',
+			'fields.js',
+			'fields.php',
+			'schema.json',
+			'styles.scss',
+		] );
+		expect( output.join( '\n' ) ).toContain( 'The next build registers it as myex_pb_contact_card.' );
+	} );
+
+	it( 'derives the class, the title and the slug from the name', () => {
+		add( 'HTMLContactCard' );
+
+		const php = read( 'HTMLContactCard/HTMLContactCard.php' );
+
+		expect( php ).toContain( 'class Myex_ET_Builder_Module_HTMLContactCard extends ET_Builder_Module {' );
+		expect( php ).toContain( 'esc_html__( \'HTML Contact Card\', \'my-ext\' )' );
+		expect( php ).toContain( '$this->slug       = \'myex_pb_html_contact_card\';' );
+		expect( read( 'HTMLContactCard/HTMLContactCard.jsx' ) ).toContain( 'class HTMLContactCard extends Component {' );
+		expect( read( 'HTMLContactCard/fields.php' ) ).toContain( '\'my-ext\'' );
+
+		fs.readdirSync( path.join( dir.name, 'module', 'HTMLContactCard' ) ).forEach( file => {
+			expect( read( `HTMLContactCard/${file}` ) ).not.toMatch( /<MODULE_|<GETTEXT_DOMAIN>|__prefix|__Prefix|__PREFIX/ );
+		} );
+	} );
+
+	it( 'uses the prefix and the text domain of package.json', () => {
+		fs.writeJsonSync( path.join( dir.name, 'package.json' ), {
+			name:          'my-ext',
+			diviExtension: { prefix: 'acme', textDomain: 'acme-modules' },
+		} );
+
+		add( 'Slider' );
+
+		expect( read( 'Slider/Slider.php' ) ).toContain( '$this->slug       = \'acme_pb_slider\';' );
+		expect( read( 'Slider/Slider.php' ) ).toContain( '\'acme-modules\'' );
+	} );
+
+	it( 'fails on a name that is not in PascalCase', () => {
+		expect( add( 'contact-card' ) ).toBe( false );
+		expect( output.pop() ).toContain( 'must be in PascalCase' );
+		expect( fs.readdirSync( path.join( dir.name, 'module' ) ) ).toEqual( [] );
+	} );
+
+	it( 'doesn\'t overwrite a module that exists', () => {
+		fs.outputFileSync( path.join( dir.name, 'module', 'Slider', 'Slider.jsx' ), '// My slider' );
+
+		expect( add( 'Slider' ) ).toBe( false );
+		expect( output.pop() ).toContain( 'already exists' );
+		expect( fs.readdirSync( path.join( dir.name, 'module', 'Slider' ) ) ).toEqual( ['Slider.jsx'] );
+		expect( read( 'Slider/Slider.jsx' ) ).toBe( '// My slider' );
+	} );
+
+	it( 'fails when another module uses the slug', () => {
+		fs.outputFileSync( path.join( dir.name, 'module', 'Carousel', 'Carousel.php' ), '<?php\n$this->slug = \'myex_pb_slider\';\n' );
+
+		expect( add( 'Slider' ) ).toBe( false );
+		expect( output.pop() ).toContain( `is already used by ${path.join( dir.name, 'module', 'Carousel', 'Carousel.php' )}` );
+		expect( fs.existsSync( path.join( dir.name, 'module', 'Slider' ) ) ).toBe( false );
+	} );
+
+	it( 'fails outside of an extension', () => {
+		fs.removeSync( path.join( dir.name, 'my-ext.php' ) );
+
+		expect( add( 'Slider' ) ).toBe( false );
+		expect( output.pop() ).toContain( 'Could not find the main plugin file' );
+	} );
+} );
@@ -0,0 +1,207 @@
+'use strict';
+
+const fs   = require( 'fs-extra' );
+const path = require( 'path' );
+const tmp  = require( 'tmp' );
+
+// The template is copied into every extension, so the tests of its config live here.
+const fields = require( '../../template/config/fields' );
+
+const templateModules = path.join( __dirname, '../../template/module' );
+
+const schema = [
+	{ name: 'title', type: 'text', label: 'Title', description: 'The module\'s "title".', default: 'Hi', toggle: 'main_content' },
+	{ name: 'speed', type: 'range', label: 'Speed', default: '3' },
+	{ name: 'autoplay', type: 'yes_no_button', label: 'Autoplay', default: true },
+	{ name: 'layout', type: 'select', label: 'Layout', options: { grid: 'Grid', list: 'List' } },
+	{ name: 'show', type: 'multiple_checkboxes', label: 'Show', options: { arrows: 'Arrows', dots: 'Dots' }, default: ['dots'] },
+];
+
+// Runs the `getAttrs()` of a generated fields.js.
+function loadAttrs( js ) {
+	const source = js
+		.replace( 'export const defaults', 'const defaults' )
+		.replace( 'export default function getAttrs', 'function getAttrs' );
+
+	return new Function( `${source}\nreturn getAttrs;` )();
+}
+
+describe( 'readSchema', () => {
+	let dir;
+
+	beforeEach( () => {
+		dir = tmp.dirSync( { unsafeCleanup: true } );
+	} );
+
+	afterEach( () => {
+		dir.removeCallback();
+	} );
+
+	it( 'is null for a module without a schema', () => {
+		expect( fields.readSchema( dir.name ) ).toBe( null );
+	} );
+
+	it( 'reads a schema.json or a schema.js', () => {
+		fs.writeJsonSync( path.join( dir.name, 'schema.json' ), schema );
+		expect( fields.readSchema( dir.name ) ).toEqual( { file: path.join( dir.name, 'schema.json' ), fields: schema } );
+
+		fs.removeSync( path.join( dir.name, 'schema.json' ) );
+		fs.writeFileSync( path.join( dir.name, 'schema.js' ), 'module.exports = [{ name: \'title\', type: \'text\', label: \'Title\' }];' );
+		expect( fields.readSchema( dir.name ).fields ).toEqual( [{ name: 'title', type: 'text', label: 'Title' }] );
+	} );
+
+	it( 'fails on a schema that is not an array', () => {
+		fs.writeJsonSync( path.join( dir.name, 'schema.json' ), { title: 'text' } );
+
+		expect( () => fields.readSchema( dir.name ) ).toThrow( 'must contain an array of fields' );
+	} );
+
+	it( 'lists everything that is wrong with the fields', () => {
+		fs.writeJsonSync( path.join( dir.name, 'schema.json' ), [
+			{ name: 'Title', type: 'text', label: 'Title' },
+			{ name: 'speed', type: 'slider', label: 'Speed' },
+			{ name: 'speed', type: 'range' },
+			{ type: 'select', label: 'Layout' },
+		] );
+
+		let error;
+
+		try {
+			fields.readSchema( dir.name );
+		} catch ( err ) {
+			error = err;
+		}
+
+		expect( error.message.split( '\n' ) ).toEqual( [
+			`Invalid field schema ${path.join( dir.name, 'schema.json' )}:`,
+			'  * Field "Title": the name must be lowercase letters, digits and underscores.',
+			`  * Field "speed": the type must be one of ${[
+				'text', 'textarea', 'tiny_mce', 'color', 'color-alpha', 'upload', 'range', 'yes_no_button', 'select', 'multiple_checkboxes',
+			].join( ', ' )}.`,
+			'  * Field "speed": the name is used more than once.',
+			'  * Field "speed": the label is required.',
+			'  * Field #4: the name must be lowercase letters, digits and underscores.',
+			'  * Field #4: a select field needs options.',
+		] );
+	} );
+} );
+
+describe( 'toPhp', () => {
+	it( 'renders the fields of get_fields() with translated labels', () => {
+		expect( fields.toPhp( schema.slice( 0, 4 ), 'my-ext' ) ).toBe( [
+			'<?php',
+			'// Generated from the module\'s schema by the build, do not edit.',
+			'',
+			'return array(',
+			'\t\'title\'    => array(',
+			'\t\t\'label\'           => esc_html__( \'Title\', \'my-ext\' ),',
+			'\t\t\'type\'            => \'text\',',
+			'\t\t\'option_category\' => \'basic_option\',',
+			'\t\t\'description\'     => esc_html__( \'The module\\\'s "title".\', \'my-ext\' ),',
+			'\t\t\'toggle_slug\'     => \'main_content\',',
+			'\t\t\'default\'         => \'Hi\',',
+			'\t),',
+			'\t\'speed\'    => array(',
+			'\t\t\'label\'           => esc_html__( \'Speed\', \'my-ext\' ),',
+			'\t\t\'type\'            => \'range\',',
+			'\t\t\'option_category\' => \'basic_option\',',
+			'\t\t\'default\'         => \'3\',',
+			'\t),',
+			'\t\'autoplay\' => array(',
+			'\t\t\'label\'           => esc_html__( \'Autoplay\', \'my-ext\' ),',
+			'\t\t\'type\'            => \'yes_no_button\',',
+			'\t\t\'option_category\' => \'basic_option\',',
+			'\t\t\'options\'         => array(',
+			'\t\t\t\'off\' => esc_html__( \'No\', \'my-ext\' ),',
+			'\t\t\t\'on\'  => esc_html__( \'Yes\', \'my-ext\' ),',
+			'\t\t),',
+			'\t\t\'default\'         => \'on\',',
+			'\t),',
+			'\t\'layout\'   => array(',
+			'\t\t\'label\'           => esc_html__( \'Layout\', \'my-ext\' ),',
+			'\t\t\'type\'            => \'select\',',
+			'\t\t\'option_category\' => \'basic_option\',',
+			'\t\t\'options\'         => array(',
+			'\t\t\t\'grid\' => esc_html__( \'Grid\', \'my-ext\' ),',
+			'\t\t\t\'list\' => esc_html__( \'List\', \'my-ext\' ),',
+			'\t\t),',
+			'\t\t\'default\'         => \'grid\',',
+			'\t),',
+			');',
+			'',
+		].join( '\n' ) );
+	} );
+
+	it( 'escapes the quotes and backslashes of the strings', () => {
+		const php = fields.toPhp( [{ name: 'path', type: 'text', label: 'It\'s C:\\path', default: '\\\'' }], 'it\'s' );
+
+		expect( php ).toContain( '\'label\'           => esc_html__( \'It\\\'s C:\\\\path\', \'it\\\'s\' ),' );
+		expect( php ).toContain( '\'default\'         => \'\\\\\\\'\',' );
+	} );
+
+	it( 'stores the defaults the way Divi does', () => {
+		const php = fields.toPhp( [schema[4]], 'my-ext' );
+
+		expect( php ).toContain( '\'default\'         => \'off|on\',' );
+		expect( fields.toPhp( [], 'my-ext' ) ).toMatch( /return array\(\);\n$/ );
+	} );
+} );
+
+describe( 'toJs', () => {
+	it( 'renders the defaults', () => {
+		const js = fields.toJs( schema );
+
+		expect( js ).toContain( [
+			'export const defaults = {',
+			'\ttitle: "Hi",',
+			'\tspeed: 3,',
+			'\tautoplay: true,',
+			'\tlayout: "grid",',
+			'\tshow: ["dots"],',
+			'};',
+		].join( '\n' ) );
+	} );
+
+	it( 'reads the attributes with their types', () => {
+		const getAttrs = loadAttrs( fields.toJs( schema ) );
+
+		expect( getAttrs() ).toEqual( { title: 'Hi', speed: 3, autoplay: true, layout: 'grid', show: ['dots'] } );
+		expect( getAttrs( { title: 5, speed: '1.5', autoplay: 'off', layout: 'list', show: 'on|on' } ) ).toEqual( {
+			title:    '5',
+			speed:    1.5,
+			autoplay: false,
+			layout:   'list',
+			show:     ['arrows', 'dots'],
+		} );
+		expect( getAttrs( { speed: 'fast', layout: 'table' } ) ).toMatchObject( { speed: 3, layout: 'grid' } );
+	} );
+} );
+
+describe( 'generateFields', () => {
+	let dir;
+
+	beforeEach( () => {
+		dir = tmp.dirSync( { unsafeCleanup: true } );
+	} );
+
+	afterEach( () => {
+		dir.removeCallback();
+	} );
+
+	it( 'writes the fields of the modules that have a schema', () => {
+		fs.outputJsonSync( path.join( dir.name, 'Slider', 'schema.json' ), schema );
+		fs.ensureDirSync( path.join( dir.name, 'Toggle' ) );
+
+		expect( fields.generateFields( dir.name, 'my-ext' ) ).toEqual( [path.join( dir.name, 'Slider', 'schema.json' )] );
+		expect( fs.readFileSync( path.join( dir.name, 'Slider', 'fields.php' ), 'utf8' ) ).toBe( fields.toPhp( schema, 'my-ext' ) );
+		expect( fs.readFileSync( path.join( dir.name, 'Slider', 'fields.js' ), 'utf8' ) ).toBe( fields.toJs( schema ) );
+		expect( fs.readdirSync( path.join( dir.name, 'Toggle' ) ) ).toEqual( [] );
+	} );
+
+	it( 'matches the fields of the sample module', () => {
+		const sample = fields.readSchema( path.join( templateModules, 'HelloWorld' ) );
+
+		expect( fs.readFileSync( path.join( templateModules, 'HelloWorld', 'fields.php' ), 'utf8' ) ).toBe( fields.toPhp( sample.fields, '<GETTEXT_DOMAIN>' ) );
+		expect( fs.readFileSync( path.join( templateModules, 'HelloWorld', 'fields.js' ), 'utf8' ) ).toBe( fields.toJs( sample.fields ) );
+	} );
+} );
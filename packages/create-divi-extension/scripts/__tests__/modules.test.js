@@ -0,0 +1,163 @@
+'use strict';
+
+const fs   = require( 'fs-extra' );
+const path = require( 'path' );
+const tmp  = require( 'tmp' );
+
+// The template is copied into every extension, so the tests of its config live here.
+const modules = require( '../../template/config/modules' );
+
+const templateModules = path.join( __dirname, '../../template/module' );
+
+describe( 'the module discovery', () => {
+	let dir;
+
+	// Adds a module directory with a PHP class for the slug, if any, and a component.
+	function addModule( name, slug, files ) {
+		const moduleDir = path.join( dir.name, name );
+
+		fs.ensureDirSync( moduleDir );
+
+		if ( typeof slug === 'string' ) {
+			fs.writeFileSync( path.join( moduleDir, `${name}.php` ), `<?php\nclass ${name} {\n\tfunction init() {\n\t\t$this->slug = '${slug}';\n\t}\n}\n` );
+		}
+
+		( files || [`${name}.jsx`] ).forEach( file => fs.writeFileSync( path.join( moduleDir, file ), '' ) );
+	}
+
+	beforeEach( () => {
+		dir = tmp.dirSync( { unsafeCleanup: true } );
+	} );
+
+	afterEach( () => {
+		dir.removeCallback();
+	} );
+
+	describe( 'discoverModules', () => {
+		it( 'finds the modules with a slug, sorted by name', () => {
+			addModule( 'Toggle', 'myex_toggle' );
+			addModule( 'Slider', 'myex_slider' );
+
+			const result = modules.discoverModules( dir.name );
+
+			expect( result.modules.map( module => [module.name, module.slug, module.hasComponent] ) ).toEqual( [
+				['Slider', 'myex_slider', true],
+				['Toggle', 'myex_toggle', true],
+			] );
+			expect( result.warnings ).toEqual( [] );
+		} );
+
+		it( 'warns about the modules that are missing from one side', () => {
+			addModule( 'NoClass', null );
+			addModule( 'NoSlug', '' );
+			addModule( 'NoComponent', 'myex_no_component', [] );
+			addModule( 'shared', null, ['utils.js'] );
+
+			const result = modules.discoverModules( dir.name );
+
+			expect( result.modules.map( module => module.name ) ).toEqual( ['NoComponent'] );
+			expect( result.warnings ).toEqual( [
+				'module/NoClass has a component but no NoClass.php, it isn\'t registered.',
+				'module/NoComponent has no NoComponent.jsx, the module won\'t render in the Visual Builder.',
+				'module/NoSlug/NoSlug.php doesn\'t set $this->slug, the module isn\'t registered.',
+			] );
+		} );
+
+		it( 'warns about a component that can\'t be imported', () => {
+			addModule( 'my-slider', 'myex_slider' );
+
+			expect( modules.discoverModules( dir.name ) ).toEqual( {
+				modules:  [],
+				warnings: ['module/my-slider: the directory name must be a valid JavaScript identifier to import the component.'],
+			} );
+		} );
+
+		it( 'fails when two modules use the same slug', () => {
+			addModule( 'Slider', 'myex_slider' );
+			addModule( 'Carousel', 'myex_slider' );
+
+			expect( () => modules.discoverModules( dir.name ) ).toThrow(
+				'module/Carousel and module/Slider both use the slug "myex_slider".'
+			);
+		} );
+	} );
+
+	describe( 'findFrontendBundles', () => {
+		it( 'bundles the stylesheet and the frontend script of each module', () => {
+			addModule( 'ImageSlider', 'myex_image_slider', ['ImageSlider.jsx', 'frontend.js', 'styles.scss'] );
+			addModule( 'Toggle', 'myex_toggle' );
+
+			expect( modules.findFrontendBundles( dir.name ) ).toEqual( [{
+				entry: 'frontend-image-slider',
+				files: [path.join( dir.name, 'ImageSlider', 'styles.scss' ), path.join( dir.name, 'ImageSlider', 'frontend.js' )],
+				slug:  'myex_image_slider',
+			}] );
+		} );
+	} );
+
+	describe( 'generateModules', () => {
+		it( 'writes the components and the classes by slug', () => {
+			addModule( 'Toggle', 'myex_toggle' );
+			addModule( 'ImageSlider', 'myex_image_slider' );
+			addModule( 'Shortcode', 'myex_shortcode', [] );
+
+			expect( modules.generateModules( dir.name ) ).toEqual( [
+				'module/Shortcode has no Shortcode.jsx, the module won\'t render in the Visual Builder.',
+			] );
+			expect( fs.readFileSync( path.join( dir.name, 'modules.js' ), 'utf8' ) ).toBe( [
+				'/* eslint-disable */',
+				'// Generated from the module directories by the build, do not edit.',
+				'',
+				'import ImageSlider from \'./ImageSlider/ImageSlider\';',
+				'import Toggle from \'./Toggle/Toggle\';',
+				'',
+				'export default [',
+				'\t{ component: ImageSlider, slug: \'myex_image_slider\' },',
+				'\t{ component: Toggle, slug: \'myex_toggle\' },',
+				'];',
+				'',
+			].join( '\n' ) );
+			expect( fs.readFileSync( path.join( dir.name, 'modules.php' ), 'utf8' ) ).toBe( [
+				'<?php',
+				'// Generated from the module directories by the build, do not edit.',
+				'',
+				'return array(',
+				'\t\'myex_image_slider\' => \'ImageSlider/ImageSlider.php\',',
+				'\t\'myex_shortcode\'    => \'Shortcode/Shortcode.php\',',
+				'\t\'myex_toggle\'       => \'Toggle/Toggle.php\',',
+				');',
+				'',
+			].join( '\n' ) );
+		} );
+
+		it( 'writes empty lists without modules', () => {
+			modules.generateModules( dir.name );
+
+			expect( fs.readFileSync( path.join( dir.name, 'modules.js' ), 'utf8' ) ).toMatch( /\n\nexport default \[\n\];\n$/ );
+			expect( fs.readFileSync( path.join( dir.name, 'modules.php' ), 'utf8' ) ).toMatch( /\n\nreturn array\(\);\n$/ );
+		} );
+
+		it( 'leaves the files alone when nothing changed', () => {
+			addModule( 'Toggle', 'myex_toggle' );
+			modules.generateModules( dir.name );
+
+			const file = path.join( dir.name, 'modules.js' );
+
+			fs.utimesSync( file, 1000, 1000 );
+			modules.generateModules( dir.name );
+
+			expect( fs.statSync( file ).mtime.getTime() ).toBe( 1000000 );
+			expect( modules.writeIfChanged( file, 'export default [];\n' ) ).toBe( true );
+			expect( modules.writeIfChanged( file, 'export default [];\n' ) ).toBe( false );
+		} );
+
+		it( 'matches the modules of the template', () => {
+			fs.copySync( templateModules, dir.name );
+
+			expect( modules.generateModules( dir.name ) ).toEqual( [] );
+			['modules.js', 'modules.php'].forEach( file => {
+				expect( fs.readFileSync( path.join( dir.name, file ), 'utf8' ) ).toBe( fs.readFileSync( path.join( templateModules, file ), 'utf8' ) );
+			} );
+		} );
+	} );
+} );
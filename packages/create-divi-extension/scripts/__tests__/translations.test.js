@@ -0,0 +1,149 @@
+'use strict';
+
+const fs   = require( 'fs-extra' );
+const path = require( 'path' );
+const tmp  = require( 'tmp' );
+
+// The template is copied into every extension, so the tests of its config live here.
+const translations = require( '../../template/config/translations' );
+
+const po = [
+	'# Translation of My Extension in German',
+	'msgid ""',
+	'msgstr ""',
+	'"Language: de_DE\\n"',
+	'"Plural-Forms: nplurals=2; plural=(n != 1);\\n"',
+	'',
+	'#: module/HelloWorld/HelloWorld.jsx:12',
+	'msgid "Type the text of the module in its settings."',
+	'msgstr "Gib den Text des Moduls in seinen Einstellungen ein."',
+	'',
+	'#: module/index.js:4 module/Slider/Slider.jsx:8',
+	'msgctxt "noun"',
+	'msgid "Slide"',
+	'msgstr "Folie"',
+	'',
+	'#: module/Slider/Slider.jsx:20',
+	'msgid "%d slide"',
+	'msgid_plural "%d slides"',
+	'msgstr[0] "%d Folie"',
+	'msgstr[1] "%d Folien"',
+	'',
+	'#: my-ext.php:40',
+	'msgid "Settings"',
+	'msgstr "Einstellungen"',
+	'',
+	'#: module/Slider/Slider.jsx:30',
+	'#, fuzzy',
+	'msgid "Autoplay"',
+	'msgstr "Automatisch"',
+	'',
+	'#: module/Slider/Slider.jsx:31',
+	'msgid "Speed"',
+	'msgstr ""',
+	'',
+	'#: module/Slider/Slider.jsx:32',
+	'msgid ""',
+	'"Say \\"hi\\"\\n"',
+	'"to everyone"',
+	'msgstr ""',
+	'"Sag \\"hallo\\"\\n"',
+	'"zu allen"',
+	'',
+	'#~ msgid "Old"',
+	'#~ msgstr "Alt"',
+	'',
+].join( '\n' );
+
+describe( 'parsePo', () => {
+	it( 'reads the entries, without the obsolete ones', () => {
+		const entries = translations.parsePo( po.replace( /\n/g, '\r\n' ) );
+
+		expect( entries.map( entry => entry.id ) ).toEqual( [
+			'',
+			'Type the text of the module in its settings.',
+			'Slide',
+			'%d slide',
+			'Settings',
+			'Autoplay',
+			'Speed',
+			'Say "hi"\nto everyone',
+		] );
+		expect( entries[0].translations ).toEqual( ['Language: de_DE\nPlural-Forms: nplurals=2; plural=(n != 1);\n'] );
+		expect( entries[2] ).toEqual( {
+			context:      'noun',
+			id:           'Slide',
+			plural:       null,
+			translations: ['Folie'],
+			references:   ['module/index.js:4', 'module/Slider/Slider.jsx:8'],
+			fuzzy:        false,
+			obsolete:     false,
+		} );
+		expect( entries[3].plural ).toBe( '%d slides' );
+		expect( entries[5].fuzzy ).toBe( true );
+	} );
+} );
+
+describe( 'compilePo', () => {
+	it( 'keeps the translated strings of the scripts, in the Jed format', () => {
+		expect( translations.compilePo( po, 'my-ext', 'de_DE' ) ).toEqual( {
+			domain:      'my-ext',
+			locale_data: {
+				'my-ext': {
+					'': {
+						domain:         'my-ext',
+						lang:           'de_DE',
+						'plural-forms': 'nplurals=2; plural=(n != 1);',
+					},
+					'Type the text of the module in its settings.': ['Gib den Text des Moduls in seinen Einstellungen ein.'],
+					'noun\u0004Slide':                              ['Folie'],
+					'%d slide':                                     ['%d Folie', '%d Folien'],
+					'Say "hi"\nto everyone':                        ['Sag "hallo"\nzu allen'],
+				},
+			},
+		} );
+	} );
+
+	it( 'keeps every string of a file without references, with the default plural forms', () => {
+		const messages = translations.compilePo( 'msgid "Settings"\nmsgstr "Réglages"\n', 'my-ext', 'fr_FR' ).locale_data['my-ext'];
+
+		expect( messages ).toEqual( {
+			'': {
+				domain:         'my-ext',
+				lang:           'fr_FR',
+				'plural-forms': 'nplurals=2; plural=(n != 1);',
+			},
+			Settings: ['Réglages'],
+		} );
+	} );
+} );
+
+describe( 'compileTranslations', () => {
+	let dir;
+
+	beforeEach( () => {
+		dir = tmp.dirSync( { unsafeCleanup: true } );
+	} );
+
+	afterEach( () => {
+		dir.removeCallback();
+	} );
+
+	it( 'writes a .json file next to each .po file of the text domain', () => {
+		fs.writeFileSync( path.join( dir.name, 'my-ext-de_DE.po' ), po );
+		fs.writeFileSync( path.join( dir.name, 'my-ext-pt_BR.po' ), 'msgid "Settings"\nmsgstr "Configurações"\n' );
+		fs.writeFileSync( path.join( dir.name, 'my-ext.pot' ), '' );
+		fs.writeFileSync( path.join( dir.name, 'other-fr_FR.po' ), po );
+
+		expect( translations.compileTranslations( dir.name, 'my-ext' ) ).toEqual( [
+			path.join( dir.name, 'my-ext-de_DE.po' ),
+			path.join( dir.name, 'my-ext-pt_BR.po' ),
+		] );
+		expect( fs.readdirSync( dir.name ).filter( file => /\.json$/.test( file ) ) ).toEqual( ['my-ext-de_DE.json', 'my-ext-pt_BR.json'] );
+		expect( fs.readJsonSync( path.join( dir.name, 'my-ext-pt_BR.json' ) ).locale_data['my-ext'].Settings ).toEqual( ['Configurações'] );
+	} );
+
+	it( 'does nothing without a languages directory', () => {
+		expect( translations.compileTranslations( path.join( dir.name, 'languages' ), 'my-ext' ) ).toEqual( [] );
+	} );
+} );
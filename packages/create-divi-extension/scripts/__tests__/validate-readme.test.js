@@ -0,0 +1,154 @@
+'use strict';
+
+const fs   = require( 'fs-extra' );
+const path = require( 'path' );
+const tmp  = require( 'tmp' );
+
+const validateReadme = require( '../validate-readme' );
+
+const plugin = [
+	'<?php',
+	'/*',
+	'Plugin Name:       My Extension',
+	'Version:           1.0.0',
+	'Requires at least: 6.8',
+	'Requires PHP:      7.4',
+	'License:           GPL2',
+	'*/',
+	'',
+	'define( \'MYEX_PLUGIN_DIR\', __DIR__ );',
+	'',
+].join( '\n' );
+
+const readme = [
+	'=== My Extension ===',
+	'Contributors: janedoe, elegantthemes',
+	'Requires at least: 6.8',
+	'Tested up to: 6.8',
+	'Requires PHP: 7.4',
+	'Stable tag: 1.0.0',
+	'License: GPL2',
+	'',
+	'Adds a few custom modules to Divi.',
+	'',
+	'== Description ==',
+	'',
+	'A slider and a toggle.',
+	'',
+	'== Installation ==',
+	'',
+	'Upload the zip on the Plugins screen.',
+	'',
+	'== Changelog ==',
+	'',
+	'= 1.0.0 =',
+	'* First release.',
+	'',
+].join( '\n' );
+
+describe( 'the validate-readme command', () => {
+	let dir;
+	let output;
+
+	// Runs the command on a readme.txt, it returns whether it passed.
+	function validate( content ) {
+		fs.writeFileSync( path.join( dir.name, 'readme.txt' ), content );
+
+		try {
+			validateReadme( dir.name );
+		} catch ( err ) {
+			return false;
+		}
+
+		return true;
+	}
+
+	beforeEach( () => {
+		dir    = tmp.dirSync( { unsafeCleanup: true } );
+		output = [];
+
+		fs.writeJsonSync( path.join( dir.name, 'package.json' ), { name: 'my-ext', version: '1.0.0' } );
+		fs.writeFileSync( path.join( dir.name, 'my-ext.php' ), plugin );
+
+		jest.spyOn( console, 'log' ).mockImplementation( message => output.push( message ) );
+		jest.spyOn( console, 'error' ).mockImplementation( message => output.push( message ) );
+		// The command exits on the errors, the test stops there instead.
+		jest.spyOn( process, 'exit' ).mockImplementation( code => {
+			throw new Error( `exit ${code}` );
+		} );
+	} );
+
+	afterEach( () => {
+		console.log.mockRestore();
+		console.error.mockRestore();
+		process.exit.mockRestore();
+		dir.removeCallback();
+	} );
+
+	it( 'accepts a complete readme', () => {
+		expect( validate( readme ) ).toBe( true );
+		expect( output.join( '\n' ) ).not.toMatch( /error|warning/ );
+	} );
+
+	it( 'fails when the plugin directory would reject the readme', () => {
+		expect( validate( readme.replace( 'Tested up to: 6.8\n', '' ).replace( 'Requires PHP: 7.4', 'Requires PHP: 8' ) ) ).toBe( false );
+
+		const messages = output.join( '\n' );
+
+		expect( messages ).toContain( 'The "Tested up to:" header is missing.' );
+		expect( messages ).toContain( 'The "Requires PHP:" header must be a version like 6.8, not "8".' );
+		expect( messages ).toContain( 'The "Requires PHP:" header is "8", but it is "7.4" in the plugin header.' );
+		expect( output.pop() ).toContain( 'has 3 error(s)' );
+	} );
+
+	it( 'fails when the Stable tag or a header doesn\'t agree with the plugin header', () => {
+		expect( validate( readme.replace( 'Stable tag: 1.0.0', 'Stable tag: 0.9.0' ).replace( 'License: GPL2', 'License: MIT' ) ) ).toBe( false );
+
+		const messages = output.join( '\n' );
+
+		expect( messages ).toContain( 'The Stable tag 0.9.0 isn\'t the Version 1.0.0 of the plugin header.' );
+		expect( messages ).toContain( 'The "License:" header is "MIT", but it is "GPL2" in the plugin header.' );
+	} );
+
+	it( 'only warns about what the plugin directory accepts', () => {
+		const content = readme
+			.replace( 'Stable tag: 1.0.0', 'Stable tag: trunk' )
+			.replace( '== Installation ==\n\nUpload the zip on the Plugins screen.\n\n', '' )
+			.replace( '= 1.0.0 =', '= 0.9.0 =' )
+			.replace( 'Adds a few custom modules to Divi.', 'Adds a few custom modules to Divi. '.repeat( 5 ) );
+
+		expect( validate( content ) ).toBe( true );
+
+		const messages = output.join( '\n' );
+
+		expect( messages ).toContain( 'The Stable tag is "trunk".' );
+		expect( messages ).toContain( 'The "== Installation ==" section is missing.' );
+		expect( messages ).toContain( 'The changelog has no "= 1.0.0 =" entry for the current version.' );
+		expect( messages ).toContain( 'only the first 150 are shown.' );
+		expect( messages ).toContain( 'Check the 4 warning(s) though.' );
+	} );
+
+	it( 'warns about the contributors that are missing or not usernames', () => {
+		expect( validate( readme.replace( 'Contributors: janedoe, elegantthemes\n', '' ) ) ).toBe( true );
+		expect( output.join( '\n' ) ).toContain( 'The "Contributors:" header is missing.' );
+
+		output = [];
+		expect( validate( readme.replace( 'janedoe', 'Jane Doe' ) ) ).toBe( true );
+
+		const messages = output.join( '\n' );
+
+		expect( messages ).toContain( 'The contributor "Jane Doe" isn\'t a WordPress.org username' );
+		expect( messages ).not.toContain( '"elegantthemes"' );
+		expect( messages ).toContain( 'Check the 1 warning(s) though.' );
+	} );
+
+	it( 'fails without a name, a short description or a description', () => {
+		expect( validate( 'Stable tag: 1.0.0\n\n== Changelog ==\n\n= 1.0.0 =\n* First release.\n' ) ).toBe( false );
+
+		const messages = output.join( '\n' );
+
+		expect( messages ).toContain( 'The first line must be the name of the plugin' );
+		expect( messages ).toContain( 'The short description is missing.' );
+		expect( messages ).toContain( 'The "== Description ==" section is missing.' );
+	} );
+} );
@@ -0,0 +1,104 @@
+'use strict';
+
+const fs   = require( 'fs-extra' );
+const path = require( 'path' );
+const tmp  = require( 'tmp' );
+
+const version = require( '../version' );
+
+describe( 'the version command', () => {
+	let dir;
+	let output;
+
+	// The versions in the files of the project, as `file: version`.
+	function readVersions() {
+		const plugin = fs.readFileSync( path.join( dir.name, 'my-ext.php' ), 'utf8' );
+
+		return [
+			`package.json: ${fs.readJsonSync( path.join( dir.name, 'package.json' ) ).version}`,
+			`header: ${plugin.match( /Version:\s*(\S+)/ )[1]}`,
+			`constant: ${plugin.match( /'MYEX_VERSION', '([^']*)'/ )[1]}`,
+			`readme.txt: ${fs.readFileSync( path.join( dir.name, 'readme.txt' ), 'utf8' ).match( /Stable tag:\s*(\S+)/ )[1]}`,
+		];
+	}
+
+	beforeEach( () => {
+		dir    = tmp.dirSync( { unsafeCleanup: true } );
+		output = [];
+
+		fs.writeJsonSync( path.join( dir.name, 'package.json' ), { name: 'my-ext', version: '1.2.3' } );
+		fs.writeFileSync( path.join( dir.name, 'my-ext.php' ), [
+			'<?php',
+			'/*',
+			'Plugin Name: My Extension',
+			'Version:     1.2.3',
+			'*/',
+			'',
+			'define( \'MYEX_VERSION\', \'1.2.3\' );',
+			'define( \'MYEX_PLUGIN_DIR\', __DIR__ );',
+			'',
+		].join( '\n' ) );
+		fs.writeFileSync( path.join( dir.name, 'readme.txt' ), '=== My Extension ===\nStable tag: 1.2.3\n\n== Changelog ==\n\n= 1.2.3 =\n* Fixed the toggles.\n' );
+
+		jest.spyOn( console, 'log' ).mockImplementation( message => output.push( message ) );
+		jest.spyOn( console, 'error' ).mockImplementation( message => output.push( message ) );
+		// The command exits on the errors, the test stops there instead.
+		jest.spyOn( process, 'exit' ).mockImplementation( code => {
+			throw new Error( `exit ${code}` );
+		} );
+	} );
+
+	afterEach( () => {
+		console.log.mockRestore();
+		console.error.mockRestore();
+		process.exit.mockRestore();
+		dir.removeCallback();
+	} );
+
+	it( 'increments the version everywhere', () => {
+		version( dir.name, 'patch' );
+		expect( readVersions() ).toEqual( ['package.json: 1.2.4', 'header: 1.2.4', 'constant: 1.2.4', 'readme.txt: 1.2.4'] );
+
+		version( dir.name, 'minor' );
+		expect( readVersions()[0] ).toBe( 'package.json: 1.3.0' );
+
+		version( dir.name, 'major' );
+		expect( readVersions() ).toEqual( ['package.json: 2.0.0', 'header: 2.0.0', 'constant: 2.0.0', 'readme.txt: 2.0.0'] );
+	} );
+
+	it( 'sets a version that is greater', () => {
+		version( dir.name, '1.10.0' );
+		expect( readVersions()[3] ).toBe( 'readme.txt: 1.10.0' );
+
+		expect( () => version( dir.name, '1.9.0' ) ).toThrow( 'exit 1' );
+		expect( output.pop() ).toMatch( /isn't greater than/ );
+		expect( readVersions()[0] ).toBe( 'package.json: 1.10.0' );
+
+		version( dir.name, '1.9.0', { force: true } );
+		expect( readVersions()[0] ).toBe( 'package.json: 1.9.0' );
+	} );
+
+	it( 'fails on a version that isn\'t valid', () => {
+		expect( () => version( dir.name, 'next' ) ).toThrow( 'exit 1' );
+		expect( output.pop() ).toMatch( /must be major, minor, patch or a version like/ );
+	} );
+
+	it( 'stops when the files don\'t have the same version, unless it is forced', () => {
+		fs.writeFileSync( path.join( dir.name, 'readme.txt' ), 'Stable tag: 1.2.0\n' );
+
+		expect( () => version( dir.name, 'patch' ) ).toThrow( 'exit 1' );
+		expect( readVersions()[0] ).toBe( 'package.json: 1.2.3' );
+
+		version( dir.name, 'patch', { force: true } );
+		expect( readVersions() ).toEqual( ['package.json: 1.2.4', 'header: 1.2.4', 'constant: 1.2.4', 'readme.txt: 1.2.4'] );
+	} );
+
+	it( 'adds the changelog entry to readme.txt', () => {
+		version( dir.name, 'minor', { changelog: 'Added a slider module.' } );
+
+		expect( fs.readFileSync( path.join( dir.name, 'readme.txt' ), 'utf8' ) ).toBe(
+			'=== My Extension ===\nStable tag: 1.3.0\n\n== Changelog ==\n\n= 1.3.0 =\n* Added a slider module.\n\n= 1.2.3 =\n* Fixed the toggles.\n'
+		);
+		expect( fs.existsSync( path.join( dir.name, 'CHANGELOG.md' ) ) ).toBe( false );
+	} );
+} );
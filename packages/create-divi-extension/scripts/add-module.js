@@ -0,0 +1,101 @@
+'use strict';
+
+const chalk = require( 'chalk' );
+const fs    = require( 'fs-extra' );
+const path  = require( 'path' );
+
+const getProjectInfo      = require( './utils/project' ).getProjectInfo;
+const getPrefixExpansions = require( './utils/tokens' ).getPrefixExpansions;
+const replaceTokens       = require( './utils/tokens' ).replaceTokens;
+
+const blueprint = path.join( __dirname, 'templates', 'module' );
+
+// Blueprint file => file name in the new module's directory.
+const blueprintFiles = {
+	'Module.jsx':  name => `${name}.jsx`,
+	'Module.php':  name => `${name}.php`,
+	'schema.json': () => 'schema.json',
+	'fields.php':  () => 'fields.php',
+	'fields.js':   () => 'fields.js',
+	'styles.scss': () => 'styles.scss',
+};
+
+function fail( message ) {
+	console.error( chalk.red( message ) );
+	process.exit( 1 );
+}
+
+function toWords( name ) {
+	return name.replace( /([a-z0-9])([A-Z])/g, '$1 $2' ).replace( /([A-Z]+)([A-Z][a-z])/g, '$1 $2' );
+}
+
+// Finds a module class that already uses the slug.
+function findSlug( moduleRoot, slug ) {
+	return fs
+		.readdirSync( moduleRoot )
+		.map( name => path.join( moduleRoot, name, `${name}.php` ) )
+		.filter( file => fs.existsSync( file ) )
+		.filter( file => fs.readFileSync( file, 'utf8' ).indexOf( `'${slug}'` ) > -1 )[0];
+}
+
+/**
+ * Scaffolds a new module into `module/<name>/`. The build discovers it and
+ * registers it with both the Visual Builder and WordPress.
+ *
+ * @param {string} root The project directory.
+ * @param {string} name The module's class name, eg. `ContactCard`.
+ * @returns {void}
+ */
+module.exports = function( root, name ) {
+	if ( !/^[A-Z][A-Za-z0-9]*$/.test( name ) ) {
+		fail( `The module name ${chalk.green( `"${name}"` )} must be in PascalCase, eg. ${chalk.green( 'ContactCard' )}.` );
+	}
+
+	let project;
+
+	try {
+		project = getProjectInfo( root );
+	} catch ( err ) {
+		fail( err.message );
+	}
+
+	const moduleRoot = path.join( root, 'module' );
+	const moduleDir  = path.join( moduleRoot, name );
+	const slug       = `${project.prefix}_pb_${toWords( name ).replace( / /g, '_' ).toLowerCase()}`;
+
+	if ( !fs.existsSync( moduleRoot ) ) {
+		fail( `Could not find ${chalk.cyan( moduleRoot )}.` );
+	}
+
+	if ( fs.existsSync( moduleDir ) ) {
+		fail( `The module ${chalk.green( name )} already exists in ${chalk.cyan( moduleDir )}.` );
+	}
+
+	const existing = findSlug( moduleRoot, slug );
+
+	if ( existing ) {
+		fail( `The slug ${chalk.green( slug )} is already used by ${chalk.cyan( existing )}.` );
+	}
+
+	const tokens = Object.assign( getPrefixExpansions( project.prefix ), {
+		'<MODULE_NAME>':    name,
+		'<MODULE_TITLE>':   toWords( name ),
+		'<MODULE_SLUG>':    slug,
+		'<GETTEXT_DOMAIN>': project.textDomain,
+	} );
+
+	console.log( `Adding the ${chalk.green( name )} module to ${chalk.cyan( root )}.` );
+	console.log();
+
+	fs.ensureDirSync( moduleDir );
+	Object.keys( blueprintFiles ).forEach( file => {
+		const content = fs.readFileSync( path.join( blueprint, file ), 'utf8' );
+		const target  = path.join( moduleDir, blueprintFiles[file]( name ) );
+
+		fs.writeFileSync( target, replaceTokens( content, tokens ) );
+		console.log( `  Created ${chalk.cyan( path.relative( root, target ) )}` );
+	} );
+
+	console.log();
+	console.log( `${chalk.green( 'Done!' )} The next build registers it as ${chalk.green( slug )}.` );
+};
@@ -0,0 +1,89 @@
+'use strict';
+
+const chalk     = require( 'chalk' );
+const fs        = require( 'fs-extra' );
+const minimatch = require( 'minimatch' );
+const path      = require( 'path' );
+
+const collectEntries  = require( './utils/gettext' ).collectEntries;
+const extractJs       = require( './utils/gettext' ).extractJs;
+const extractPhp      = require( './utils/gettext' ).extractPhp;
+const formatPot       = require( './utils/gettext' ).formatPot;
+const getPluginHeader = require( './utils/project' ).getPluginHeader;
+const getProjectInfo  = require( './utils/project' ).getProjectInfo;
+const listFiles       = require( './utils/project' ).listFiles;
+
+// The files the strings are extracted from, by the extractor they are read with.
+const sources = [
+	{ pattern: 'module/**/*.php', extract: extractPhp },
+	{ pattern: 'module/**/*.jsx', extract: extractJs },
+];
+
+function fail( message ) {
+	console.error( chalk.red( message ) );
+	process.exit( 1 );
+}
+
+/**
+ * Extracts the translatable strings of the modules into
+ * `languages/<text-domain>.pot`, the template translators start from. The
+ * gettext calls for another text domain are reported and left out.
+ *
+ * @param {string} root The project directory.
+ * @returns {void}
+ */
+module.exports = function( root ) {
+	let project;
+
+	try {
+		project = getProjectInfo( root );
+	} catch ( err ) {
+		fail( err.message );
+	}
+
+	const plugin   = fs.readFileSync( project.pluginFile, 'utf8' );
+	const name     = getPluginHeader( plugin, 'Plugin Name' ) || project.packageJson.name;
+	const warnings = [];
+
+	const files = listFiles( root )
+		.sort()
+		.map( file => ( { file, source: sources.filter( source => minimatch( file, source.pattern ) )[0] } ) )
+		.filter( file => file.source )
+		.map( file => {
+			try {
+				return Object.assign( { file: file.file }, file.source.extract( fs.readFileSync( path.join( root, file.file ), 'utf8' ) ) );
+			} catch ( err ) {
+				warnings.push( `${file.file}: could not be read, ${err.message}` );
+				return null;
+			}
+		} )
+		.filter( file => file );
+
+	const result  = collectEntries( files, project.textDomain );
+	const potPath = path.join( root, 'languages', `${project.textDomain}.pot` );
+	const year    = new Date().getFullYear();
+
+	fs.ensureDirSync( path.dirname( potPath ) );
+	fs.writeFileSync( potPath, formatPot( result.entries, {
+		'Project-Id-Version':        `${name} ${project.packageJson.version || ''}`.trim(),
+		'Report-Msgid-Bugs-To':      '',
+		'POT-Creation-Date':         new Date().toISOString().replace( /\.\d+Z$/, '+00:00' ),
+		'MIME-Version':              '1.0',
+		'Content-Type':              'text/plain; charset=UTF-8',
+		'Content-Transfer-Encoding': '8bit',
+		'PO-Revision-Date':          'YEAR-MO-DA HO:MI+ZONE',
+		'Last-Translator':           'FULL NAME <EMAIL@ADDRESS>',
+		'Language-Team':             'LANGUAGE <LL@li.org>',
+		'X-Domain':                  project.textDomain,
+	}, [
+		`Copyright (C) ${year} ${getPluginHeader( plugin, 'Author' ) || name}`,
+		`This file is distributed under the same license as the ${name} plugin.`,
+	] ) );
+
+	warnings.concat( result.warnings ).forEach( warning => console.log( `  ${chalk.yellow( 'warning' )}  ${warning}` ) );
+	if ( warnings.length || result.warnings.length ) {
+		console.log();
+	}
+
+	console.log( `Extracted ${result.entries.length} strings from ${files.length} files into ${chalk.cyan( path.relative( root, potPath ) )}.` );
+};
@@ -0,0 +1,169 @@
+'use strict';
+
+const chalk     = require( 'chalk' );
+const fs        = require( 'fs-extra' );
+const minimatch = require( 'minimatch' );
+const path      = require( 'path' );
+const spawnSync = require( 'cross-spawn' ).sync;
+
+const detectPackageManager = require( './utils/package-manager' ).detectPackageManager;
+const getProjectInfo       = require( './utils/project' ).getProjectInfo;
+const listFiles            = require( './utils/project' ).listFiles;
+const createZip            = require( './utils/zip' ).createZip;
+
+// What WordPress needs to run the extension, besides the main plugin file. It can be
+// changed with "diviExtension.packageFiles" in package.json, `!` excludes files.
+const defaultFiles = [
+	'module/**/*.php',
+	'scripts/**/*.js',
+	'styles/**/*.css',
+	'manifest.json',
+	'languages/**/*.{pot,po,mo,json}',
+	'readme.txt',
+	'!scripts/hot/**',
+];
+
+function fail( message ) {
+	console.error( chalk.red( message ) );
+	process.exit( 1 );
+}
+
+/**
+ * Picks the files of the project that go into the plugin. Every pattern is
+ * applied in order, so a `!pattern` excludes what the patterns before it include.
+ *
+ * @param {Array<string>} files    The relative paths of the files in the project.
+ * @param {Array<string>} patterns The patterns, see `defaultFiles`.
+ * @returns {{files: Array<string>, unmatched: Array<string>}} The files and the patterns that
+ *          didn't include any.
+ */
+function selectFiles( files, patterns ) {
+	const selected  = {};
+	const unmatched = [];
+
+	patterns.forEach( pattern => {
+		const exclude = pattern.charAt( 0 ) === '!';
+		const glob    = exclude ? pattern.slice( 1 ) : pattern;
+		const matches = files.filter( file => minimatch( file, glob, { dot: true } ) );
+
+		if ( !exclude && !matches.length ) {
+			unmatched.push( pattern );
+		}
+
+		matches.forEach( file => {
+			selected[file] = !exclude;
+		} );
+	} );
+
+	return {
+		files:     files.filter( file => selected[file] ),
+		unmatched,
+	};
+}
+
+/**
+ * Tells what shouldn't be shipped with a plugin, like source maps and dotfiles.
+ *
+ * @param {string} root The project directory.
+ * @param {string} file The relative path of the file.
+ * @returns {?string} Why the file is suspicious.
+ */
+function checkFile( root, file ) {
+	if ( /\.map$/.test( file ) ) {
+		return 'it is a source map';
+	}
+
+	if ( file.split( '/' ).some( part => part.charAt( 0 ) === '.' ) ) {
+		return 'it is a dotfile';
+	}
+
+	if ( /\.(?:jsx|scss|ts|tsx)$/.test( file ) ) {
+		return 'it is a source file, the build compiles it';
+	}
+
+	if ( /\.(?:js|css)$/.test( file ) && /[#@] sourceMappingURL=/.test( fs.readFileSync( path.join( root, file ), 'utf8' ) ) ) {
+		return 'it links to a source map';
+	}
+
+	return null;
+}
+
+/**
+ * Builds the extension for production and zips the files that WordPress needs
+ * into `<plugin>-<version>.zip`, in a folder named after the main plugin file.
+ *
+ * @param {string} root The project directory.
+ * @returns {void}
+ */
+module.exports = function( root ) {
+	let project;
+
+	try {
+		project = getProjectInfo( root );
+	} catch ( err ) {
+		fail( err.message );
+	}
+
+	const version  = project.packageJson.version;
+	const slug     = path.basename( project.pluginFile, '.php' );
+	const patterns = ( project.packageJson.diviExtension || {} ).packageFiles || defaultFiles;
+
+	if ( !version ) {
+		fail( `Please add a "version" to ${chalk.cyan( path.join( root, 'package.json' ) )}, it is part of the name of the zip.` );
+	}
+
+	if ( !Array.isArray( patterns ) ) {
+		fail( `"diviExtension.packageFiles" in ${chalk.cyan( path.join( root, 'package.json' ) )} must be an array of patterns.` );
+	}
+
+	const packageManager = detectPackageManager( root );
+
+	console.log( `Building ${chalk.green( slug )} for production...` );
+	console.log();
+
+	const result = spawnSync( packageManager.command, ['run', 'build'], { cwd: root, stdio: 'inherit' } );
+
+	if ( result.status !== 0 ) {
+		fail( `${chalk.cyan( `${packageManager.command} run build` )} has failed, nothing was packaged.` );
+	}
+
+	const all       = listFiles( root );
+	const selection = selectFiles( all, patterns );
+	const files     = [path.basename( project.pluginFile )].concat(
+		selection.files.filter( file => file !== path.basename( project.pluginFile ) )
+	);
+
+	const warnings = files
+		.map( file => ( { file, reason: checkFile( root, file ) } ) )
+		.filter( warning => warning.reason );
+
+	const zipName = `${slug}-${version}.zip`;
+	const zipPath = path.join( root, zipName );
+
+	fs.writeFileSync( zipPath, createZip( files.map( file => {
+		const filePath = path.join( root, file );
+
+		return {
+			name:    `${slug}/${file}`,
+			content: fs.readFileSync( filePath ),
+			date:    fs.statSync( filePath ).mtime,
+		};
+	} ) ) );
+
+	console.log();
+	console.log( `Packaged ${files.length} files into ${chalk.cyan( zipName )} (${Math.round( fs.statSync( zipPath ).size / 1024 )} KB).` );
+
+	if ( selection.unmatched.length ) {
+		console.log();
+		console.log( chalk.yellow( 'These patterns matched no files:' ) );
+		selection.unmatched.forEach( pattern => console.log( `  ${chalk.cyan( pattern )}` ) );
+	}
+
+	if ( warnings.length ) {
+		console.log();
+		console.log( chalk.yellow( 'These files probably shouldn\'t be shipped:' ) );
+		warnings.forEach( warning => console.log( `  ${chalk.cyan( warning.file )}: ${warning.reason}` ) );
+		console.log();
+		console.log( `Change ${chalk.cyan( '"diviExtension.packageFiles"' )} in package.json to leave them out.` );
+	}
+};
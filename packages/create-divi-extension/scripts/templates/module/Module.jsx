@@ -0,0 +1,16 @@
+import React, { Component } from 'react';
+
+import getAttrs from './fields';
+import './styles.scss';
+
+
+class <MODULE_NAME> extends Component {
+
+	render() {
+		const props = getAttrs( this.props.attrs );
+
+		return <div>{props.content}</div>;
+	}
+}
+
+export default <MODULE_NAME>;
@@ -0,0 +1,21 @@
+<?php
+
+class __Prefix_ET_Builder_Module_<MODULE_NAME> extends ET_Builder_Module {
+
+	public function init() {
+		$this->name       = esc_html__( '<MODULE_TITLE>', '<GETTEXT_DOMAIN>' );
+		$this->slug       = '<MODULE_SLUG>';
+		$this->fb_support = true;
+	}
+
+	public function get_fields() {
+		// Generated from schema.json by the build.
+		return require dirname( __FILE__ ) . '/fields.php';
+	}
+
+	public function shortcode_callback( $attrs, $content = null, $function_name ) {
+		return sprintf( '<div>%1$s</div>', esc_html( $this->shortcode_atts['content'] ) );
+	}
+}
+
+new __Prefix_ET_Builder_Module_<MODULE_NAME>();
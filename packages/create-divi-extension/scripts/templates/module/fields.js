@@ -0,0 +1,42 @@
+/* eslint-disable */
+// Generated from the module's schema by the build, do not edit.
+
+function string( value, fallback ) {
+	return typeof value === 'undefined' ? fallback : String( value );
+}
+
+function number( value, fallback ) {
+	const parsed = parseFloat( value );
+
+	return isNaN( parsed ) ? fallback : parsed;
+}
+
+function boolean( value, fallback ) {
+	return typeof value === 'undefined' ? fallback : value === 'on' || value === true;
+}
+
+function oneOf( value, fallback, options ) {
+	return options.indexOf( value ) > -1 ? value : fallback;
+}
+
+function list( value, fallback, options ) {
+	if ( typeof value !== 'string' ) {
+		return fallback;
+	}
+
+	const flags = value.split( '|' );
+
+	return options.filter( ( option, index ) => flags[index] === 'on' );
+}
+
+export const defaults = {
+	content: "",
+};
+
+export default function getAttrs( attrs ) {
+	attrs = attrs || {};
+
+	return {
+		content: string( attrs.content, defaults.content ),
+	};
+}
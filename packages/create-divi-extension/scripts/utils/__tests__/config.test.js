@@ -0,0 +1,114 @@
+'use strict';
+
+const fs   = require( 'fs-extra' );
+const path = require( 'path' );
+const tmp  = require( 'tmp' );
+
+const ConfigError           = require( '../errors' ).ConfigError;
+const ValidationError       = require( '../errors' ).ValidationError;
+const readConfig            = require( '../config' ).readConfig;
+const resolvePackageManager = require( '../config' ).resolvePackageManager;
+
+describe( 'readConfig', () => {
+	let dir;
+	let cwd;
+	let home;
+
+	beforeEach( () => {
+		dir  = tmp.dirSync( { unsafeCleanup: true } );
+		cwd  = path.join( dir.name, 'work' );
+		home = path.join( dir.name, 'home' );
+
+		fs.ensureDirSync( cwd );
+		fs.ensureDirSync( home );
+	} );
+
+	afterEach( () => {
+		dir.removeCallback();
+	} );
+
+	it( 'has no defaults without a config file', () => {
+		expect( readConfig( null, cwd, home ) ).toEqual( {} );
+	} );
+
+	it( 'camelCases the options', () => {
+		fs.writeJsonSync( path.join( cwd, '.cderc' ), { 'author-uri': 'https://example.com', prefix: 'myex', useNpm: true } );
+
+		expect( readConfig( null, cwd, home ) ).toEqual( {
+			authorUri: 'https://example.com',
+			prefix:    'myex',
+			useNpm:    true,
+		} );
+		expect( resolvePackageManager( readConfig( null, cwd, home ) ).packageManager ).toBe( 'npm' );
+
+		fs.writeJsonSync( path.join( cwd, '.cderc' ), { 'use-pnpm': true } );
+		expect( resolvePackageManager( readConfig( null, cwd, home ) ).packageManager ).toBe( 'pnpm' );
+	} );
+
+	it( 'looks in the current directory first, then in the home directory', () => {
+		fs.writeJsonSync( path.join( home, '.cderc' ), { author: 'Home' } );
+		expect( readConfig( null, cwd, home ) ).toEqual( { author: 'Home' } );
+
+		fs.writeJsonSync( path.join( cwd, 'cde.config.json' ), { author: 'Project' } );
+		expect( readConfig( null, cwd, home ) ).toEqual( { author: 'Project' } );
+
+		fs.writeJsonSync( path.join( cwd, '.cderc' ), { author: 'Rc' } );
+		expect( readConfig( null, cwd, home ) ).toEqual( { author: 'Rc' } );
+	} );
+
+	it( 'reads the --config file instead, relative to the current directory', () => {
+		fs.writeJsonSync( path.join( cwd, '.cderc' ), { author: 'Rc' } );
+		fs.outputJsonSync( path.join( cwd, 'config/team.json' ), { author: 'Team' } );
+
+		expect( readConfig( 'config/team.json', cwd, home ) ).toEqual( { author: 'Team' } );
+	} );
+
+	it( 'resolves a local template and a lockfile relative to the config file', () => {
+		fs.outputJsonSync( path.join( cwd, 'config/team.json' ), {
+			template:   './templates/divi',
+			lockfile:   'package-lock.json',
+			'--prefix': 'myex',
+		} );
+
+		expect( readConfig( 'config/team.json', cwd, home ) ).toEqual( {
+			template: path.join( cwd, 'config/templates/divi' ),
+			lockfile: path.join( cwd, 'config/package-lock.json' ),
+			prefix:   'myex',
+		} );
+
+		fs.writeJsonSync( path.join( cwd, '.cderc' ), { template: 'cde-template-divi' } );
+		expect( readConfig( null, cwd, home ) ).toEqual( { template: 'cde-template-divi' } );
+	} );
+
+	it( 'fails on a file that is not a JSON object', () => {
+		fs.writeFileSync( path.join( cwd, '.cderc' ), '{ author: Jane }' );
+		expect( () => readConfig( null, cwd, home ) ).toThrow( ConfigError );
+
+		fs.writeJsonSync( path.join( cwd, '.cderc' ), ['--prefix', 'myex'] );
+		expect( () => readConfig( null, cwd, home ) ).toThrow( /must contain an object of options/ );
+
+		let error;
+
+		try {
+			readConfig( 'missing.json', cwd, home );
+		} catch ( err ) {
+			error = err;
+		}
+		expect( error.file ).toBe( path.join( cwd, 'missing.json' ) );
+	} );
+} );
+
+describe( 'resolvePackageManager', () => {
+	it( 'turns the use options into the package manager', () => {
+		expect( resolvePackageManager( { prefix: 'myex', useYarn: true } ) ).toEqual( { prefix: 'myex', packageManager: 'yarn' } );
+		expect( resolvePackageManager( { usePnpm: true, packageManager: 'pnpm' } ) ).toEqual( { packageManager: 'pnpm' } );
+		expect( resolvePackageManager( { useNpm: false, packageManager: 'yarn' } ) ).toEqual( { packageManager: 'yarn' } );
+		expect( resolvePackageManager( { prefix: 'myex' } ) ).toEqual( { prefix: 'myex' } );
+	} );
+
+	it( 'fails when more than one package manager is chosen', () => {
+		expect( () => resolvePackageManager( { useNpm: true, usePnpm: true } ) ).toThrow( ValidationError );
+		expect( () => resolvePackageManager( { useNpm: true, usePnpm: true } ) ).toThrow( 'not --use-npm and --use-pnpm' );
+		expect( () => resolvePackageManager( { useYarn: true, packageManager: 'npm' } ) ).toThrow( 'not --use-npm and --use-yarn' );
+	} );
+} );
@@ -0,0 +1,44 @@
+'use strict';
+
+const errors = require( '../errors' );
+
+describe( 'the errors of createExtension()', () => {
+	it( 'are told apart by their code', () => {
+		const all = [
+			new errors.ValidationError( 'Invalid', ['Prefix: too short'] ),
+			new errors.ConflictError( 'Conflict', ['index.js'] ),
+			new errors.TemplateError( 'Template' ),
+			new errors.InstallError( 'Install', 'npm install' ),
+			new errors.IntegrityError( 'Integrity', 'sha512-a', 'sha512-b' ),
+			new errors.ConfigError( 'Config', '/home/jane/.cderc' ),
+		];
+
+		expect( all.map( err => err.code ) ).toEqual( ['EVALIDATION', 'ECONFLICT', 'ETEMPLATE', 'EINSTALL', 'EINTEGRITY', 'ECONFIG'] );
+		expect( all.map( err => err.name ) ).toEqual( ['ValidationError', 'ConflictError', 'TemplateError', 'InstallError', 'IntegrityError', 'ConfigError'] );
+		all.forEach( err => {
+			expect( err ).toBeInstanceOf( errors.CreateExtensionError );
+			expect( err ).toBeInstanceOf( Error );
+		} );
+	} );
+
+	it( 'have the details the README documents', () => {
+		expect( new errors.ValidationError( 'Invalid', ['Prefix: too short'] ).errors ).toEqual( ['Prefix: too short'] );
+		expect( new errors.ConflictError( 'Conflict', ['index.js'] ).files ).toEqual( ['index.js'] );
+		expect( new errors.TemplateError( 'Template', ['index.php: <NAME>'] ).placeholders ).toEqual( ['index.php: <NAME>'] );
+		expect( new errors.ConfigError( 'Config', '/home/jane/.cderc' ).file ).toBe( '/home/jane/.cderc' );
+
+		const integrity = new errors.IntegrityError( 'Integrity', 'sha512-a', 'sha512-b' );
+
+		expect( [integrity.expected, integrity.actual] ).toEqual( ['sha512-a', 'sha512-b'] );
+	} );
+
+	it( 'default the details that are left out', () => {
+		const install = new errors.InstallError( 'Offline', null, ['react@15.6.1'] );
+
+		expect( new errors.ValidationError( 'Invalid' ).errors ).toEqual( [] );
+		expect( new errors.TemplateError( 'Template' ).placeholders ).toEqual( [] );
+		expect( [install.command, install.packages] ).toEqual( [null, ['react@15.6.1']] );
+		expect( new errors.InstallError( 'Install', 'npm install' ).packages ).toEqual( [] );
+		expect( new errors.IntegrityError( 'Not valid' ).expected ).toBe( null );
+	} );
+} );
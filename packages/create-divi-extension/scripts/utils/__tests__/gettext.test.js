@@ -0,0 +1,180 @@
+'use strict';
+
+const gettext = require( '../gettext' );
+
+// The calls as `name:line(args)`, with `null` for the arguments that aren't literals.
+function describeCalls( calls ) {
+	return calls.map( call => `${call.name}:${call.line}(${call.args.map( arg => JSON.stringify( arg ) ).join( ', ' )})` );
+}
+
+describe( 'extractPhp', () => {
+	it( 'finds the gettext calls and their literal arguments', () => {
+		const result = gettext.extractPhp( [
+			'<?php',
+			'echo esc_html__( \'Hello\', \'my-ext\' );',
+			'printf( _n( \'%d item\', "%d items", $count, \'my-ext\' ), $count );',
+			'_x( \'Post\', \'noun\', \'my-ext\' );',
+			'\\__( \'Namespaced\', \'my-ext\' );',
+		].join( '\n' ) );
+
+		expect( describeCalls( result.calls ) ).toEqual( [
+			'esc_html__:2("Hello", "my-ext")',
+			'_n:3("%d item", "%d items", null, "my-ext")',
+			'_x:4("Post", "noun", "my-ext")',
+			'__:5("Namespaced", "my-ext")',
+		] );
+	} );
+
+	it( 'reads the escapes and concatenations of the strings', () => {
+		const result = gettext.extractPhp( [
+			'<?php',
+			'__( \'It\\\'s \' . "a \\"quote\\"\\n", \'my-ext\' );',
+			'__( "$count items", \'my-ext\' );',
+			'__( \'Total: \' . $total, \'my-ext\' );',
+			'__( \'C:\\\\path\', MY_EXT_DOMAIN );',
+		].join( '\n' ) );
+
+		expect( describeCalls( result.calls ) ).toEqual( [
+			'__:2("It\'s a \\"quote\\"\\n", "my-ext")',
+			'__:3(null, "my-ext")',
+			'__:4(null, "my-ext")',
+			'__:5("C:\\\\path", null)',
+		] );
+	} );
+
+	it( 'skips the HTML, the comments, the strings and the methods that look like calls', () => {
+		const result = gettext.extractPhp( [
+			'<p>__( \'HTML\', \'my-ext\' )</p>',
+			'<?php // __( \'Comment\', \'my-ext\' ) ?>',
+			'<p><?php _e( \'Inline\', \'my-ext\' ); ?></p>',
+			'<?php',
+			'/* translators: %s: the name of the module */',
+			'$this->__( \'Method\', \'my-ext\' );',
+			'Foo::__( \'Static\', \'my-ext\' );',
+			'function __( $text ) {}',
+			'$text = \'__( "String", "my-ext" )\';',
+			'$html = <<<HTML',
+			'__( \'Heredoc\', \'my-ext\' )',
+			'HTML;',
+			'_e( \'Last\', \'my-ext\' );',
+		].join( '\n' ) );
+
+		expect( describeCalls( result.calls ) ).toEqual( [
+			'_e:3("Inline", "my-ext")',
+			'_e:13("Last", "my-ext")',
+		] );
+		expect( result.comments ).toEqual( [
+			{ text: '// __( \'Comment\', \'my-ext\' ) ', line: 2 },
+			{ text: '/* translators: %s: the name of the module */', line: 5 },
+		] );
+	} );
+} );
+
+describe( 'extractJs', () => {
+	it( 'finds the calls of the i18n helper in JSX', () => {
+		const result = gettext.extractJs( [
+			'import { __, _n } from \'../i18n\';',
+			'',
+			'export default props => (',
+			'  // translators: the placeholder of the module',
+			'  <div>{props.content || __( \'Type the text\', \'my-ext\' )}</div>',
+			');',
+			'i18n._n( `${count} item`, `items`, count, \'my-ext\' );',
+			'__( \'Part \' + \'of it\', domain );',
+			'obj[\'__\']( \'Computed\', \'my-ext\' );',
+		].join( '\n' ) );
+
+		expect( describeCalls( result.calls ) ).toEqual( [
+			'__:5("Type the text", "my-ext")',
+			'_n:7(null, "items", null, "my-ext")',
+			'__:8("Part of it", null)',
+		] );
+		expect( result.comments ).toEqual( [{ text: ' translators: the placeholder of the module', line: 4 }] );
+	} );
+} );
+
+describe( 'collectEntries', () => {
+	it( 'merges the strings of the text domain and keeps the comments for the translators', () => {
+		const php = gettext.extractPhp( [
+			'<?php',
+			'// translators: %s: the name of the module',
+			'printf( __( \'%s settings\', \'my-ext\' ), $name );',
+			'_x( \'Post\', \'noun\', \'my-ext\' );',
+			'_x( \'Post\', \'verb\', \'my-ext\' );',
+		].join( '\n' ) );
+		const js  = gettext.extractJs( '__( \'%s settings\', \'my-ext\' );\n_n( \'One module\', \'%d modules\', count, \'my-ext\' );\n' );
+
+		const result = gettext.collectEntries( [
+			{ file: 'my-ext.php', calls: php.calls, comments: php.comments },
+			{ file: 'module/index.js', calls: js.calls, comments: js.comments },
+		], 'my-ext' );
+
+		expect( result.entries ).toEqual( [
+			{ context: null, text: '%s settings', plural: null, comments: ['translators: %s: the name of the module'], references: ['my-ext.php:3', 'module/index.js:1'] },
+			{ context: 'noun', text: 'Post', plural: null, comments: [], references: ['my-ext.php:4'] },
+			{ context: 'verb', text: 'Post', plural: null, comments: [], references: ['my-ext.php:5'] },
+			{ context: null, text: 'One module', plural: '%d modules', comments: [], references: ['module/index.js:2'] },
+		] );
+		expect( result.warnings ).toEqual( [] );
+	} );
+
+	it( 'reports the calls it can\'t extract', () => {
+		const php = gettext.extractPhp( [
+			'<?php',
+			'__( \'No domain\' );',
+			'__( \'Constant\', MY_DOMAIN );',
+			'__( \'Other\', \'divi\' );',
+			'__( $text, \'my-ext\' );',
+		].join( '\n' ) );
+
+		expect( gettext.collectEntries( [{ file: 'a.php', calls: php.calls, comments: php.comments }], 'my-ext' ) ).toEqual( {
+			entries:  [],
+			warnings: [
+				'a.php:2: __() has no text domain, it should be \'my-ext\'.',
+				'a.php:3: the text domain of __() isn\'t a string, it should be \'my-ext\'.',
+				'a.php:4: __() uses the text domain \'divi\' instead of \'my-ext\'.',
+				'a.php:5: the text of __() must be a string to be translated, not a variable or an expression.',
+			],
+		} );
+	} );
+} );
+
+describe( 'formatPot', () => {
+	it( 'writes the header and the entries', () => {
+		const pot = gettext.formatPot( [
+			{ context: null, text: '%s settings', plural: null, comments: ['translators: %s: the name of the module'], references: ['my-ext.php:3'] },
+			{ context: 'noun', text: 'Say "hi"\nto everyone', plural: null, comments: [], references: ['a.php:1', 'b.js:2'] },
+			{ context: null, text: 'One module', plural: '%d modules', comments: [], references: ['c.js:4'] },
+		], { 'Project-Id-Version': 'My Extension 1.0.0', 'Content-Type': 'text/plain; charset=UTF-8' }, ['Copyright (C) 2026 Jane Doe'] );
+
+		expect( pot ).toBe( [
+			'# Copyright (C) 2026 Jane Doe',
+			'msgid ""',
+			'msgstr ""',
+			'"Project-Id-Version: My Extension 1.0.0\\n"',
+			'"Content-Type: text/plain; charset=UTF-8\\n"',
+			'',
+			'#. translators: %s: the name of the module',
+			'#: my-ext.php:3',
+			'#, php-format',
+			'msgid "%s settings"',
+			'msgstr ""',
+			'',
+			'#: a.php:1',
+			'#: b.js:2',
+			'msgctxt "noun"',
+			'msgid ""',
+			'"Say \\"hi\\"\\n"',
+			'"to everyone"',
+			'msgstr ""',
+			'',
+			'#: c.js:4',
+			'#, php-format',
+			'msgid "One module"',
+			'msgid_plural "%d modules"',
+			'msgstr[0] ""',
+			'msgstr[1] ""',
+			'',
+		].join( '\n' ) );
+	} );
+} );
@@ -0,0 +1,156 @@
+'use strict';
+
+const crypto = require( 'crypto' );
+const fs     = require( 'fs-extra' );
+const path   = require( 'path' );
+const tmp    = require( 'tmp' );
+
+const IntegrityError = require( '../errors' ).IntegrityError;
+const integrity      = require( '../integrity' );
+
+const archiveUrl = 'https://registry.npmjs.org/react-scripts/-/react-scripts-1.0.7.tgz';
+
+// The integrity of the contents, as a lockfile has it.
+function hash( algorithm, content ) {
+	return `${algorithm}-${crypto.createHash( algorithm ).update( content ).digest( 'base64' )}`;
+}
+
+describe( 'parseIntegrity', () => {
+	it( 'reads every hash, with its options', () => {
+		expect( integrity.parseIntegrity( ' sha1-abc= sha256-YWJj sha512-ZGVm==?foo ' ) ).toEqual( [
+			{ algorithm: 'sha256', digest: 'YWJj' },
+			{ algorithm: 'sha512', digest: 'ZGVm==' },
+		] );
+	} );
+
+	it( 'fails without a hash it can check', () => {
+		expect( () => integrity.parseIntegrity( 'sha1-abc=' ) ).toThrow( IntegrityError );
+		expect( () => integrity.parseIntegrity( 'not a hash' ) ).toThrow( /is not valid/ );
+	} );
+} );
+
+describe( 'checkIntegrity', () => {
+	const content = 'the archive';
+
+	let dir;
+	let file;
+
+	beforeEach( () => {
+		dir  = tmp.dirSync( { unsafeCleanup: true } );
+		file = path.join( dir.name, 'react-scripts-1.0.7.tgz' );
+
+		fs.writeFileSync( file, content );
+	} );
+
+	afterEach( () => {
+		dir.removeCallback();
+	} );
+
+	it( 'resolves with the integrity of a file that matches', () => {
+		return integrity.checkIntegrity( file, hash( 'sha512', content ) ).then( actual => {
+			expect( actual ).toBe( hash( 'sha512', content ) );
+		} );
+	} );
+
+	it( 'only checks the hashes of the strongest algorithm', () => {
+		return integrity.checkIntegrity( file, `${hash( 'sha256', 'something else' )} ${hash( 'sha384', content )}` ).then( actual => {
+			expect( actual ).toBe( hash( 'sha384', content ) );
+		} );
+	} );
+
+	it( 'rejects a file that doesn\'t match', () => {
+		expect.assertions( 3 );
+
+		return integrity.checkIntegrity( file, `${hash( 'sha256', content )} ${hash( 'sha512', 'something else' )}` ).catch( err => {
+			expect( err ).toBeInstanceOf( IntegrityError );
+			expect( err.expected ).toBe( hash( 'sha512', 'something else' ) );
+			expect( err.actual ).toBe( hash( 'sha512', content ) );
+		} );
+	} );
+} );
+
+describe( 'readLockfileIntegrity', () => {
+	let dir;
+
+	beforeEach( () => {
+		dir = tmp.dirSync( { unsafeCleanup: true } );
+	} );
+
+	afterEach( () => {
+		dir.removeCallback();
+	} );
+
+	it( 'reads the packages of a package-lock.json v2 or v3', () => {
+		const lockfile = path.join( dir.name, 'package-lock.json' );
+
+		fs.writeJsonSync( lockfile, {
+			lockfileVersion: 3,
+			packages:        {
+				'':                           { name: 'tools' },
+				'node_modules/react':         { resolved: 'https://registry.npmjs.org/react/-/react-15.6.1.tgz', integrity: 'sha512-react' },
+				'node_modules/react-scripts': { resolved: archiveUrl, integrity: 'sha512-scripts' },
+			},
+		} );
+
+		expect( integrity.readLockfileIntegrity( lockfile, archiveUrl ) ).toBe( 'sha512-scripts' );
+		expect( integrity.readLockfileIntegrity( lockfile, `${archiveUrl}#v1.0.7` ) ).toBe( 'sha512-scripts' );
+	} );
+
+	it( 'reads the nested dependencies of an npm-shrinkwrap.json v1', () => {
+		const lockfile = path.join( dir.name, 'npm-shrinkwrap.json' );
+
+		fs.writeJsonSync( lockfile, {
+			lockfileVersion: 1,
+			dependencies:    {
+				tools: {
+					version:      '1.0.0',
+					dependencies: {
+						'react-scripts': { resolved: archiveUrl, integrity: 'sha512-nested' },
+					},
+				},
+			},
+		} );
+
+		expect( integrity.readLockfileIntegrity( lockfile, archiveUrl ) ).toBe( 'sha512-nested' );
+	} );
+
+	it( 'reads a yarn.lock, where a local archive is relative to it', () => {
+		const lockfile = path.join( dir.name, 'yarn.lock' );
+
+		fs.writeFileSync( lockfile, [
+			'# THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.',
+			'',
+			'react@^15.6.1:',
+			'  version "15.6.1"',
+			'  resolved "https://registry.yarnpkg.com/react/-/react-15.6.1.tgz#5b0a0a9e"',
+			'  integrity sha512-react',
+			'',
+			'"react-scripts@file:./vendor/react-scripts-1.0.7.tgz":',
+			'  version "1.0.7"',
+			'  resolved "file:./vendor/react-scripts-1.0.7.tgz"',
+			'  integrity sha512-local',
+			'',
+		].join( '\r\n' ) );
+
+		expect( integrity.readLockfileIntegrity( lockfile, path.join( dir.name, 'vendor', 'react-scripts-1.0.7.tgz' ) ) ).toBe( 'sha512-local' );
+		expect( integrity.readLockfileIntegrity( lockfile, 'https://registry.yarnpkg.com/react/-/react-15.6.1.tgz' ) ).toBe( 'sha512-react' );
+	} );
+
+	it( 'fails when the lockfile has no integrity for the archive', () => {
+		const lockfile = path.join( dir.name, 'package-lock.json' );
+
+		fs.writeJsonSync( lockfile, { packages: { 'node_modules/react-scripts': { resolved: archiveUrl } } } );
+
+		expect( () => integrity.readLockfileIntegrity( lockfile, archiveUrl ) ).toThrow( /has no integrity for/ );
+		expect( () => integrity.readLockfileIntegrity( lockfile, 'https://example.com/react-scripts.tgz' ) ).toThrow( IntegrityError );
+	} );
+
+	it( 'fails on the lockfiles it can\'t read', () => {
+		fs.writeFileSync( path.join( dir.name, 'pnpm-lock.yaml' ), 'lockfileVersion: 5.4\n' );
+		fs.writeFileSync( path.join( dir.name, 'package-lock.json' ), '{' );
+
+		expect( () => integrity.readLockfileIntegrity( path.join( dir.name, 'pnpm-lock.yaml' ), archiveUrl ) ).toThrow( /not from pnpm-lock.yaml/ );
+		expect( () => integrity.readLockfileIntegrity( path.join( dir.name, 'package-lock.json' ), archiveUrl ) ).toThrow( /Could not read the lockfile/ );
+		expect( () => integrity.readLockfileIntegrity( path.join( dir.name, 'yarn.lock' ), archiveUrl ) ).toThrow( /Could not read the lockfile/ );
+	} );
+} );
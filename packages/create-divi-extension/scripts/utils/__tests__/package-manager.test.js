@@ -0,0 +1,303 @@
+'use strict';
+
+// The package managers that are installed and whether the registry can be reached are whatever the tests say.
+jest.mock( 'child_process', () => ( { execSync: jest.fn() } ) );
+jest.mock( 'dns', () => ( { lookup: jest.fn() } ) );
+
+const execSync = require( 'child_process' ).execSync;
+const dns      = require( 'dns' );
+const fs       = require( 'fs-extra' );
+const path     = require( 'path' );
+const tmp      = require( 'tmp' );
+
+const InstallError   = require( '../errors' ).InstallError;
+const packageManager = require( '../package-manager' );
+
+const npm  = packageManager.packageManagers.npm;
+const yarn = packageManager.packageManagers.yarn;
+const pnpm = packageManager.packageManagers.pnpm;
+
+// Makes `<command> --version` work for the given commands only.
+function install( commands ) {
+	execSync.mockImplementation( command => {
+		const name = command.split( ' ' )[0];
+
+		if ( commands.indexOf( name ) === -1 ) {
+			throw new Error( `${name}: command not found` );
+		}
+
+		return Buffer.from( '1.0.0\n' );
+	} );
+}
+
+afterEach( () => {
+	execSync.mockReset();
+	dns.lookup.mockReset();
+} );
+
+describe( 'choosePackageManager', () => {
+	it( 'uses Yarn when it is installed and nothing was asked for, else npm', () => {
+		install( ['npm', 'yarnpkg'] );
+		expect( packageManager.choosePackageManager() ).toBe( yarn );
+
+		install( ['npm'] );
+		expect( packageManager.choosePackageManager() ).toBe( npm );
+	} );
+
+	it( 'uses the one that was asked for', () => {
+		install( ['npm', 'yarnpkg', 'pnpm'] );
+
+		expect( packageManager.choosePackageManager( 'npm' ) ).toBe( npm );
+		expect( packageManager.choosePackageManager( 'pnpm' ) ).toBe( pnpm );
+	} );
+
+	it( 'fails when the one that was asked for is not installed', () => {
+		install( ['npm', 'yarnpkg'] );
+
+		expect( () => packageManager.choosePackageManager( 'pnpm' ) ).toThrow( InstallError );
+		expect( () => packageManager.choosePackageManager( 'pnpm' ) ).toThrow( '`pnpm` could not be found' );
+	} );
+} );
+
+describe( 'getVersion', () => {
+	it( 'is null when the package manager is not installed', () => {
+		install( ['npm'] );
+
+		expect( packageManager.getVersion( npm ) ).toBe( '1.0.0' );
+		expect( packageManager.getVersion( yarn ) ).toBe( null );
+		expect( execSync ).toHaveBeenCalledWith( 'yarnpkg --version', expect.any( Object ) );
+	} );
+} );
+
+describe( 'detectPackageManager', () => {
+	let dir;
+
+	beforeEach( () => {
+		dir = tmp.dirSync( { unsafeCleanup: true } );
+	} );
+
+	afterEach( () => {
+		dir.removeCallback();
+	} );
+
+	it( 'uses npm without a lockfile', () => {
+		expect( packageManager.detectPackageManager( dir.name ) ).toBe( npm );
+	} );
+
+	it( 'tells the package manager from the lockfile', () => {
+		fs.writeFileSync( path.join( dir.name, 'package-lock.json' ), '{}' );
+		expect( packageManager.detectPackageManager( dir.name ) ).toBe( npm );
+
+		fs.writeFileSync( path.join( dir.name, 'yarn.lock' ), '' );
+		expect( packageManager.detectPackageManager( dir.name ) ).toBe( yarn );
+
+		fs.writeFileSync( path.join( dir.name, 'pnpm-lock.yaml' ), '' );
+		expect( packageManager.detectPackageManager( dir.name ) ).toBe( pnpm );
+	} );
+} );
+
+describe( 'getAddCommand', () => {
+	it( 'saves the dependencies with each package manager', () => {
+		expect( packageManager.getAddCommand( npm, ['react', 'react-dom'] ) ).toEqual( {
+			command: 'npm',
+			args:    ['install', '--save', 'react', 'react-dom'],
+		} );
+		expect( packageManager.getAddCommand( yarn, ['react'] ) ).toEqual( { command: 'yarnpkg', args: ['add', 'react'] } );
+		expect( packageManager.getAddCommand( pnpm, ['react'] ) ).toEqual( { command: 'pnpm', args: ['add', 'react'] } );
+	} );
+
+	it( 'maps the options to the flags of each package manager', () => {
+		const options = { exact: true, offline: true, cache: '/tmp/cache', verbose: true };
+
+		expect( packageManager.getAddCommand( npm, ['react'], options ).args ).toEqual(
+			['install', '--save', '--save-exact', '--offline', '--cache', '/tmp/cache', '--verbose', 'react']
+		);
+		expect( packageManager.getAddCommand( yarn, ['react'], options ).args ).toEqual(
+			['add', '--exact', '--offline', '--cache-folder', '/tmp/cache', '--verbose', 'react']
+		);
+		expect( packageManager.getAddCommand( pnpm, ['react'], options ).args ).toEqual(
+			['add', '--save-exact', '--offline', '--store-dir', '/tmp/cache', '--loglevel=debug', 'react']
+		);
+	} );
+} );
+
+describe( 'getInstallCommand', () => {
+	it( 'installs what package.json lists with each package manager', () => {
+		expect( packageManager.getInstallCommand( npm ) ).toEqual( { command: 'npm', args: ['install'] } );
+		expect( packageManager.getInstallCommand( yarn ) ).toEqual( { command: 'yarnpkg', args: [] } );
+		expect( packageManager.getInstallCommand( pnpm, { offline: true, verbose: true } ) ).toEqual( {
+			command: 'pnpm',
+			args:    ['install', '--offline', '--loglevel=debug'],
+		} );
+	} );
+} );
+
+describe( 'checkIfOnline', () => {
+	it( 'looks up the registry of the package manager', () => {
+		dns.lookup.mockImplementation( ( host, callback ) => callback( null, '104.16.0.35' ) );
+
+		return packageManager.checkIfOnline( yarn ).then( isOnline => {
+			expect( isOnline ).toBe( true );
+			expect( dns.lookup ).toHaveBeenCalledWith( 'registry.yarnpkg.com', expect.any( Function ) );
+		} );
+	} );
+
+	it( 'is offline when the registry can\'t be looked up', () => {
+		dns.lookup.mockImplementation( ( host, callback ) => callback( new Error( 'getaddrinfo ENOTFOUND' ) ) );
+
+		return packageManager.checkIfOnline( npm ).then( isOnline => {
+			expect( isOnline ).toBe( false );
+		} );
+	} );
+} );
+
+describe( 'writeOfflineConfig', () => {
+	let dir;
+
+	beforeEach( () => {
+		dir = tmp.dirSync( { unsafeCleanup: true } );
+	} );
+
+	afterEach( () => {
+		dir.removeCallback();
+	} );
+
+	it( 'adds the offline lines to the rc file of the package manager', () => {
+		packageManager.writeOfflineConfig( dir.name, yarn, '/tmp/yarn-cache' );
+
+		expect( fs.readFileSync( path.join( dir.name, '.yarnrc' ), 'utf8' ) ).toBe(
+			'--*.offline true\ncache-folder "/tmp/yarn-cache"\n'
+		);
+	} );
+
+	it( 'keeps what is in the rc file and doesn\'t add a line twice', () => {
+		fs.writeFileSync( path.join( dir.name, '.npmrc' ), 'save-exact=true\noffline=true' );
+
+		packageManager.writeOfflineConfig( dir.name, npm );
+		packageManager.writeOfflineConfig( dir.name, npm, '/tmp/npm-cache' );
+
+		expect( fs.readFileSync( path.join( dir.name, '.npmrc' ), 'utf8' ) ).toBe(
+			'save-exact=true\noffline=true\ncache=/tmp/npm-cache\n'
+		);
+	} );
+} );
+
+describe( 'removeOfflineConfig', () => {
+	let dir;
+
+	beforeEach( () => {
+		dir = tmp.dirSync( { unsafeCleanup: true } );
+	} );
+
+	afterEach( () => {
+		dir.removeCallback();
+	} );
+
+	it( 'takes out the offline lines and keeps the others', () => {
+		fs.writeFileSync( path.join( dir.name, '.npmrc' ), 'save-exact=true\n' );
+
+		packageManager.writeOfflineConfig( dir.name, pnpm, '/tmp/store' );
+		packageManager.removeOfflineConfig( dir.name, pnpm, '/tmp/store' );
+
+		expect( fs.readFileSync( path.join( dir.name, '.npmrc' ), 'utf8' ) ).toBe( 'save-exact=true\n' );
+	} );
+
+	it( 'removes the rc file when nothing else is left in it', () => {
+		packageManager.writeOfflineConfig( dir.name, npm, '/tmp/npm-cache' );
+		packageManager.removeOfflineConfig( dir.name, npm, '/tmp/npm-cache' );
+
+		expect( fs.existsSync( path.join( dir.name, '.npmrc' ) ) ).toBe( false );
+		expect( () => packageManager.removeOfflineConfig( dir.name, npm ) ).not.toThrow();
+	} );
+} );
+
+describe( 'findMissingPackages', () => {
+	const dependencies = {
+		react:           '^15.6.0',
+		'react-dom':     '*',
+		'@divi/scripts': '^1.0.0',
+		'react-scripts': 'latest',
+	};
+
+	let dir;
+
+	// Adds an entry to the index of a fixture npm cache, the way cacache writes them.
+	function cacheTarball( name, version, integrity ) {
+		const key   = `make-fetch-happen:request-cache:https://registry.npmjs.org/${name}/-/${name.split( '/' ).pop()}-${version}.tgz`;
+		const entry = { key, integrity: typeof integrity === 'undefined' ? 'sha512-abc' : integrity, time: 1500000000000 };
+		const file  = path.join( dir.name, '_cacache', 'index-v5', name.length.toString( 16 ), 'entries' );
+
+		fs.ensureFileSync( file );
+		fs.appendFileSync( file, `\n0123456789abcdef\t${JSON.stringify( entry )}` );
+	}
+
+	beforeEach( () => {
+		dir = tmp.dirSync( { unsafeCleanup: true } );
+	} );
+
+	afterEach( () => {
+		dir.removeCallback();
+	} );
+
+	it( 'reads the index of npm\'s cache', () => {
+		cacheTarball( 'react', '15.6.1' );
+		cacheTarball( 'react-dom', '15.6.1' );
+		cacheTarball( '@divi/scripts', '0.9.0' );
+		cacheTarball( 'react-scripts', '1.0.7' );
+
+		expect( packageManager.findMissingPackages( npm, dependencies, dir.name ) ).toEqual( ['@divi/scripts@^1.0.0'] );
+
+		cacheTarball( '@divi/scripts', '1.0.2' );
+		expect( packageManager.findMissingPackages( npm, dependencies, dir.name ) ).toEqual( [] );
+	} );
+
+	it( 'leaves out the entries that were removed from npm\'s cache', () => {
+		cacheTarball( 'react', '15.6.1' );
+		cacheTarball( 'react', '15.6.1', null );
+
+		expect( packageManager.findMissingPackages( npm, { react: '^15.6.0' }, dir.name ) ).toEqual( ['react@^15.6.0'] );
+	} );
+
+	it( 'reads the folders of npm\'s cache before npm 5', () => {
+		fs.outputFileSync( path.join( dir.name, 'react', '15.6.1', 'package.tgz' ), '' );
+		fs.ensureDirSync( path.join( dir.name, 'react-dom', '15.6.1' ) );
+
+		expect( packageManager.findMissingPackages( npm, { react: '^15.6.0', 'react-dom': '*' }, dir.name ) ).toEqual( ['react-dom@*'] );
+	} );
+
+	it( 'asks npm where its cache is when no other cache is used', () => {
+		execSync.mockImplementation( () => Buffer.from( `${dir.name}\n` ) );
+		cacheTarball( 'react', '15.6.1' );
+
+		expect( packageManager.findMissingPackages( npm, { react: '^15.6.0' } ) ).toEqual( [] );
+		expect( execSync ).toHaveBeenCalledWith( 'npm config get cache', expect.any( Object ) );
+	} );
+
+	it( 'reads `yarn cache list`', () => {
+		const table = {
+			type: 'table',
+			data: {
+				head: ['Name', 'Version', 'Registry', 'Uri'],
+				body: [
+					['react', '15.6.1', 'npm', 'https://registry.yarnpkg.com/react/-/react-15.6.1.tgz'],
+					['react-dom', '15.6.1', 'npm', 'https://registry.yarnpkg.com/react-dom/-/react-dom-15.6.1.tgz'],
+					['react-scripts', '1.0.7', 'npm', 'https://registry.yarnpkg.com/react-scripts/-/react-scripts-1.0.7.tgz'],
+				],
+			},
+		};
+
+		execSync.mockImplementation( () => Buffer.from( `{"type":"info","data":"No lockfile found."}\n${JSON.stringify( table )}\n` ) );
+
+		expect( packageManager.findMissingPackages( yarn, dependencies, '/tmp/yarn-cache' ) ).toEqual( ['@divi/scripts@^1.0.0'] );
+		expect( execSync ).toHaveBeenCalledWith( 'yarnpkg cache list --json --cache-folder "/tmp/yarn-cache"', expect.any( Object ) );
+	} );
+
+	it( 'fails when the cache can\'t be read', () => {
+		execSync.mockImplementation( () => {
+			throw new Error( 'Usage Error: Couldn\'t find a script named "cache"' );
+		} );
+
+		expect( () => packageManager.findMissingPackages( yarn, dependencies ) ).toThrow( InstallError );
+		expect( () => packageManager.findMissingPackages( pnpm, dependencies ) ).toThrow( 'The pnpm cache can\'t be read' );
+	} );
+} );
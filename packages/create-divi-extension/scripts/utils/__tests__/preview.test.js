@@ -0,0 +1,46 @@
+'use strict';
+
+const chalk = require( 'chalk' );
+
+const formatDiff = require( '../preview' ).formatDiff;
+const formatTree = require( '../preview' ).formatTree;
+
+describe( 'formatTree', () => {
+	it( 'indents the files under their folders, sorted', () => {
+		expect( formatTree( 'my-ext', ['readme.txt', 'module/HelloWorld/HelloWorld.php', 'module/loader.php', 'my-ext.php'] ) ).toBe( [
+			'my-ext/',
+			'  module/',
+			'    HelloWorld/',
+			'      HelloWorld.php',
+			'    loader.php',
+			'  my-ext.php',
+			'  readme.txt',
+		].join( '\n' ) );
+	} );
+} );
+
+describe( 'formatDiff', () => {
+	const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'].join( '\n' );
+
+	it( 'shows the changed lines with the lines around them', () => {
+		const after = before.replace( 'b', 'B' ).replace( 'h', 'h\ni' );
+
+		expect( chalk.stripColor( formatDiff( before, after, 1 ) ).split( '\n' ) ).toEqual( [
+			'  a',
+			'- b',
+			'+ B',
+			'  c',
+			'  ...',
+			'  h',
+			'+ i',
+		] );
+	} );
+
+	it( 'shows every line of a new file', () => {
+		expect( chalk.stripColor( formatDiff( '', 'a\nb' ) ) ).toBe( '+ a\n+ b' );
+	} );
+
+	it( 'is empty when nothing changed', () => {
+		expect( formatDiff( before, before ) ).toBe( '' );
+	} );
+} );
@@ -0,0 +1,52 @@
+'use strict';
+
+const parseReadme = require( '../readme' ).parseReadme;
+
+describe( 'parseReadme', () => {
+	it( 'reads the name, the headers, the short description and the sections', () => {
+		const readme = parseReadme( [
+			'=== My Extension ===',
+			'Contributors: janedoe',
+			'Requires at least: 6.8',
+			'Stable tag: 1.0.0',
+			'',
+			'Adds a few custom modules to Divi.',
+			'',
+			'== Description ==',
+			'',
+			'The modules: a slider and a toggle.',
+			'',
+			'== Changelog ==',
+			'',
+			'= 1.0.0 =',
+			'* First release.',
+			'',
+		].join( '\r\n' ) );
+
+		expect( readme ).toEqual( {
+			name:             'My Extension',
+			headers:          { contributors: 'janedoe', 'requires at least': '6.8', 'stable tag': '1.0.0' },
+			shortDescription: 'Adds a few custom modules to Divi.',
+			sections:         [
+				{ title: 'Description', content: 'The modules: a slider and a toggle.' },
+				{ title: 'Changelog', content: '= 1.0.0 =\n* First release.' },
+			],
+		} );
+	} );
+
+	it( 'reads a readme without a name or sections', () => {
+		expect( parseReadme( 'Stable tag: trunk\n\nShort.\n' ) ).toEqual( {
+			name:             null,
+			headers:          { 'stable tag': 'trunk' },
+			shortDescription: 'Short.',
+			sections:         [],
+		} );
+	} );
+
+	it( 'keeps the empty sections', () => {
+		expect( parseReadme( '=== A ===\n\n== Installation ==\n== FAQ ==\n\nAsk.\n' ).sections ).toEqual( [
+			{ title: 'Installation', content: '' },
+			{ title: 'FAQ', content: 'Ask.' },
+		] );
+	} );
+} );
@@ -0,0 +1,71 @@
+'use strict';
+
+const fs   = require( 'fs-extra' );
+const path = require( 'path' );
+const tmp  = require( 'tmp' );
+
+const rollback = require( '../rollback' ).rollback;
+const snapshot = require( '../rollback' ).snapshot;
+
+describe( 'snapshot and rollback', () => {
+	let dir;
+
+	beforeEach( () => {
+		dir = tmp.dirSync( { unsafeCleanup: true } );
+	} );
+
+	afterEach( () => {
+		dir.removeCallback();
+	} );
+
+	it( 'removes the directories that were created', () => {
+		const root   = path.join( dir.name, 'extensions', 'my-ext' );
+		const before = snapshot( root );
+
+		expect( before.created ).toBe( path.join( dir.name, 'extensions' ) );
+
+		fs.outputFileSync( path.join( root, 'package.json' ), '{}' );
+
+		expect( rollback( before ) ).toEqual( { removed: [path.join( dir.name, 'extensions' )], restored: [] } );
+		expect( fs.readdirSync( dir.name ) ).toEqual( [] );
+	} );
+
+	it( 'only removes what was added to an existing directory and restores its files', () => {
+		const root = path.join( dir.name, 'my-ext' );
+
+		fs.outputFileSync( path.join( root, 'README.md' ), '# My extension\n' );
+		fs.outputFileSync( path.join( root, '.gitignore' ), 'vendor/\n' );
+		fs.outputFileSync( path.join( root, '.git', 'HEAD' ), 'ref: refs/heads/master\n' );
+
+		const before = snapshot( root );
+
+		expect( before.created ).toBe( null );
+
+		fs.outputFileSync( path.join( root, 'package.json' ), '{}' );
+		fs.outputFileSync( path.join( root, 'module', 'index.js' ), '' );
+		fs.appendFileSync( path.join( root, '.gitignore' ), 'node_modules/\n' );
+		fs.renameSync( path.join( root, 'README.md' ), path.join( root, 'README.old.md' ) );
+
+		const undone = rollback( before );
+
+		expect( undone.removed.sort() ).toEqual( [
+			path.join( root, 'README.old.md' ),
+			path.join( root, 'module' ),
+			path.join( root, 'package.json' ),
+		] );
+		expect( undone.restored.sort() ).toEqual( [path.join( root, '.gitignore' ), path.join( root, 'README.md' )] );
+		expect( fs.readdirSync( root ).sort() ).toEqual( ['.git', '.gitignore', 'README.md'] );
+		expect( fs.readFileSync( path.join( root, '.gitignore' ), 'utf8' ) ).toBe( 'vendor/\n' );
+		expect( fs.readFileSync( path.join( root, '.git', 'HEAD' ), 'utf8' ) ).toBe( 'ref: refs/heads/master\n' );
+	} );
+
+	it( 'does nothing when nothing was written', () => {
+		const root = path.join( dir.name, 'my-ext' );
+
+		fs.outputFileSync( path.join( root, 'README.md' ), '# My extension\n' );
+
+		expect( rollback( snapshot( root ) ) ).toEqual( { removed: [], restored: [] } );
+		expect( rollback( snapshot( path.join( dir.name, 'other' ) ) ) ).toEqual( { removed: [], restored: [] } );
+		expect( fs.readdirSync( dir.name ) ).toEqual( ['my-ext'] );
+	} );
+} );
@@ -0,0 +1,138 @@
+'use strict';
+
+const fs   = require( 'fs-extra' );
+const path = require( 'path' );
+const tmp  = require( 'tmp' );
+
+const TemplateError = require( '../errors' ).TemplateError;
+const template      = require( '../template' );
+
+// Writes the files into a directory, by their relative path => contents.
+function writeFiles( root, files ) {
+	Object.keys( files ).forEach( file => fs.outputFileSync( path.join( root, file ), files[file] ) );
+}
+
+describe( 'readManifest', () => {
+	let dir;
+
+	beforeEach( () => {
+		dir = tmp.dirSync( { unsafeCleanup: true } );
+	} );
+
+	afterEach( () => {
+		dir.removeCallback();
+	} );
+
+	it( 'reads the tokens and the files of the template', () => {
+		writeFiles( dir.name, {
+			'custom/.template.manifest.json': JSON.stringify( { tokens: { NAME: { source: 'derived', from: 'name' } }, files: ['*.php'] } ),
+		} );
+
+		expect( template.readManifest( path.join( dir.name, 'custom' ), path.join( dir.name, 'builtin' ) ) ).toEqual( {
+			files:  ['*.php'],
+			tokens: { NAME: { source: 'derived', from: 'name' } },
+		} );
+	} );
+
+	it( 'falls back to the manifest of the built-in template', () => {
+		writeFiles( dir.name, {
+			'builtin/.template.manifest.json': JSON.stringify( { tokens: {} } ),
+			'custom/index.php':                '',
+		} );
+
+		expect( template.readManifest( path.join( dir.name, 'custom' ), path.join( dir.name, 'builtin' ) ) ).toEqual( {
+			files:  [],
+			tokens: {},
+		} );
+	} );
+
+	it( 'rejects the tokens that are not in UPPER_CASE or have no valid source', () => {
+		writeFiles( dir.name, {
+			'lower/.template.manifest.json':  JSON.stringify( { tokens: { name: { source: 'option' } } } ),
+			'source/.template.manifest.json': JSON.stringify( { tokens: { NAME: { source: 'env' } } } ),
+			'broken/.template.manifest.json': '{',
+		} );
+
+		expect( () => template.readManifest( path.join( dir.name, 'lower' ), dir.name ) ).toThrow( /must be in UPPER_CASE/ );
+		expect( () => template.readManifest( path.join( dir.name, 'source' ), dir.name ) ).toThrow( /"option", "prompt" or "derived" source/ );
+		expect( () => template.readManifest( path.join( dir.name, 'broken' ), dir.name ) ).toThrow( TemplateError );
+	} );
+} );
+
+describe( 'toOptionKey', () => {
+	it( 'camelCases the option', () => {
+		expect( template.toOptionKey( '--author-uri' ) ).toBe( 'authorUri' );
+		expect( template.toOptionKey( '--prefix' ) ).toBe( 'prefix' );
+	} );
+} );
+
+describe( 'planTemplate and applyTemplate', () => {
+	const manifest = { files: ['**/*.php', 'readme.txt'] };
+	const tokens   = {
+		'<NAME>':   'my-ext',
+		'<AUTHOR>': 'Jane Doe',
+		'<URI>':    '',
+		__prefix:   'myex',
+	};
+
+	let dir;
+	let templatePath;
+	let root;
+
+	beforeEach( () => {
+		dir          = tmp.dirSync( { unsafeCleanup: true } );
+		templatePath = path.join( dir.name, 'template' );
+		root         = path.join( dir.name, 'my-ext' );
+
+		writeFiles( templatePath, {
+			'.template.manifest.json':  '{}',
+			'[NAME].php':               'Plugin Name: <NAME>\nPlugin URI: <URI>\nAuthor: <AUTHOR>\nfunction __prefix_init() {}\n',
+			'module/[NAME]/Module.php': 'class <NAME> {}\n',
+			'readme.txt':               'Contributors: <CONTRIBUTORS>\n',
+			'scripts/index.js':         'const author = "<AUTHOR>";\n',
+		} );
+		fs.outputFileSync( path.join( templatePath, 'styles/image.png' ), Buffer.from( [0x89, 0x00, 0x3c, 0x41, 0x3e] ) );
+		fs.copySync( templatePath, root );
+	} );
+
+	afterEach( () => {
+		dir.removeCallback();
+	} );
+
+	it( 'works out the files without writing them', () => {
+		const plan    = template.planTemplate( templatePath, manifest, tokens );
+		const targets = {};
+
+		plan.files.forEach( file => {
+			targets[file.source] = file;
+		} );
+
+		expect( Object.keys( targets ).sort() ).toEqual( [
+			'[NAME].php',
+			path.join( 'module', '[NAME]', 'Module.php' ),
+			'readme.txt',
+			path.join( 'scripts', 'index.js' ),
+			path.join( 'styles', 'image.png' ),
+		] );
+		expect( targets['[NAME].php'].target ).toBe( 'my-ext.php' );
+		expect( targets['[NAME].php'].content ).toBe( 'Plugin Name: my-ext\nAuthor: Jane Doe\nfunction myex_init() {}\n' );
+		expect( targets[path.join( 'scripts', 'index.js' )].processed ).toBe( false );
+		expect( targets[path.join( 'styles', 'image.png' )].processed ).toBe( false );
+		expect( plan.leftovers ).toEqual( [
+			'readme.txt: <CONTRIBUTORS>',
+			`${path.join( 'scripts', 'index.js' )}: <AUTHOR>`,
+		] );
+		expect( fs.existsSync( path.join( root, '[NAME].php' ) ) ).toBe( true );
+	} );
+
+	it( 'replaces the tokens in the files of the project and renames them', () => {
+		const result = template.applyTemplate( root, templatePath, manifest, tokens );
+
+		expect( result.files ).toContain( path.join( root, 'module', 'my-ext', 'Module.php' ) );
+		expect( fs.readFileSync( path.join( root, 'module/my-ext/Module.php' ), 'utf8' ) ).toBe( 'class my-ext {}\n' );
+		expect( fs.readFileSync( path.join( root, 'my-ext.php' ), 'utf8' ) ).toMatch( /^Plugin Name: my-ext\n/ );
+		expect( fs.readFileSync( path.join( root, 'styles/image.png' ) ).equals( Buffer.from( [0x89, 0x00, 0x3c, 0x41, 0x3e] ) ) ).toBe( true );
+		expect( fs.existsSync( path.join( root, 'module/[NAME]' ) ) ).toBe( false );
+		expect( fs.existsSync( path.join( root, '.template.manifest.json' ) ) ).toBe( false );
+	} );
+} );
@@ -0,0 +1,64 @@
+'use strict';
+
+const tokens = require( '../tokens' );
+
+describe( 'getPrefixExpansions', () => {
+	it( 'expands the prefix in the three cases', () => {
+		expect( tokens.getPrefixExpansions( 'myex' ) ).toEqual( {
+			__Prefix: 'Myex',
+			__PREFIX: 'MYEX',
+			__prefix: 'myex',
+		} );
+	} );
+} );
+
+describe( 'replaceTokens', () => {
+	it( 'replaces every occurrence of each token', () => {
+		const content = 'Plugin Name: <NAME>\nText Domain: <GETTEXT_DOMAIN>\n__prefix_init(); __PREFIX_VERSION; <NAME>';
+
+		expect( tokens.replaceTokens( content, {
+			'<NAME>':           'My Extension',
+			'<GETTEXT_DOMAIN>': 'my-ext',
+			__prefix:           'myex',
+			__PREFIX:           'MYEX',
+		} ) ).toBe( 'Plugin Name: My Extension\nText Domain: my-ext\nmyex_init(); MYEX_VERSION; My Extension' );
+	} );
+
+	it( 'leaves out the header lines of the tokens that are empty', () => {
+		const content = 'Plugin Name: <NAME>\nPlugin URI:  <URI>\nAuthor URI: <AUTHOR_URI> \nLink to <URI>.\n';
+
+		expect( tokens.replaceTokens( content, {
+			'<NAME>':       'My Extension',
+			'<URI>':        '',
+			'<AUTHOR_URI>': '',
+		} ) ).toBe( 'Plugin Name: My Extension\nLink to .\n' );
+	} );
+
+	it( 'matches the tokens literally', () => {
+		const content = 'Author URI: [AUTHOR_URI]\nAuthor: A\n';
+
+		expect( tokens.replaceTokens( content, { '[AUTHOR_URI]': '' } ) ).toBe( 'Author: A\n' );
+		expect( tokens.replaceTokens( 'Author: A\n', { '[AUTHOR_URI]': '' } ) ).toBe( 'Author: A\n' );
+		expect( tokens.replaceTokens( 'Version: 1.0\n', { '.*': '' } ) ).toBe( 'Version: 1.0\n' );
+	} );
+} );
+
+describe( 'getPathTokens', () => {
+	it( 'writes the tokens with brackets', () => {
+		expect( tokens.getPathTokens( { '<NAME>': 'my-ext', __prefix: 'myex' } ) ).toEqual( {
+			'[NAME]': 'my-ext',
+			__prefix: 'myex',
+		} );
+	} );
+} );
+
+describe( 'findPlaceholders', () => {
+	it( 'finds each placeholder that is left once', () => {
+		expect( tokens.findPlaceholders( '<AUTHOR> <AUTHOR> __Prefix <div> <br/>' ) ).toEqual( ['<AUTHOR>', '__Prefix'] );
+	} );
+
+	it( 'finds the placeholders of the paths', () => {
+		expect( tokens.findPlaceholders( 'module/[NAME]/__prefix.php', true ) ).toEqual( ['[NAME]', '__prefix'] );
+		expect( tokens.findPlaceholders( 'module/<NAME>.php', true ) ).toEqual( [] );
+	} );
+} );
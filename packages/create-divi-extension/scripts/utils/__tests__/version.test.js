@@ -0,0 +1,69 @@
+'use strict';
+
+const fs   = require( 'fs-extra' );
+const path = require( 'path' );
+const tmp  = require( 'tmp' );
+
+const findVersions = require( '../version' ).findVersions;
+const setVersion   = require( '../version' ).setVersion;
+
+describe( 'findVersions and setVersion', () => {
+	let dir;
+	let project;
+
+	beforeEach( () => {
+		dir     = tmp.dirSync( { unsafeCleanup: true } );
+		project = {
+			root:        dir.name,
+			packageJson: { name: 'my-ext', version: '1.0.0' },
+			pluginFile:  path.join( dir.name, 'my-ext.php' ),
+		};
+
+		fs.writeJsonSync( path.join( dir.name, 'package.json' ), project.packageJson );
+		fs.writeFileSync( project.pluginFile, [
+			'<?php',
+			'/*',
+			' * Plugin Name: My Extension',
+			' * Version:     1.0.0',
+			' */',
+			'',
+			'define( \'MYEX_VERSION\', \'1.0.0\' );',
+			'define( \'MYEX_PLUGIN_DIR\', __DIR__ );',
+			'',
+		].join( '\n' ) );
+		fs.writeFileSync( path.join( dir.name, 'readme.txt' ), '=== My Extension ===\nStable tag: 0.9.0\n' );
+	} );
+
+	afterEach( () => {
+		dir.removeCallback();
+	} );
+
+	it( 'finds the versions, package.json first', () => {
+		expect( findVersions( project ).map( version => `${path.basename( version.file )}: ${version.label} ${version.version}` ) ).toEqual( [
+			'package.json: the "version" 1.0.0',
+			'my-ext.php: the Version header 1.0.0',
+			'my-ext.php: the MYEX_VERSION constant 1.0.0',
+			'readme.txt: the Stable tag 0.9.0',
+		] );
+	} );
+
+	it( 'writes the new version everywhere', () => {
+		expect( setVersion( project, '1.1.0' ) ).toEqual( [
+			path.join( dir.name, 'package.json' ),
+			project.pluginFile,
+			path.join( dir.name, 'readme.txt' ),
+		] );
+		expect( findVersions( project ).map( version => version.version ) ).toEqual( ['1.1.0', '1.1.0', '1.1.0', '1.1.0'] );
+		expect( fs.readJsonSync( path.join( dir.name, 'package.json' ) ).version ).toBe( '1.1.0' );
+		expect( fs.readFileSync( project.pluginFile, 'utf8' ) ).toContain( ' * Version:     1.1.0\n' );
+		expect( fs.readFileSync( project.pluginFile, 'utf8' ) ).toContain( 'define( \'MYEX_PLUGIN_DIR\', __DIR__ );' );
+	} );
+
+	it( 'leaves the Stable tag of a plugin that is developed in trunk', () => {
+		fs.writeFileSync( path.join( dir.name, 'readme.txt' ), '=== My Extension ===\nStable tag: trunk\n' );
+
+		expect( findVersions( project ) ).toHaveLength( 3 );
+		expect( setVersion( project, '2.0.0' ) ).not.toContain( path.join( dir.name, 'readme.txt' ) );
+		expect( fs.readFileSync( path.join( dir.name, 'readme.txt' ), 'utf8' ) ).toBe( '=== My Extension ===\nStable tag: trunk\n' );
+	} );
+} );
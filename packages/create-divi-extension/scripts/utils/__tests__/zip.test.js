@@ -0,0 +1,100 @@
+'use strict';
+
+const crypto       = require( 'crypto' );
+const execFileSync = require( 'child_process' ).execFileSync;
+const fs           = require( 'fs-extra' );
+const path         = require( 'path' );
+const tmp          = require( 'tmp' );
+
+const createZip = require( '../zip' ).createZip;
+
+// The archive is checked with Info-ZIP's unzip, like most hosts would extract it.
+function unzip( args ) {
+	return execFileSync( 'unzip', args ).toString();
+}
+
+describe( 'createZip', () => {
+	const date  = new Date( 2017, 5, 14, 10, 32, 46 );
+	const files = [
+		{ name: 'my-ext/my-ext.php', content: Buffer.from( '<?php\n/*\nPlugin Name: My Extension\n*/\n'.repeat( 20 ) ), date },
+		{ name: 'my-ext/scripts/bundle.min.js', content: Buffer.from( 'window.a=1;'.repeat( 1000 ) ), date },
+		{ name: 'my-ext/styles/image.png', content: crypto.randomBytes( 4096 ), date },
+		{ name: 'my-ext/languages/my-ext-fr_FR-été.po', content: Buffer.from( 'msgid "Hello"\nmsgstr "Bonjour"\n' ), date },
+		{ name: 'my-ext/index.php', content: Buffer.alloc( 0 ), date },
+		{ name: 'my-ext/uploads/', date },
+		{ name: 'my-ext/styles/polices-été/', date },
+	];
+	const folders = files.filter( file => /\/$/.test( file.name ) );
+
+	let dir;
+	let zipPath;
+
+	beforeEach( () => {
+		dir     = tmp.dirSync( { unsafeCleanup: true } );
+		zipPath = path.join( dir.name, 'my-ext-1.0.0.zip' );
+
+		fs.writeFileSync( zipPath, createZip( files ) );
+	} );
+
+	afterEach( () => {
+		dir.removeCallback();
+	} );
+
+	it( 'creates an archive whose checksums are valid', () => {
+		const output = unzip( ['-t', zipPath] );
+
+		expect( output ).toContain( 'No errors detected' );
+	} );
+
+	it( 'tests the names that are not ASCII and the empty folders', () => {
+		const output = unzip( ['-t', zipPath] );
+
+		['my-ext/languages/my-ext-fr_FR-été.po', 'my-ext/uploads/', 'my-ext/styles/polices-été/'].forEach( name => {
+			expect( output ).toMatch( new RegExp( `testing: ${name}\\s+OK\n` ) );
+		} );
+	} );
+
+	it( 'adds an entry for every folder, before the files in it', () => {
+		const entries = unzip( ['-Z1', zipPath] ).trim().split( '\n' );
+
+		expect( entries ).toEqual( [
+			'my-ext/',
+			'my-ext/scripts/',
+			'my-ext/styles/',
+			'my-ext/languages/',
+			'my-ext/uploads/',
+			'my-ext/styles/polices-été/',
+		].concat( files.filter( file => folders.indexOf( file ) === -1 ).map( file => file.name ) ) );
+	} );
+
+	it( 'extracts the files as they were, with their names and dates', () => {
+		const out = path.join( dir.name, 'out' );
+
+		unzip( ['-q', zipPath, '-d', out] );
+
+		files.filter( file => folders.indexOf( file ) === -1 ).forEach( file => {
+			const filePath = path.join( out, file.name );
+
+			expect( fs.readFileSync( filePath ).equals( file.content ) ).toBe( true );
+			expect( fs.statSync( filePath ).mtime.getTime() ).toBe( date.getTime() );
+		} );
+		expect( fs.readdirSync( path.join( out, 'my-ext/languages' ) ) ).toEqual( ['my-ext-fr_FR-été.po'] );
+		folders.forEach( folder => {
+			expect( fs.readdirSync( path.join( out, folder.name ) ) ).toEqual( [] );
+		} );
+	} );
+
+	it( 'only stores the files that deflating doesn\'t make smaller', () => {
+		const methods = {};
+
+		unzip( ['-v', zipPath] ).split( '\n' ).forEach( line => {
+			const columns = line.trim().split( /\s+/ );
+
+			methods[columns[columns.length - 1]] = columns[1];
+		} );
+
+		expect( methods['my-ext/scripts/bundle.min.js'] ).toBe( 'Defl:N' );
+		expect( methods['my-ext/styles/image.png'] ).toBe( 'Stored' );
+		expect( methods['my-ext/'] ).toBe( 'Stored' );
+	} );
+} );
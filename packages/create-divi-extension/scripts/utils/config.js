@@ -0,0 +1,124 @@
+'use strict';
+
+const fs   = require( 'fs-extra' );
+const os   = require( 'os' );
+const path = require( 'path' );
+
+const ConfigError     = require( './errors' ).ConfigError;
+const ValidationError = require( './errors' ).ValidationError;
+const toOptionKey     = require( './template' ).toOptionKey;
+
+// The names of the config file, in the order they are looked for.
+const configFiles = ['.cderc', 'cde.config.json'];
+
+/**
+ * Finds the config file to use: the one given with `--config`, else the first
+ * of `configFiles` in the current directory, else in the home directory.
+ *
+ * @param {string} [file] The config file given with `--config`.
+ * @param {string} cwd    The current directory.
+ * @param {string} home   The home directory.
+ * @returns {string|null} The absolute path of the file.
+ */
+function findConfigFile( file, cwd, home ) {
+	if ( file ) {
+		return path.resolve( cwd, file );
+	}
+
+	const candidates = [cwd, home]
+		.filter( dir => dir )
+		.reduce( ( files, dir ) => files.concat( configFiles.map( name => path.join( dir, name ) ) ), [] );
+
+	return candidates.find( candidate => fs.existsSync( candidate ) ) || null;
+}
+
+/**
+ * Reads the defaults for the command line options from a config file, see
+ * `findConfigFile()`. It is JSON, with the options either camelCased or as they
+ * are written on the command line, eg. `authorUri` or `author-uri`.
+ *
+ * @param {string} [file] The config file given with `--config`.
+ * @param {string} [cwd]  The current directory.
+ * @param {string} [home] The home directory.
+ * @returns {Object} The options by their camelCased name, empty without a config file.
+ */
+function readConfig( file, cwd, home ) {
+	cwd  = cwd || process.cwd();
+	home = typeof home === 'undefined' ? os.homedir() : home;
+
+	const configPath = findConfigFile( file, cwd, home );
+
+	if ( !configPath ) {
+		return {};
+	}
+
+	let config;
+
+	try {
+		config = JSON.parse( fs.readFileSync( configPath, 'utf8' ) );
+	} catch ( err ) {
+		throw new ConfigError( `Could not read the config file ${configPath}: ${err.message}`, configPath );
+	}
+
+	if ( !config || typeof config !== 'object' || Array.isArray( config ) ) {
+		throw new ConfigError( `The config file ${configPath} must contain an object of options.`, configPath );
+	}
+
+	return Object.keys( config ).reduce( ( options, key ) => {
+		let value = config[key];
+
+		// A local template or lockfile is relative to the config file, not to where it is used from.
+		if ( toOptionKey( key ) === 'template' && typeof value === 'string' && /^\.\.?[\\/]/.test( value ) ) {
+			value = path.resolve( path.dirname( configPath ), value );
+		} else if ( toOptionKey( key ) === 'lockfile' && typeof value === 'string' ) {
+			value = path.resolve( path.dirname( configPath ), value );
+		}
+
+		options[toOptionKey( key )] = value;
+
+		return options;
+	}, {} );
+}
+
+/**
+ * Turns the `--use-npm`, `--use-yarn` and `--use-pnpm` options into the
+ * `packageManager` option of `createExtension()`. A config file can set either,
+ * eg. `"useNpm": true` or `"packageManager": "npm"`.
+ *
+ * @param {Object} options The options of the command line or of a config file.
+ * @returns {Object} The options, with the `packageManager` instead of the `use` options.
+ * @throws {ValidationError} When more than one package manager is chosen.
+ */
+function resolvePackageManager( options ) {
+	const useOptions = ['npm', 'yarn', 'pnpm'].map( name => toOptionKey( `--use-${name}` ) );
+	const chosen     = ['npm', 'yarn', 'pnpm'].filter( ( name, index ) => options[useOptions[index]] );
+
+	if ( options.packageManager && chosen.indexOf( options.packageManager ) === -1 ) {
+		chosen.unshift( options.packageManager );
+	}
+
+	if ( chosen.length > 1 ) {
+		const names = chosen.map( name => `--use-${name}` );
+
+		throw new ValidationError(
+			`Please choose one package manager, not ${names.join( ' and ' )}.`,
+			[`More than one package manager: ${chosen.join( ', ' )}`]
+		);
+	}
+
+	const resolved = Object.assign( {}, options );
+
+	useOptions.forEach( key => delete resolved[key] );
+
+	if ( chosen.length ) {
+		resolved.packageManager = chosen[0];
+	}
+
+	return resolved;
+}
+
+module.exports = {
+	configFiles,
+	readConfig,
+	resolvePackageManager,
+};
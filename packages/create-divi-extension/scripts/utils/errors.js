@@ -0,0 +1,123 @@
+'use strict';
+
+/**
+ * The base class of the errors `createExtension()` rejects with. The `code`
+ * tells them apart without having to compare the classes.
+ */
+class CreateExtensionError extends Error {
+	/**
+	 * @param {string} message The error message.
+	 * @param {string} code    Identifies the kind of error, eg. `EVALIDATION`.
+	 */
+	constructor( message, code ) {
+		super( message );
+
+		this.name = this.constructor.name;
+		this.code = code;
+	}
+}
+
+/**
+ * The project name, the prefix or one of the template's values is not valid.
+ */
+class ValidationError extends CreateExtensionError {
+	/**
+	 * @param {string}        message The error message.
+	 * @param {Array<string>} errors  What's wrong, one line each.
+	 */
+	constructor( message, errors ) {
+		super( message, 'EVALIDATION' );
+
+		this.errors = errors || [];
+	}
+}
+
+/**
+ * The project directory contains files that could be overwritten.
+ */
+class ConflictError extends CreateExtensionError {
+	/**
+	 * @param {string}        message The error message.
+	 * @param {Array<string>} files   The conflicting files.
+	 */
+	constructor( message, files ) {
+		super( message, 'ECONFLICT' );
+
+		this.files = files;
+	}
+}
+
+/**
+ * The template could not be fetched, its manifest is not valid or it left
+ * placeholders in the extension.
+ */
+class TemplateError extends CreateExtensionError {
+	/**
+	 * @param {string}        message      The error message.
+	 * @param {Array<string>} placeholders The placeholders that are left, as `file: placeholder`.
+	 */
+	constructor( message, placeholders ) {
+		super( message, 'ETEMPLATE' );
+
+		this.placeholders = placeholders || [];
+	}
+}
+
+/**
+ * Installing the dependencies of the extension failed.
+ */
+class InstallError extends CreateExtensionError {
+	/**
+	 * @param {string}        message    The error message.
+	 * @param {string}        command    The command that failed, if any.
+	 * @param {Array<string>} [packages] The packages that could not be installed offline.
+	 */
+	constructor( message, command, packages ) {
+		super( message, 'EINSTALL' );
+
+		this.command  = command || null;
+		this.packages = packages || [];
+	}
+}
+
+/**
+ * A `--scripts-version` archive doesn't match its integrity, or the integrity is not valid.
+ */
+class IntegrityError extends CreateExtensionError {
+	/**
+	 * @param {string} message    The error message.
+	 * @param {string} [expected] The integrity the archive should have.
+	 * @param {string} [actual]   The integrity it has.
+	 */
+	constructor( message, expected, actual ) {
+		super( message, 'EINTEGRITY' );
+
+		this.expected = expected || null;
+		this.actual   = actual || null;
+	}
+}
+
+/**
+ * A config file could not be read.
+ */
+class ConfigError extends CreateExtensionError {
+	/**
+	 * @param {string} message The error message.
+	 * @param {string} file    The config file.
+	 */
+	constructor( message, file ) {
+		super( message, 'ECONFIG' );
+
+		this.file = file;
+	}
+}
+
+module.exports = {
+	ConfigError,
+	ConflictError,
+	CreateExtensionError,
+	InstallError,
+	IntegrityError,
+	TemplateError,
+	ValidationError,
+};
@@ -0,0 +1,386 @@
+'use strict';
+
+const babylon = require( 'babylon' );
+
+// The arguments of the gettext functions of WordPress, by function. The JavaScript
+// ones take them in the same order.
+const phpFunctions = {
+	__:           ['text', 'domain'],
+	_e:           ['text', 'domain'],
+	_x:           ['text', 'context', 'domain'],
+	_ex:          ['text', 'context', 'domain'],
+	_n:           ['single', 'plural', 'number', 'domain'],
+	_nx:          ['single', 'plural', 'number', 'context', 'domain'],
+	_n_noop:      ['single', 'plural', 'domain'],
+	_nx_noop:     ['single', 'plural', 'context', 'domain'],
+	esc_html__:   ['text', 'domain'],
+	esc_html_e:   ['text', 'domain'],
+	esc_html_x:   ['text', 'context', 'domain'],
+	esc_attr__:   ['text', 'domain'],
+	esc_attr_e:   ['text', 'domain'],
+	esc_attr_x:   ['text', 'context', 'domain'],
+};
+
+const jsFunctions = {
+	__:  phpFunctions.__,
+	_x:  phpFunctions._x,
+	_n:  phpFunctions._n,
+	_nx: phpFunctions._nx,
+};
+
+// The tokens of PHP code, tried in order. `token()` returns what is kept of a match.
+const phpRules = [
+	{
+		pattern: /^\?>/,
+		token:   () => ( { type: 'close' } ),
+	},
+	{
+		pattern: /^(?:\/\/|#)[^\n]*?(?=\?>|\n|$)|^\/\*[\s\S]*?(?:\*\/|$)/,
+		token:   match => ( { type: 'comment', value: match[0] } ),
+	},
+	{
+		pattern: /^'((?:[^'\\]|\\[\s\S])*)'?/,
+		token:   match => ( { type: 'string', value: match[1].replace( /\\(['\\])/g, '$1' ) } ),
+	},
+	{
+		pattern: /^"((?:[^"\\]|\\[\s\S])*)"?/,
+		token:   match => ( { type: 'string', value: /(^|[^\\])(\\\\)*\$[A-Za-z_{]/.test( match[1] ) ? null : unescapeDoubleQuoted( match[1] ) } ),
+	},
+	{
+		// Heredoc and nowdoc, they are too rare to read.
+		pattern: /^<<<[ \t]*(['"]?)([A-Za-z_]\w*)\1\r?\n[\s\S]*?\n[ \t]*\2\b/,
+		token:   () => ( { type: 'string', value: null } ),
+	},
+	{
+		pattern: /^\$?[A-Za-z_\\][\w\\]*/,
+		token:   match => ( { type: 'name', value: match[0] } ),
+	},
+	{
+		pattern: /^\s+/,
+		token:   () => null,
+	},
+	{
+		pattern: /^(?:->|::|[\s\S])/,
+		token:   match => ( { type: 'punct', value: match[0] } ),
+	},
+];
+
+/**
+ * Splits PHP code into the tokens the gettext calls are found with. What is
+ * outside of the `<?php ?>` tags is skipped.
+ *
+ * @param {string} content The code.
+ * @returns {Array<{type: string, value: ?string, line: number}>} The tokens: `string`, `comment`,
+ *          `name` and `punct`. A string's value is `null` when it isn't a literal, eg. `"$count items"`.
+ */
+function tokenizePhp( content ) {
+	const tokens = [];
+	let line     = 1;
+	let index    = 0;
+	let inPhp    = false;
+
+	const advance = length => {
+		line  += content.substr( index, length ).split( '\n' ).length - 1;
+		index += length;
+	};
+
+	while ( index < content.length ) {
+		const rest = content.slice( index );
+
+		if ( !inPhp ) {
+			const open = rest.match( /<\?(?:php|=)?/ );
+
+			advance( open ? open.index + open[0].length : rest.length );
+			inPhp = true;
+			continue;
+		}
+
+		const rule  = phpRules.filter( candidate => candidate.pattern.test( rest ) )[0];
+		const match = rest.match( rule.pattern );
+		const token = rule.token( match );
+
+		if ( token && token.type === 'close' ) {
+			inPhp = false;
+		} else if ( token ) {
+			tokens.push( Object.assign( token, { line } ) );
+		}
+		advance( match[0].length );
+	}
+
+	return tokens;
+}
+
+function unescapeDoubleQuoted( value ) {
+	const escapes = { n: '\n', t: '\t', r: '\r', v: '\v', f: '\f', e: '\x1b', 0: '\0', '\\': '\\', '"': '"', $: '$' };
+
+	return value.replace( /\\([ntrvfe0\\"$])/g, ( match, char ) => escapes[char] );
+}
+
+/**
+ * Finds the gettext calls of PHP code.
+ *
+ * @param {string} content The code.
+ * @returns {{calls: Array<Object>, comments: Array<{text: string, line: number}>}} The calls, as their
+ *          function `name`, `line`, the `roles` of its arguments, see `phpFunctions`, and the `args`, the
+ *          values of the literal arguments or `null`. And the comments, by the line they end on.
+ */
+function extractPhp( content ) {
+	const tokens   = tokenizePhp( content );
+	const code     = tokens.filter( token => token.type !== 'comment' );
+	const calls    = [];
+	const comments = tokens
+		.filter( token => token.type === 'comment' )
+		.map( token => ( { text: token.value, line: token.line + token.value.split( '\n' ).length - 1 } ) );
+
+	code.forEach( ( token, index ) => {
+		const previous = code[index - 1];
+		const name     = token.type === 'name' ? token.value.replace( /^\\/, '' ) : null;
+
+		if (
+			!name ||
+			!phpFunctions.hasOwnProperty( name ) ||
+			!code[index + 1] || code[index + 1].value !== '(' ||
+			previous && ( ['->', '::'].indexOf( previous.value ) > -1 || /^(?:function|new)$/i.test( previous.value ) )
+		) {
+			return;
+		}
+
+		const args = [[]];
+		let depth  = 0;
+
+		for ( let i = index + 2; i < code.length; i++ ) {
+			const value = code[i].type === 'punct' ? code[i].value : null;
+
+			if ( value === ')' && !depth ) {
+				break;
+			}
+
+			if ( value === ',' && !depth ) {
+				args.push( [] );
+				continue;
+			}
+
+			if ( value && '([{'.indexOf( value ) > -1 ) {
+				depth++;
+			} else if ( value && ')]}'.indexOf( value ) > -1 ) {
+				depth--;
+			}
+			args[args.length - 1].push( code[i] );
+		}
+
+		calls.push( {
+			name,
+			line:  token.line,
+			roles: phpFunctions[name],
+			args:  args.filter( arg => arg.length ).map( arg => getLiteral( arg, '.' ) ),
+		} );
+	} );
+
+	return {
+		calls,
+		comments,
+	};
+}
+
+// The value of strings concatenated with the operator, or `null` for anything else.
+function getLiteral( tokens, operator ) {
+	const isLiteral = tokens.every( ( token, index ) => index % 2
+		? token.type === 'punct' && token.value === operator
+		: token.type === 'string' && token.value !== null );
+
+	return isLiteral && tokens.length % 2 ? tokens.filter( token => token.type === 'string' ).map( token => token.value ).join( '' ) : null;
+}
+
+// The value of a string, a template without expressions, or strings concatenated with `+`.
+function getNodeLiteral( node ) {
+	if ( node.type === 'StringLiteral' ) {
+		return node.value;
+	}
+
+	if ( node.type === 'TemplateLiteral' && !node.expressions.length ) {
+		return node.quasis[0].value.cooked;
+	}
+
+	if ( node.type === 'BinaryExpression' && node.operator === '+' ) {
+		const left  = getNodeLiteral( node.left );
+		const right = getNodeLiteral( node.right );
+
+		return left !== null && right !== null ? left + right : null;
+	}
+
+	return null;
+}
+
+// Calls the callback for every node of the tree.
+function walk( node, callback ) {
+	if ( Array.isArray( node ) ) {
+		node.forEach( child => walk( child, callback ) );
+		return;
+	}
+
+	if ( !node || typeof node.type !== 'string' ) {
+		return;
+	}
+
+	callback( node );
+	Object.keys( node )
+		.filter( key => ['loc', 'leadingComments', 'trailingComments', 'innerComments'].indexOf( key ) === -1 )
+		.forEach( key => node[key] && typeof node[key] === 'object' && walk( node[key], callback ) );
+}
+
+/**
+ * Finds the gettext calls of JavaScript code, JSX included. The functions can
+ * also be called as methods, eg. `i18n.__()`.
+ *
+ * @param {string} content The code.
+ * @returns {{calls: Array<Object>, comments: Array<{text: string, line: number}>}} See `extractPhp()`.
+ */
+function extractJs( content ) {
+	const ast   = babylon.parse( content, {
+		sourceType: 'module',
+		plugins:    ['jsx', 'flow', 'classProperties', 'objectRestSpread', 'dynamicImport'],
+	} );
+	const calls = [];
+
+	walk( ast.program, node => {
+		const callee = node.type === 'CallExpression' && ( node.callee.type === 'MemberExpression' && !node.callee.computed ? node.callee.property : node.callee );
+
+		if ( callee && callee.type === 'Identifier' && jsFunctions.hasOwnProperty( callee.name ) ) {
+			calls.push( {
+				name:  callee.name,
+				line:  node.loc.start.line,
+				roles: jsFunctions[callee.name],
+				args:  node.arguments.map( getNodeLiteral ),
+			} );
+		}
+	} );
+
+	return {
+		calls,
+		comments: ast.comments.map( comment => ( { text: comment.value, line: comment.loc.end.line } ) ),
+	};
+}
+
+/**
+ * Turns the gettext calls of the files into the entries of a translation
+ * template. The calls for another text domain are left out, they and the calls
+ * that can't be extracted are reported instead.
+ *
+ * A comment that starts with `translators:` on the line of a call or the line
+ * before it is kept for the translators.
+ *
+ * @param {Array<Object>} files      The files, as their `file` path and the `calls` and `comments`
+ *                                   of `extractPhp()` or `extractJs()`.
+ * @param {string}        textDomain The text domain of the extension.
+ * @returns {{entries: Array<Object>, warnings: Array<string>}} The entries, as their `context`, `text`,
+ *          `plural`, `comments` and `references`, in the order they are found. And the warnings.
+ */
+function collectEntries( files, textDomain ) {
+	const entries  = {};
+	const warnings = [];
+
+	files.forEach( file => {
+		file.calls.forEach( call => {
+			const roles     = call.roles;
+			const where     = `${file.file}:${call.line}`;
+			const arg       = role => call.args[roles.indexOf( role )];
+			const text      = roles[0] === 'text' ? arg( 'text' ) : arg( 'single' );
+			const domain    = arg( 'domain' );
+			const hasDomain = roles.indexOf( 'domain' ) < call.args.length;
+
+			if ( !hasDomain ) {
+				warnings.push( `${where}: ${call.name}() has no text domain, it should be '${textDomain}'.` );
+				return;
+			}
+
+			if ( domain === null ) {
+				warnings.push( `${where}: the text domain of ${call.name}() isn't a string, it should be '${textDomain}'.` );
+				return;
+			}
+
+			if ( domain !== textDomain ) {
+				warnings.push( `${where}: ${call.name}() uses the text domain '${domain}' instead of '${textDomain}'.` );
+				return;
+			}
+
+			if ( typeof text !== 'string' || roles.indexOf( 'plural' ) > -1 && typeof arg( 'plural' ) !== 'string' || roles.indexOf( 'context' ) > -1 && typeof arg( 'context' ) !== 'string' ) {
+				warnings.push( `${where}: the text of ${call.name}() must be a string to be translated, not a variable or an expression.` );
+				return;
+			}
+
+			const context = roles.indexOf( 'context' ) > -1 ? arg( 'context' ) : null;
+			const key     = `${context || ''}\u0004${text}`;
+			const entry   = entries[key] || ( entries[key] = {
+				context,
+				text,
+				plural:     null,
+				comments:   [],
+				references: [],
+			} );
+
+			if ( roles.indexOf( 'plural' ) > -1 ) {
+				entry.plural = arg( 'plural' );
+			}
+
+			entry.references.push( where );
+			file.comments
+				.filter( comment => ( comment.line === call.line || comment.line === call.line - 1 ) && /^[\s\/*#]*translators:/i.test( comment.text ) )
+				.map( comment => comment.text.replace( /^[\s\/*#]*|[\s\/*]*$/g, '' ).replace( /\s*\n[\s*]*/g, ' ' ) )
+				.filter( comment => entry.comments.indexOf( comment ) === -1 )
+				.forEach( comment => entry.comments.push( comment ) );
+		} );
+	} );
+
+	return {
+		entries:  Object.keys( entries ).map( key => entries[key] ),
+		warnings,
+	};
+}
+
+function escape( text ) {
+	return `"${text.replace( /\\/g, '\\\\' ).replace( /"/g, '\\"' ).replace( /\t/g, '\\t' ).replace( /\n/g, '\\n' )}"`;
+}
+
+// A string of a .pot file. The lines of a multiline string are on their own.
+function quote( value ) {
+	const lines = value.match( /[^\n]*\n|[^\n]+$/g ) || [''];
+
+	return lines.length > 1 ? `""\n${lines.map( escape ).join( '\n' )}` : escape( value );
+}
+
+/**
+ * Writes a translation template.
+ *
+ * @param {Array<Object>} entries The entries, see `collectEntries()`.
+ * @param {Object}        headers Header => value, eg. `Project-Id-Version`.
+ * @param {Array<string>} [notes] The comments at the top of the file.
+ * @returns {string} The contents of the .pot file.
+ */
+function formatPot( entries, headers, notes ) {
+	const header = [].concat(
+		( notes || [] ).map( note => `# ${note}` ),
+		'msgid ""',
+		'msgstr ""',
+		Object.keys( headers ).map( name => escape( `${name}: ${headers[name]}\n` ) )
+	).join( '\n' );
+
+	return [header].concat( entries.map( entry => [].concat(
+		entry.comments.map( comment => `#. ${comment}` ),
+		entry.references.map( reference => `#: ${reference}` ),
+		/%(?:\d+\$)?[-+ 0#]*\d*(?:\.\d+)?[bcdeEfFgGosuxX]/.test( entry.text + ( entry.plural || '' ) ) ? ['#, php-format'] : [],
+		entry.context !== null ? [`msgctxt ${quote( entry.context )}`] : [],
+		[`msgid ${quote( entry.text )}`],
+		entry.plural !== null
+			? [`msgid_plural ${quote( entry.plural )}`, 'msgstr[0] ""', 'msgstr[1] ""']
+			: ['msgstr ""']
+	).join( '\n' ) ) ).join( '\n\n' ) + '\n';
+}
+
+module.exports = {
+	collectEntries,
+	extractJs,
+	extractPhp,
+	formatPot,
+	jsFunctions,
+	phpFunctions,
+};
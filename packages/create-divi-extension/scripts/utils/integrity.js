@@ -0,0 +1,158 @@
+'use strict';
+
+const crypto = require( 'crypto' );
+const fs     = require( 'fs-extra' );
+const path   = require( 'path' );
+
+const IntegrityError = require( './errors' ).IntegrityError;
+
+const algorithms = ['sha256', 'sha384', 'sha512'];
+
+/**
+ * Parses a Subresource Integrity string, like the `integrity` of a package in
+ * a lockfile. It can list several hashes, separated by whitespace.
+ *
+ * @param {string} integrity The integrity, eg. `sha512-<base64 digest>`.
+ * @returns {Array<{algorithm: string, digest: string}>} The hashes.
+ */
+function parseIntegrity( integrity ) {
+	const hashes = String( integrity )
+		.trim()
+		.split( /\s+/ )
+		.map( hash => hash.match( /^(sha\d+)-([A-Za-z0-9+\/]+={0,2})(?:\?.*)?$/ ) )
+		.filter( match => match && algorithms.indexOf( match[1] ) > -1 )
+		.map( match => ( { algorithm: match[1], digest: match[2] } ) );
+
+	if ( !hashes.length ) {
+		throw new IntegrityError(
+			`The integrity "${integrity}" is not valid. It must be a ${algorithms.join( ', ' )} hash like the ones in a lockfile, eg. sha512-<base64>.`
+		);
+	}
+
+	return hashes;
+}
+
+/**
+ * Checks a file against an integrity, before anything is done with it. It
+ * matches when any of the hashes of the strongest algorithm does.
+ *
+ * @param {string} file      The file.
+ * @param {string} integrity The integrity, see `parseIntegrity()`.
+ * @returns {Promise<string>} The integrity of the file. It is rejected with an `IntegrityError` when
+ *          the file doesn't match.
+ */
+function checkIntegrity( file, integrity ) {
+	const hashes    = parseIntegrity( integrity );
+	const algorithm = hashes
+		.map( hash => hash.algorithm )
+		.sort( ( a, b ) => algorithms.indexOf( b ) - algorithms.indexOf( a ) )[0];
+
+	return new Promise( ( resolve, reject ) => {
+		const hash = crypto.createHash( algorithm );
+
+		fs.createReadStream( file )
+			.on( 'error', reject )
+			.on( 'data', chunk => hash.update( chunk ) )
+			.on( 'end', () => resolve( `${algorithm}-${hash.digest( 'base64' )}` ) );
+	} ).then( actual => {
+		const expected = hashes
+			.filter( hash => hash.algorithm === algorithm )
+			.map( hash => `${hash.algorithm}-${hash.digest}` );
+
+		if ( expected.indexOf( actual ) === -1 ) {
+			throw new IntegrityError(
+				`The integrity of ${file} doesn't match. It is\n  ${actual}\nbut it should be\n  ${expected.join( '\n  ' )}`,
+				expected.join( ' ' ),
+				actual
+			);
+		}
+
+		return actual;
+	} );
+}
+
+// Where an archive is, to compare it with the `resolved` of the lockfile entries.
+function getArchiveLocation( archive, dir ) {
+	const location = archive.replace( /#.*$/, '' );
+
+	return /^https?:/.test( location ) ? location : path.resolve( dir, location.replace( /^file:/, '' ) );
+}
+
+// The `resolved` and `integrity` of the entries of a package-lock.json or an npm-shrinkwrap.json,
+// from the `packages` of lockfile v2 and v3 and the nested `dependencies` of v1.
+function getNpmLockEntries( lock ) {
+	const entries = [];
+	const visit   = dependencies => Object.keys( dependencies || {} ).forEach( name => {
+		entries.push( dependencies[name] );
+		visit( dependencies[name].dependencies );
+	} );
+
+	Object.keys( lock.packages || {} ).forEach( name => entries.push( lock.packages[name] ) );
+	visit( lock.dependencies );
+
+	return entries.map( entry => ( { resolved: entry.resolved, integrity: entry.integrity } ) );
+}
+
+// The `resolved` and `integrity` of the entries of a yarn.lock, which are separated by blank lines.
+function getYarnLockEntries( content ) {
+	return content.replace( /\r\n?/g, '\n' ).split( /\n\s*\n/ ).map( block => {
+		const resolved  = block.match( /^\s+resolved\s+"?([^"\s]+)"?\s*$/m );
+		const integrity = block.match( /^\s+integrity\s+"?([^"\s]+)"?\s*$/m );
+
+		return {
+			resolved:  resolved && resolved[1],
+			integrity: integrity && integrity[1],
+		};
+	} );
+}
+
+/**
+ * Reads the integrity of an archive from a lockfile, ie. a package-lock.json,
+ * an npm-shrinkwrap.json or a yarn.lock. It's the one of the entry that was
+ * resolved to the archive, a local archive is relative to the lockfile.
+ *
+ * @param {string} lockfile The lockfile.
+ * @param {string} archive  The .tgz url or path of the archive.
+ * @returns {string} The integrity. It throws an `IntegrityError` when the lockfile can't be read or
+ *          has no integrity for the archive.
+ */
+function readLockfileIntegrity( lockfile, archive ) {
+	const name = path.basename( lockfile );
+	let content;
+
+	if ( ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock'].indexOf( name ) === -1 ) {
+		throw new IntegrityError(
+			`The integrity can only be read from a package-lock.json, an npm-shrinkwrap.json or a yarn.lock, not from ${name}.`
+		);
+	}
+
+	try {
+		content = fs.readFileSync( lockfile, 'utf8' );
+	} catch ( err ) {
+		throw new IntegrityError( `Could not read the lockfile ${lockfile}: ${err.message}` );
+	}
+
+	let entries;
+
+	try {
+		entries = name === 'yarn.lock' ? getYarnLockEntries( content ) : getNpmLockEntries( JSON.parse( content ) );
+	} catch ( err ) {
+		throw new IntegrityError( `Could not read the lockfile ${lockfile}: ${err.message}` );
+	}
+
+	const dir      = path.dirname( path.resolve( lockfile ) );
+	const location = getArchiveLocation( archive, process.cwd() );
+	const entry    = entries.filter( item => item.resolved && getArchiveLocation( item.resolved, dir ) === location )[0];
+
+	if ( !entry || !entry.integrity ) {
+		throw new IntegrityError( `The lockfile ${lockfile} has no integrity for ${archive}.` );
+	}
+
+	return entry.integrity;
+}
+
+module.exports = {
+	checkIntegrity,
+	parseIntegrity,
+	readLockfileIntegrity,
+};
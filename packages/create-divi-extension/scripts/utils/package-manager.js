@@ -0,0 +1,375 @@
+'use strict';
+
+const dns      = require( 'dns' );
+const execSync = require( 'child_process' ).execSync;
+const fs       = require( 'fs-extra' );
+const path     = require( 'path' );
+const semver   = require( 'semver' );
+
+const InstallError = require( './errors' ).InstallError;
+
+// How each of the package managers is run. `add` saves dependencies to package.json,
+// `install` installs what it lists. The `lockfile` tells which one a project uses.
+// The `rcFile` lines make the installs we don't run ourselves work offline too.
+const packageManagers = {
+	npm: {
+		name:     'npm',
+		command:  'npm',
+		lockfile: 'package-lock.json',
+		registry: 'registry.npmjs.org',
+		add:      ['install', '--save'],
+		exact:    '--save-exact',
+		install:  ['install'],
+		offline:  '--offline',
+		cache:    '--cache',
+		verbose:  '--verbose',
+		rcFile:   '.npmrc',
+		rc:       {
+			offline: 'offline=true',
+			cache:   dir => `cache=${dir}`,
+		},
+	},
+	yarn: {
+		name:     'yarn',
+		command:  'yarnpkg',
+		lockfile: 'yarn.lock',
+		registry: 'registry.yarnpkg.com',
+		add:      ['add'],
+		exact:    '--exact',
+		install:  [],
+		offline:  '--offline',
+		cache:    '--cache-folder',
+		verbose:  '--verbose',
+		rcFile:   '.yarnrc',
+		rc:       {
+			offline: '--*.offline true',
+			cache:   dir => `cache-folder "${dir}"`,
+		},
+	},
+	pnpm: {
+		name:     'pnpm',
+		command:  'pnpm',
+		lockfile: 'pnpm-lock.yaml',
+		registry: 'registry.npmjs.org',
+		add:      ['add'],
+		exact:    '--save-exact',
+		install:  ['install'],
+		offline:  '--offline',
+		cache:    '--store-dir',
+		verbose:  '--loglevel=debug',
+		rcFile:   '.npmrc',
+		rc:       {
+			offline: 'offline=true',
+			cache:   dir => `store-dir=${dir}`,
+		},
+	},
+};
+
+/**
+ * Returns the version of a package manager, if it is installed.
+ *
+ * @param {Object} packageManager The package manager, see `packageManagers`.
+ * @returns {?string} The version.
+ */
+function getVersion( packageManager ) {
+	try {
+		return execSync( `${packageManager.command} --version`, { stdio: ['ignore', 'pipe', 'ignore'] } ).toString().trim();
+	} catch ( err ) {
+		return null;
+	}
+}
+
+/**
+ * Picks the package manager to create a project with: the one that was asked
+ * for, else Yarn when it is installed, else npm.
+ *
+ * @param {string} [name] The name of the package manager that was asked for.
+ * @returns {Object} The package manager, see `packageManagers`.
+ */
+function choosePackageManager( name ) {
+	if ( !name ) {
+		return getVersion( packageManagers.yarn ) ? packageManagers.yarn : packageManagers.npm;
+	}
+
+	const packageManager = packageManagers[name];
+
+	if ( !getVersion( packageManager ) ) {
+		throw new InstallError( `${packageManager.name} was asked for, but \`${packageManager.command}\` could not be found. Is it installed?` );
+	}
+
+	return packageManager;
+}
+
+/**
+ * Tells which package manager a project uses from its lockfile. Projects
+ * without one use npm.
+ *
+ * @param {string} root The project directory.
+ * @returns {Object} The package manager, see `packageManagers`.
+ */
+function detectPackageManager( root ) {
+	// npm can leave a package-lock.json next to the others, so it comes last.
+	const names = ['pnpm', 'yarn', 'npm']
+		.filter( name => fs.existsSync( path.join( root, packageManagers[name].lockfile ) ) );
+
+	return names.length ? packageManagers[names[0]] : packageManagers.npm;
+}
+
+// The flags that all the commands take.
+function getFlags( packageManager, options ) {
+	return []
+		.concat( options.offline ? [packageManager.offline] : [] )
+		.concat( options.cache ? [packageManager.cache, options.cache] : [] )
+		.concat( options.verbose ? [packageManager.verbose] : [] );
+}
+
+/**
+ * Returns the command that saves dependencies to package.json and installs them.
+ *
+ * @param {Object}        packageManager    The package manager, see `packageManagers`.
+ * @param {Array<string>} dependencies      The dependencies, as they would be given to the package manager.
+ * @param {Object}        [options]         The options.
+ * @param {boolean}       [options.exact]   Whether to save the exact versions instead of ranges.
+ * @param {boolean}       [options.offline] Whether to install from the local cache.
+ * @param {string}        [options.cache]   Another cache directory to use.
+ * @param {boolean}       [options.verbose] Whether to print additional logs.
+ * @returns {{command: string, args: Array<string>}} The command.
+ */
+function getAddCommand( packageManager, dependencies, options ) {
+	options = options || {};
+
+	return {
+		command: packageManager.command,
+		args:    packageManager.add
+			.concat( options.exact ? [packageManager.exact] : [] )
+			.concat( getFlags( packageManager, options ) )
+			.concat( dependencies ),
+	};
+}
+
+/**
+ * Returns the command that installs the dependencies in package.json.
+ *
+ * @param {Object}  packageManager    The package manager, see `packageManagers`.
+ * @param {Object}  [options]         The options.
+ * @param {boolean} [options.offline] Whether to install from the local cache.
+ * @param {string}  [options.cache]   Another cache directory to use.
+ * @param {boolean} [options.verbose] Whether to print additional logs.
+ * @returns {{command: string, args: Array<string>}} The command.
+ */
+function getInstallCommand( packageManager, options ) {
+	return {
+		command: packageManager.command,
+		args:    packageManager.install.concat( getFlags( packageManager, options || {} ) ),
+	};
+}
+
+/**
+ * Checks whether the registry of a package manager can be reached.
+ *
+ * @param {Object} packageManager The package manager, see `packageManagers`.
+ * @returns {Promise<boolean>} Whether it is online.
+ */
+function checkIfOnline( packageManager ) {
+	return new Promise( resolve => {
+		dns.lookup( packageManager.registry, err => {
+			resolve( err === null );
+		} );
+	} );
+}
+
+// The lines of the project's rc file that make the package manager work offline.
+function getOfflineConfig( packageManager, cache ) {
+	return [packageManager.rc.offline].concat( cache ? [packageManager.rc.cache( cache )] : [] );
+}
+
+/**
+ * Makes every install in the project work offline, including the ones of
+ * react-scripts, by adding to the package manager's rc file in the project.
+ * The lines that are already there are left as they are.
+ *
+ * @param {string} root           The project directory.
+ * @param {Object} packageManager The package manager, see `packageManagers`.
+ * @param {string} [cache]        Another cache directory to use.
+ * @returns {void}
+ */
+function writeOfflineConfig( root, packageManager, cache ) {
+	const rcPath  = path.join( root, packageManager.rcFile );
+	const current = fs.existsSync( rcPath ) ? fs.readFileSync( rcPath, 'utf8' ) : '';
+	const lines   = current.split( '\n' );
+	const missing = getOfflineConfig( packageManager, cache ).filter( line => lines.indexOf( line ) === -1 );
+
+	if ( missing.length ) {
+		fs.writeFileSync( rcPath, current.replace( /([^\n])$/, '$1\n' ) + missing.join( '\n' ) + '\n' );
+	}
+}
+
+/**
+ * Takes out what `writeOfflineConfig()` added, and the rc file if nothing else is left in it.
+ *
+ * @param {string} root           The project directory.
+ * @param {Object} packageManager The package manager, see `packageManagers`.
+ * @param {string} [cache]        The other cache directory that was used.
+ * @returns {void}
+ */
+function removeOfflineConfig( root, packageManager, cache ) {
+	const rcPath = path.join( root, packageManager.rcFile );
+
+	if ( !fs.existsSync( rcPath ) ) {
+		return;
+	}
+
+	const config = getOfflineConfig( packageManager, cache );
+	const lines  = fs.readFileSync( rcPath, 'utf8' ).split( '\n' ).filter( line => config.indexOf( line ) === -1 );
+
+	if ( lines.join( '' ).trim() ) {
+		fs.writeFileSync( rcPath, lines.join( '\n' ) );
+	} else {
+		fs.removeSync( rcPath );
+	}
+}
+
+// The name and version of a package in the url of its tarball, eg. https://registry.npmjs.org/react/-/react-15.6.1.tgz
+const tarballUrl = /\/((?:@[^\/]+\/)?[^\/]+)\/-\/[^\/]+?-(\d+\.\d+\.\d+[^\/]*)\.tgz$/;
+
+// The files of a directory and its subdirectories.
+function listFiles( dir ) {
+	return fs.readdirSync( dir ).reduce( ( files, name ) => {
+		const file = path.join( dir, name );
+
+		return files.concat( fs.statSync( file ).isDirectory() ? listFiles( file ) : [file] );
+	}, [] );
+}
+
+// The urls of the tarballs in the index of npm's cache (npm 5 and later), by reading the index
+// directly: `npm cache ls` only exists in some versions. Each line of an index file is a hash
+// and an entry, the last entry of a key wins and a `null` integrity means it was removed.
+function getCachedTarballs( cacache ) {
+	const entries = {};
+
+	fs.readdirSync( cacache )
+		.filter( name => /^index-v\d+$/.test( name ) )
+		.forEach( name => listFiles( path.join( cacache, name ) ).forEach( file => {
+			fs.readFileSync( file, 'utf8' ).split( '\n' ).forEach( line => {
+				let entry;
+
+				try {
+					entry = JSON.parse( line.slice( line.indexOf( '\t' ) + 1 ) );
+				} catch ( err ) {
+					return;
+				}
+
+				if ( entry && entry.key ) {
+					entries[entry.key] = entry.integrity !== null;
+				}
+			} );
+		} ) );
+
+	return Object.keys( entries ).filter( key => entries[key] );
+}
+
+// The versions of the packages in npm's cache by name. npm 5 and later keep it in `_cacache`,
+// before that there was a folder per package and version.
+function getNpmCachedVersions( names, cache ) {
+	const dir      = cache || execSync( 'npm config get cache', { stdio: ['ignore', 'pipe', 'ignore'] } ).toString().trim();
+	const cacache  = path.join( dir, '_cacache' );
+	const versions = {};
+
+	names.forEach( name => {
+		versions[name] = [];
+	} );
+
+	if ( fs.existsSync( cacache ) ) {
+		getCachedTarballs( cacache )
+			.map( key => key.match( tarballUrl ) )
+			.filter( match => match && versions[match[1]] )
+			.forEach( match => versions[match[1]].push( match[2] ) );
+	} else {
+		names
+			.filter( name => fs.existsSync( path.join( dir, name ) ) )
+			.forEach( name => {
+				versions[name] = fs.readdirSync( path.join( dir, name ) )
+					.filter( version => semver.valid( version ) && fs.existsSync( path.join( dir, name, version, 'package.tgz' ) ) );
+			} );
+	}
+
+	return versions;
+}
+
+// The versions of the packages in Yarn's cache by name.
+function getYarnCachedVersions( names, cache ) {
+	const cacheFlag = cache ? ` --cache-folder "${cache}"` : '';
+	const versions  = {};
+
+	names.forEach( name => {
+		versions[name] = [];
+	} );
+
+	execSync( `yarnpkg cache list --json${cacheFlag}`, { stdio: ['ignore', 'pipe', 'ignore'], maxBuffer: 64 * 1024 * 1024 } )
+		.toString()
+		.split( '\n' )
+		.filter( line => line.indexOf( '"type":"table"' ) > -1 )
+		.forEach( line => JSON.parse( line ).data.body
+			.filter( row => versions[row[0]] )
+			.forEach( row => versions[row[0]].push( row[1] ) ) );
+
+	return versions;
+}
+
+// The versions of the packages in the cache by name, or `null` when the package manager can't tell.
+function getCachedVersions( packageManager, names, cache ) {
+	try {
+		if ( packageManager.name === 'npm' ) {
+			return getNpmCachedVersions( names, cache );
+		}
+
+		if ( packageManager.name === 'yarn' ) {
+			return getYarnCachedVersions( names, cache );
+		}
+	} catch ( err ) {
+		// Like Yarn 2 and later, which have no `yarn cache list`.
+	}
+
+	// pnpm can't list its store.
+	return null;
+}
+
+/**
+ * Finds the dependencies that can't be installed offline because no version
+ * that would do is in the cache. Only the dependencies themselves are looked
+ * for, not what they depend on: a missing one of those still fails the install.
+ *
+ * @param {Object} packageManager The package manager, see `packageManagers`.
+ * @param {Object} dependencies   Name => version range, `*` or a dist-tag for any version.
+ * @param {string} [cache]        Another cache directory to use.
+ * @returns {Array<string>} The missing dependencies, as `name@range`. It throws an `InstallError`
+ *          when the package manager's cache can't be read, like pnpm's.
+ */
+function findMissingPackages( packageManager, dependencies, cache ) {
+	const names    = Object.keys( dependencies );
+	const versions = getCachedVersions( packageManager, names, cache );
+
+	if ( !versions ) {
+		throw new InstallError(
+			`The ${packageManager.name} cache can't be read, so there is no telling whether everything can be installed offline.\n` +
+			'Please use npm or Yarn 1 to create the extension offline.'
+		);
+	}
+
+	return names
+		.filter( name => !versions[name].some( version => !semver.validRange( dependencies[name] ) || semver.satisfies( version, dependencies[name] ) ) )
+		.map( name => `${name}@${dependencies[name]}` );
+}
+
+module.exports = {
+	checkIfOnline,
+	choosePackageManager,
+	detectPackageManager,
+	findMissingPackages,
+	getAddCommand,
+	getInstallCommand,
+	getVersion,
+	packageManagers,
+	removeOfflineConfig,
+	writeOfflineConfig,
+};
@@ -0,0 +1,116 @@
+'use strict';
+
+const chalk = require( 'chalk' );
+
+/**
+ * Formats paths as an indented tree, like the folder structure in the README.
+ *
+ * @param {string}        root  The name of the top directory.
+ * @param {Array<string>} files The paths of the files, relative to the top directory and `/` separated.
+ * @returns {string} The tree.
+ */
+function formatTree( root, files ) {
+	const lines   = [`${root}/`];
+	const printed = {};
+
+	files
+		.slice()
+		.sort()
+		.forEach( file => {
+			const parts = file.split( '/' );
+
+			parts.forEach( ( part, index ) => {
+				const key    = parts.slice( 0, index + 1 ).join( '/' );
+				const isFile = index === parts.length - 1;
+
+				if ( !printed[key] ) {
+					printed[key] = true;
+					lines.push( `${'  '.repeat( index + 1 )}${part}${isFile ? '' : '/'}` );
+				}
+			} );
+		} );
+
+	return lines.join( '\n' );
+}
+
+// The longest common subsequence of the lines, as the operations that turn `a` into `b`.
+function diffLines( a, b ) {
+	const lengths = a.map( () => new Uint32Array( b.length + 1 ) ).concat( [new Uint32Array( b.length + 1 )] );
+
+	for ( let i = a.length - 1; i >= 0; i-- ) {
+		for ( let j = b.length - 1; j >= 0; j-- ) {
+			lengths[i][j] = a[i] === b[j]
+				? lengths[i + 1][j + 1] + 1
+				: Math.max( lengths[i + 1][j], lengths[i][j + 1] );
+		}
+	}
+
+	const operations = [];
+	let i            = 0;
+	let j            = 0;
+
+	while ( i < a.length || j < b.length ) {
+		if ( i < a.length && j < b.length && a[i] === b[j] ) {
+			operations.push( { type: ' ', line: a[i++] } );
+			j++;
+		} else if ( i < a.length && ( j === b.length || lengths[i + 1][j] >= lengths[i][j + 1] ) ) {
+			operations.push( { type: '-', line: a[i++] } );
+		} else {
+			operations.push( { type: '+', line: b[j++] } );
+		}
+	}
+
+	return operations;
+}
+
+/**
+ * Formats the changes between two versions of a file as a diff, with a few
+ * lines of context around each change.
+ *
+ * @param {string} before  The original contents, empty for a new file.
+ * @param {string} after   The new contents.
+ * @param {number} context The number of unchanged lines to show around a change.
+ * @returns {string} The diff, empty when nothing changed.
+ */
+function formatDiff( before, after, context ) {
+	const operations = diffLines( before ? before.split( '\n' ) : [], after.split( '\n' ) );
+	const shown      = operations.map( () => false );
+
+	context = typeof context === 'number' ? context : 2;
+
+	operations.forEach( ( operation, index ) => {
+		if ( operation.type !== ' ' ) {
+			for ( let k = Math.max( 0, index - context ); k <= Math.min( operations.length - 1, index + context ); k++ ) {
+				shown[k] = true;
+			}
+		}
+	} );
+
+	const lines = [];
+
+	operations.forEach( ( operation, index ) => {
+		if ( !shown[index] ) {
+			if ( index > 0 && shown[index - 1] ) {
+				lines.push( chalk.dim( '  ...' ) );
+			}
+			return;
+		}
+
+		const line = `${operation.type} ${operation.line}`;
+
+		if ( operation.type === '+' ) {
+			lines.push( chalk.green( line ) );
+		} else if ( operation.type === '-' ) {
+			lines.push( chalk.red( line ) );
+		} else {
+			lines.push( line );
+		}
+	} );
+
+	return lines.join( '\n' );
+}
+
+module.exports = {
+	formatDiff,
+	formatTree,
+};
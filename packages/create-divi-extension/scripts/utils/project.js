@@ -0,0 +1,110 @@
+'use strict';
+
+const fs   = require( 'fs-extra' );
+const path = require( 'path' );
+
+/**
+ * Finds the main plugin file, ie. the PHP file in the project root that has a
+ * `Plugin Name:` header.
+ *
+ * @param {string} root The project directory.
+ * @returns {string|null} The absolute path of the file.
+ */
+function findPluginFile( root ) {
+	const candidates = fs
+		.readdirSync( root )
+		.filter( file => path.extname( file ) === '.php' )
+		.map( file => path.join( root, file ) )
+		.filter( file => /^[ \t*]*Plugin Name:/m.test( fs.readFileSync( file, 'utf8' ) ) );
+
+	return candidates.length ? candidates[0] : null;
+}
+
+/**
+ * Lists the files of the project, except for `node_modules` and `.git`.
+ *
+ * @param {string} root  The project directory.
+ * @param {string} [dir] A directory in the project, relative to it.
+ * @returns {Array<string>} The relative paths of the files, with `/` separators.
+ */
+function listFiles( root, dir ) {
+	dir = dir || '';
+
+	return fs.readdirSync( path.join( root, dir ) )
+		.filter( name => name !== 'node_modules' && name !== '.git' )
+		.reduce( ( files, name ) => {
+			const relative = dir ? `${dir}/${name}` : name;
+
+			return fs.statSync( path.join( root, relative ) ).isDirectory()
+				? files.concat( listFiles( root, relative ) )
+				: files.concat( relative );
+		}, [] );
+}
+
+/**
+ * Reads a header of the main plugin file, eg. `Version:`.
+ *
+ * @param {string} plugin The contents of the main plugin file.
+ * @param {string} name   The name of the header.
+ * @returns {?string} The value.
+ */
+function getPluginHeader( plugin, name ) {
+	const match = plugin.match( new RegExp( `^[ \\t*]*${name}:[ \\t]*(.*?)\\s*$`, 'mi' ) );
+
+	return match && match[1] ? match[1] : null;
+}
+
+/**
+ * Reads the details of an existing extension. The prefix and text domain are
+ * recorded in `package.json` when the project is created. Projects created
+ * before that fall back to what can be found in the main plugin file.
+ *
+ * @param {string} root The project directory.
+ * @returns {{root: string, packageJson: Object, pluginFile: string, prefix: string, textDomain: string}} The details.
+ */
+function getProjectInfo( root ) {
+	const packagePath = path.join( root, 'package.json' );
+
+	if ( !fs.existsSync( packagePath ) ) {
+		throw new Error( `Could not find a package.json in ${root}. Is this a Divi extension?` );
+	}
+
+	const packageJson = JSON.parse( fs.readFileSync( packagePath, 'utf8' ) );
+	const pluginFile  = findPluginFile( root );
+
+	if ( !pluginFile ) {
+		throw new Error( `Could not find the main plugin file in ${root}. Is this a Divi extension?` );
+	}
+
+	const info   = Object.assign( {}, packageJson.diviExtension );
+	const plugin = fs.readFileSync( pluginFile, 'utf8' );
+
+	if ( !info.textDomain ) {
+		info.textDomain = getPluginHeader( plugin, 'Text Domain' ) || packageJson.name;
+	}
+
+	if ( !info.prefix ) {
+		const match = plugin.match( /define\(\s*'([A-Z][A-Z0-9_]*)_PLUGIN_DIR'/ );
+
+		if ( !match ) {
+			throw new Error( `Could not determine the prefix of the extension, please add "diviExtension.prefix" to ${packagePath}.` );
+		}
+
+		info.prefix = match[1].toLowerCase();
+	}
+
+	return {
+		root,
+		packageJson,
+		pluginFile,
+		prefix:     info.prefix,
+		textDomain: info.textDomain,
+	};
+}
+
+module.exports = {
+	findPluginFile,
+	getPluginHeader,
+	getProjectInfo,
+	listFiles,
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * Parses a readme.txt in the format of the WordPress.org plugin directory:
+ *
+ *     === Plugin Name ===
+ *     Header: value
+ *
+ *     Short description.
+ *
+ *     == Section ==
+ *
+ * @param {string} content The contents of the readme.
+ * @returns {{name: ?string, headers: Object, shortDescription: string, sections: Array<{title: string, content: string}>}}
+ *          The plugin name, the headers by their lowercase name, the short description and the sections, in order.
+ */
+function parseReadme( content ) {
+	const lines   = content.replace( /\r\n?/g, '\n' ).split( '\n' );
+	const name    = lines[0].match( /^===\s*(.*?)\s*===\s*$/ );
+	const headers = {};
+	let index     = name ? 1 : 0;
+
+	for ( ; index < lines.length && lines[index].trim(); index++ ) {
+		const header = lines[index].match( /^([^:]+):\s*(.*?)\s*$/ );
+
+		if ( header ) {
+			headers[header[1].trim().toLowerCase()] = header[2];
+		}
+	}
+
+	// The titles of the sections and their contents take turns, after the short description.
+	const parts    = lines.slice( index ).join( '\n' ).split( /^==[ \t]*([^=].*?)[ \t]*==[ \t]*$/m );
+	const sections = [];
+
+	for ( let i = 1; i < parts.length; i += 2 ) {
+		sections.push( { title: parts[i], content: parts[i + 1].trim() } );
+	}
+
+	return {
+		name:             name ? name[1] : null,
+		headers,
+		shortDescription: parts[0].trim(),
+		sections,
+	};
+}
+
+module.exports = {
+	parseReadme,
+};
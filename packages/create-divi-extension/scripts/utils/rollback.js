@@ -0,0 +1,84 @@
+'use strict';
+
+const fs   = require( 'fs-extra' );
+const path = require( 'path' );
+
+/**
+ * Records what is in the project directory before anything is created in it,
+ * so that a failed run can be undone with `rollback()`. The directory can only
+ * contain a few files, like `.git` or `README.md`, see `findConflictingFiles()`,
+ * so the contents of its files are kept as well. react-scripts appends to a
+ * `.gitignore` and renames a `README.md`.
+ *
+ * @param {string} root The project directory.
+ * @returns {{root: string, created: ?string, entries: Object}} The directory, the first directory
+ *          of its path that doesn't exist yet, and its entries, as name => the contents of a file or
+ *          `null` for a directory.
+ */
+function snapshot( root ) {
+	let created = null;
+
+	for ( let dir = path.resolve( root ); !fs.existsSync( dir ); dir = path.dirname( dir ) ) {
+		created = dir;
+	}
+
+	const entries = {};
+
+	if ( !created ) {
+		fs.readdirSync( root ).forEach( name => {
+			const entryPath = path.join( root, name );
+
+			entries[name] = fs.lstatSync( entryPath ).isFile() ? fs.readFileSync( entryPath ) : null;
+		} );
+	}
+
+	return {
+		root: path.resolve( root ),
+		created,
+		entries,
+	};
+}
+
+/**
+ * Removes everything that was created in the project directory since the
+ * `snapshot()`, and the directory itself if it was created. The files that were
+ * already there get their contents back.
+ *
+ * @param {Object} before The snapshot, see `snapshot()`.
+ * @returns {{removed: Array<string>, restored: Array<string>}} The absolute paths of the entries that
+ *          were removed and of the files that were restored.
+ */
+function rollback( before ) {
+	if ( before.created ) {
+		if ( !fs.existsSync( before.created ) ) {
+			return { removed: [], restored: [] };
+		}
+
+		fs.removeSync( before.created );
+
+		return { removed: [before.created], restored: [] };
+	}
+
+	const removed = fs.readdirSync( before.root )
+		.filter( name => !before.entries.hasOwnProperty( name ) )
+		.map( name => path.join( before.root, name ) );
+
+	removed.forEach( entryPath => fs.removeSync( entryPath ) );
+
+	const restored = Object.keys( before.entries )
+		.filter( name => before.entries[name] !== null )
+		.map( name => path.join( before.root, name ) )
+		.filter( entryPath => !fs.existsSync( entryPath ) || !fs.readFileSync( entryPath ).equals( before.entries[path.basename( entryPath )] ) );
+
+	restored.forEach( entryPath => fs.writeFileSync( entryPath, before.entries[path.basename( entryPath )] ) );
+
+	return {
+		removed,
+		restored,
+	};
+}
+
+module.exports = {
+	rollback,
+	snapshot,
+};
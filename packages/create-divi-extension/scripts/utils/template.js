@@ -0,0 +1,187 @@
+'use strict';
+
+const fs        = require( 'fs-extra' );
+const minimatch = require( 'minimatch' );
+const path      = require( 'path' );
+
+const TemplateError    = require( './errors' ).TemplateError;
+const findPlaceholders = require( './tokens' ).findPlaceholders;
+const getPathTokens    = require( './tokens' ).getPathTokens;
+const replaceTokens    = require( './tokens' ).replaceTokens;
+
+const manifestFile     = '.template.manifest.json';
+const dependenciesFile = '.template.dependencies.json';
+
+// Files of the template that are only read while scaffolding.
+const templateFiles = [manifestFile, dependenciesFile];
+
+/**
+ * Reads the manifest of a template, ie. the tokens it uses and the files they
+ * are replaced in. Templates without one use the manifest of the built-in template.
+ *
+ * @param {string} templatePath The template directory.
+ * @param {string} fallbackPath The built-in template directory.
+ * @returns {{files: Array<string>, tokens: Object}} The manifest.
+ */
+function readManifest( templatePath, fallbackPath ) {
+	let manifestPath = path.join( templatePath, manifestFile );
+
+	if ( !fs.existsSync( manifestPath ) ) {
+		manifestPath = path.join( fallbackPath, manifestFile );
+	}
+
+	let manifest;
+
+	try {
+		manifest = fs.readJsonSync( manifestPath );
+	} catch ( err ) {
+		throw new TemplateError( `Could not read ${manifestPath}: ${err.message}` );
+	}
+
+	const tokens   = manifest.tokens || {};
+
+	Object.keys( tokens ).forEach( name => {
+		if ( !/^[A-Z][A-Z0-9_]*$/.test( name ) ) {
+			throw new TemplateError( `The token "${name}" in ${manifestPath} must be in UPPER_CASE.` );
+		}
+		if ( ['option', 'prompt', 'derived'].indexOf( tokens[name].source ) === -1 ) {
+			throw new TemplateError( `The token "${name}" in ${manifestPath} must have an "option", "prompt" or "derived" source.` );
+		}
+	} );
+
+	return {
+		files:  manifest.files || [],
+		tokens,
+	};
+}
+
+/**
+ * Returns the name an option's value is passed by to `createExtension()`.
+ *
+ * @param {string} option The option, eg. `--author-uri`.
+ * @returns {string} The camelCased name, eg. `authorUri`.
+ */
+function toOptionKey( option ) {
+	return option.replace( /^--/, '' ).replace( /-([a-z0-9])/g, ( match, char ) => char.toUpperCase() );
+}
+
+// The relative paths of the files in a directory.
+function listFiles( root, dir ) {
+	return fs.readdirSync( path.join( root, dir ) ).reduce( ( files, file ) => {
+		const relative = path.join( dir, file );
+
+		return fs.statSync( path.join( root, relative ) ).isDirectory()
+			? files.concat( listFiles( root, relative ) )
+			: files.concat( relative );
+	}, [] );
+}
+
+// Binary files, like images, are copied as is.
+function isText( buffer ) {
+	return buffer.indexOf( 0 ) === -1;
+}
+
+/**
+ * Works out what the template's files become: their paths and contents with
+ * the tokens replaced. Content is only processed in the files the manifest
+ * lists, but all of them are checked for placeholders that are left.
+ *
+ * @param {string} templatePath The template directory.
+ * @param {Object} manifest     The template's manifest, see `readManifest()`.
+ * @param {Object} tokens       `<TOKEN>` => value, including the prefix expansions.
+ * @returns {{files: Array<Object>, leftovers: Array<string>}} The files, as their `source` and `target`
+ *          paths, relative to the template and the project, their `original` and new `content` and whether
+ *          they were `processed`. And the placeholders that are left, as `file: placeholder`.
+ */
+function planTemplate( templatePath, manifest, tokens ) {
+	const pathTokens = getPathTokens( tokens );
+	const leftovers  = [];
+
+	const files = listFiles( templatePath, '' )
+		.filter( file => templateFiles.indexOf( file ) === -1 )
+		.map( source => {
+			const target    = source.split( path.sep ).map( part => replaceTokens( part, pathTokens ) ).join( path.sep );
+			const original  = fs.readFileSync( path.join( templatePath, source ) );
+			const processed = isText( original ) && manifest.files.some( pattern => minimatch( source.split( path.sep ).join( '/' ), pattern, { dot: true } ) );
+			const content   = processed ? replaceTokens( original.toString( 'utf8' ), tokens ) : original;
+
+			if ( isText( original ) ) {
+				findPlaceholders( content.toString( 'utf8' ) ).forEach( placeholder => leftovers.push( `${target}: ${placeholder}` ) );
+			}
+			findPlaceholders( target, true ).forEach( placeholder => leftovers.push( `${target}: ${placeholder}` ) );
+
+			return {
+				source,
+				target,
+				original,
+				content,
+				processed,
+			};
+		} );
+
+	return {
+		files,
+		leftovers,
+	};
+}
+
+/**
+ * Replaces the tokens in the files of the template that were copied into the
+ * project, and in the names of those files and of their directories, see `planTemplate()`.
+ *
+ * @param {string} root         The project directory.
+ * @param {string} templatePath The template directory the project was copied from.
+ * @param {Object} manifest     The template's manifest, see `readManifest()`.
+ * @param {Object} tokens       `<TOKEN>` => value, including the prefix expansions.
+ * @returns {{files: Array<string>, leftovers: Array<string>}} The paths of the files in the project
+ *          and the placeholders that are left, as `file: placeholder`.
+ */
+function applyTemplate( root, templatePath, manifest, tokens ) {
+	const plan    = planTemplate( templatePath, manifest, tokens );
+	const renamed = [];
+
+	templateFiles.forEach( file => fs.removeSync( path.join( root, file ) ) );
+
+	const files = plan.files
+		// init.js renames some of them, eg. `gitignore`.
+		.filter( file => fs.existsSync( path.join( root, file.source ) ) )
+		.map( file => {
+			const filePath = path.join( root, file.source );
+
+			if ( file.processed ) {
+				fs.writeFileSync( filePath, file.content, 'utf8' );
+			}
+
+			if ( file.target !== file.source ) {
+				fs.ensureDirSync( path.dirname( path.join( root, file.target ) ) );
+				fs.renameSync( filePath, path.join( root, file.target ) );
+				renamed.push( file.source );
+			}
+
+			return path.join( root, file.target );
+		} );
+
+	// The directories that were renamed are empty now.
+	renamed.forEach( file => {
+		let dir = path.dirname( file );
+
+		while ( dir !== '.' && fs.existsSync( path.join( root, dir ) ) && !fs.readdirSync( path.join( root, dir ) ).length ) {
+			fs.rmdirSync( path.join( root, dir ) );
+			dir = path.dirname( dir );
+		}
+	} );
+
+	return {
+		files,
+		leftovers: plan.leftovers,
+	};
+}
+
+module.exports = {
+	applyTemplate,
+	dependenciesFile,
+	manifestFile,
+	planTemplate,
+	readManifest,
+	toOptionKey,
+};
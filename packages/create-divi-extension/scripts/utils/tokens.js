@@ -0,0 +1,85 @@
+'use strict';
+
+// Prefixes that belong to WordPress and Elegant Themes.
+const reservedPrefixes = ['et', 'wp', 'divi', 'extra'];
+const minPrefixLength  = 3;
+const maxPrefixLength  = 12;
+
+/**
+ * Returns the placeholders that are replaced with the project's prefix.
+ *
+ * @param {string} prefix The lowercase prefix, eg. `myex`.
+ * @returns {Object} Placeholder => expansion.
+ */
+function getPrefixExpansions( prefix ) {
+	return {
+		__Prefix: prefix.charAt( 0 ).toUpperCase() + prefix.slice( 1 ),
+		__PREFIX: prefix.toUpperCase(),
+		__prefix: prefix,
+	};
+}
+
+// Tokens are matched literally, the `[TOKEN]` of the paths would be a character class.
+function escapeRegExp( string ) {
+	return string.replace( /[.*+?^${}()|[\]\\]/g, '\\$&' );
+}
+
+/**
+ * Replaces every occurrence of each token. Header lines (`Key: <TOKEN>`) whose
+ * token has an empty value are left out instead of being written empty.
+ *
+ * @param {string} content The file contents.
+ * @param {Object} tokens  Token => value.
+ * @returns {string} The new contents.
+ */
+function replaceTokens( content, tokens ) {
+	Object.keys( tokens ).forEach( token => {
+		if ( !tokens[token] ) {
+			content = content.replace( new RegExp( `^[\\w ]+:[ \\t]*${escapeRegExp( token )}[ \\t]*\\n`, 'gm' ), '' );
+		}
+		content = content.split( token ).join( tokens[token] );
+	} );
+
+	return content;
+}
+
+/**
+ * Returns the tokens as they are written in file and directory names, where
+ * `<TOKEN>` becomes `[TOKEN]` since Windows doesn't allow `<` and `>` in them.
+ *
+ * @param {Object} tokens Token => value.
+ * @returns {Object} Path token => value.
+ */
+function getPathTokens( tokens ) {
+	return Object.keys( tokens ).reduce( ( pathTokens, token ) => {
+		pathTokens[token.replace( /^<(.*)>$/, '[$1]' )] = tokens[token];
+
+		return pathTokens;
+	}, {} );
+}
+
+/**
+ * Finds the placeholders that are left after the tokens were replaced.
+ *
+ * @param {string}  content The file contents or path.
+ * @param {boolean} isPath  Whether it is a path, which uses `[TOKEN]` instead of `<TOKEN>`.
+ * @returns {Array<string>} The placeholders, eg. `<AUTHOR>` or `__prefix`.
+ */
+function findPlaceholders( content, isPath ) {
+	const pattern = isPath
+		? /\[[A-Z][A-Z0-9_]*\]|__(?:prefix|Prefix|PREFIX)/g
+		: /<[A-Z][A-Z0-9_]*>|__(?:prefix|Prefix|PREFIX)/g;
+	const matches = content.match( pattern ) || [];
+
+	return matches.filter( ( match, index ) => matches.indexOf( match ) === index );
+}
+
+module.exports = {
+	findPlaceholders,
+	getPathTokens,
+	getPrefixExpansions,
+	maxPrefixLength,
+	minPrefixLength,
+	replaceTokens,
+	reservedPrefixes,
+};
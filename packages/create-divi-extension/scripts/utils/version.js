@@ -0,0 +1,112 @@
+'use strict';
+
+const fs   = require( 'fs-extra' );
+const path = require( 'path' );
+
+// Where the version is written besides package.json. The version is the last group
+// of the pattern, at the end of the match.
+const versionFields = [
+	{
+		file:    project => project.pluginFile,
+		pattern: /^[ \t*]*Version:[ \t]*(\S+)/gm,
+		label:   () => 'the Version header',
+	},
+	{
+		file:    project => project.pluginFile,
+		pattern: /define\(\s*'([A-Z][A-Z0-9_]*_VERSION)'\s*,\s*'([^']*)/g,
+		label:   match => `the ${match[1]} constant`,
+	},
+	{
+		file:    project => path.join( project.root, 'readme.txt' ),
+		pattern: /^Stable tag:[ \t]*(\S+)/gmi,
+		label:   () => 'the Stable tag',
+		// The development version of a plugin on WordPress.org, which isn't tagged.
+		skip:    version => version === 'trunk',
+	},
+];
+
+function findMatches( content, pattern ) {
+	const matches = [];
+
+	pattern.lastIndex = 0;
+	for ( let match = pattern.exec( content ); match; match = pattern.exec( content ) ) {
+		matches.push( match );
+	}
+
+	return matches;
+}
+
+/**
+ * Finds the versions of an extension: the one in `package.json`, the `Version:`
+ * header of the main plugin file, the `<PREFIX>_VERSION` constants it defines and
+ * the `Stable tag:` of `readme.txt`. They should all be the same.
+ *
+ * @param {Object} project The project, see `getProjectInfo()`.
+ * @returns {Array<{file: string, label: string, version: string}>} The versions, package.json first.
+ */
+function findVersions( project ) {
+	const versions = [{
+		file:    path.join( project.root, 'package.json' ),
+		label:   'the "version"',
+		version: project.packageJson.version,
+	}];
+
+	versionFields.forEach( field => {
+		const file = field.file( project );
+
+		if ( !fs.existsSync( file ) ) {
+			return;
+		}
+
+		findMatches( fs.readFileSync( file, 'utf8' ), field.pattern )
+			.map( match => ( { file, label: field.label( match ), version: match[match.length - 1] } ) )
+			.filter( version => !field.skip || !field.skip( version.version ) )
+			.forEach( version => versions.push( version ) );
+	} );
+
+	return versions;
+}
+
+/**
+ * Writes a new version everywhere `findVersions()` finds one.
+ *
+ * @param {Object} project The project, see `getProjectInfo()`.
+ * @param {string} version The new version.
+ * @returns {Array<string>} The files that were changed.
+ */
+function setVersion( project, version ) {
+	const packagePath = path.join( project.root, 'package.json' );
+	const changed     = [packagePath];
+
+	project.packageJson.version = version;
+	fs.writeFileSync( packagePath, JSON.stringify( project.packageJson, null, 2 ) + '\n' );
+
+	versionFields.forEach( field => {
+		const file = field.file( project );
+
+		if ( !fs.existsSync( file ) ) {
+			return;
+		}
+
+		const content = fs.readFileSync( file, 'utf8' );
+		const updated = content.replace( field.pattern, function( match ) {
+			const current = arguments[arguments.length - 3];
+
+			return field.skip && field.skip( current ) ? match : match.slice( 0, match.length - current.length ) + version;
+		} );
+
+		if ( updated !== content ) {
+			fs.writeFileSync( file, updated );
+			if ( changed.indexOf( file ) === -1 ) {
+				changed.push( file );
+			}
+		}
+	} );
+
+	return changed;
+}
+
+module.exports = {
+	findVersions,
+	setVersion,
+};
@@ -0,0 +1,144 @@
+'use strict';
+
+const zlib = require( 'zlib' );
+
+const crcTable = [];
+
+for ( let n = 0; n < 256; n++ ) {
+	let c = n;
+
+	for ( let k = 0; k < 8; k++ ) {
+		c = c & 1 ? 0xedb88320 ^ c >>> 1 : c >>> 1;
+	}
+
+	crcTable[n] = c >>> 0;
+}
+
+function crc32( buffer ) {
+	let crc = 0xffffffff;
+
+	for ( let i = 0; i < buffer.length; i++ ) {
+		crc = crcTable[( crc ^ buffer[i] ) & 0xff] ^ crc >>> 8;
+	}
+
+	return ( crc ^ 0xffffffff ) >>> 0;
+}
+
+// The MS-DOS time and date the zip format stores, in local time.
+function toDosTime( date ) {
+	return {
+		time: date.getHours() << 11 | date.getMinutes() << 5 | date.getSeconds() >> 1,
+		date: Math.max( date.getFullYear(), 1980 ) - 1980 << 9 | date.getMonth() + 1 << 5 | date.getDate(),
+	};
+}
+
+// Whether an entry is a folder, its name ends with `/`.
+function isDirectory( file ) {
+	return file.name.charAt( file.name.length - 1 ) === '/';
+}
+
+// The folders of the entries, parents first, eg. `plugin/` and `plugin/scripts/` for
+// `plugin/scripts/bundle.min.js`, and the folders that are entries themselves.
+function getDirectories( files ) {
+	const directories = [];
+
+	files.forEach( file => {
+		const parts = file.name.split( '/' );
+
+		for ( let i = 1; i < parts.length; i++ ) {
+			const directory = `${parts.slice( 0, i ).join( '/' )}/`;
+
+			if ( directories.indexOf( directory ) === -1 ) {
+				directories.push( directory );
+			}
+		}
+	} );
+
+	return directories;
+}
+
+/**
+ * Creates a zip archive. The files are deflated, unless that doesn't make
+ * them any smaller, like images. Their folders get an entry of their own, some
+ * tools don't create the folders otherwise. An empty folder is added with a
+ * name that ends with `/` and no content.
+ *
+ * @param {Array<{name: string, content: ?Buffer, date: Date}>} files The files and the empty folders, by their
+ *        path in the archive, with `/` separators.
+ * @returns {Buffer} The archive.
+ */
+function createZip( files ) {
+	const local   = [];
+	const central = [];
+	let offset    = 0;
+
+	const entries = getDirectories( files )
+		.map( name => {
+			const entry = files.filter( file => file.name === name )[0] || files[0];
+
+			return { name, content: Buffer.alloc( 0 ), date: entry.date, directory: true };
+		} )
+		.concat( files.filter( file => !isDirectory( file ) ) );
+
+	entries.forEach( file => {
+		const name     = Buffer.from( file.name, 'utf8' );
+		const deflated = zlib.deflateRawSync( file.content );
+		const stored   = file.directory || deflated.length >= file.content.length;
+		const data     = stored ? file.content : deflated;
+		const dos      = toDosTime( file.date || new Date() );
+		const crc      = crc32( file.content );
+
+		const header = Buffer.alloc( 30 );
+
+		header.writeUInt32LE( 0x04034b50, 0 );
+		header.writeUInt16LE( 20, 4 );
+		// The names are UTF-8.
+		header.writeUInt16LE( 0x0800, 6 );
+		header.writeUInt16LE( stored ? 0 : 8, 8 );
+		header.writeUInt16LE( dos.time, 10 );
+		header.writeUInt16LE( dos.date, 12 );
+		header.writeUInt32LE( crc, 14 );
+		header.writeUInt32LE( data.length, 18 );
+		header.writeUInt32LE( file.content.length, 22 );
+		header.writeUInt16LE( name.length, 26 );
+		header.writeUInt16LE( 0, 28 );
+
+		const entry = Buffer.alloc( 46 );
+
+		entry.writeUInt32LE( 0x02014b50, 0 );
+		// Made on Unix, unzip would otherwise read the names in the MS-DOS code page.
+		entry.writeUInt16LE( 3 << 8 | 20, 4 );
+		entry.writeUInt16LE( 20, 6 );
+		header.copy( entry, 8, 6, 28 );
+		entry.writeUInt16LE( 0, 30 );
+		entry.writeUInt16LE( 0, 32 );
+		entry.writeUInt16LE( 0, 34 );
+		entry.writeUInt16LE( 0, 36 );
+		// The Unix permissions, rwxr-xr-x for the folders and rw-r--r-- for the files,
+		// and the MS-DOS directory attribute.
+		entry.writeUInt32LE( file.directory ? 0o40755 * 0x10000 + 0x10 : 0o100644 * 0x10000, 38 );
+		entry.writeUInt32LE( offset, 42 );
+
+		local.push( header, name, data );
+		central.push( entry, name );
+		offset += header.length + name.length + data.length;
+	} );
+
+	const directory = Buffer.concat( central );
+	const end       = Buffer.alloc( 22 );
+
+	end.writeUInt32LE( 0x06054b50, 0 );
+	end.writeUInt16LE( 0, 4 );
+	end.writeUInt16LE( 0, 6 );
+	end.writeUInt16LE( entries.length, 8 );
+	end.writeUInt16LE( entries.length, 10 );
+	end.writeUInt32LE( directory.length, 12 );
+	end.writeUInt32LE( offset, 16 );
+	end.writeUInt16LE( 0, 20 );
+
+	return Buffer.concat( local.concat( directory, end ) );
+}
+
+module.exports = {
+	createZip,
+};
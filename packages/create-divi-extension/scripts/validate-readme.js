@@ -0,0 +1,146 @@
+'use strict';
+
+const chalk = require( 'chalk' );
+const fs    = require( 'fs-extra' );
+const path  = require( 'path' );
+
+const parseReadme     = require( './utils/readme' ).parseReadme;
+const getPluginHeader = require( './utils/project' ).getPluginHeader;
+const getProjectInfo  = require( './utils/project' ).getProjectInfo;
+
+// The headers the plugin directory needs, and the sections it shows on the plugin's page.
+const requiredHeaders  = ['Requires at least', 'Tested up to', 'Requires PHP', 'Stable tag', 'License'];
+const requiredSections = ['Description'];
+const expectedSections = ['Installation', 'Changelog'];
+
+// The headers the readme and the main plugin file both have, which must agree.
+const sharedHeaders = ['Requires at least', 'Requires PHP', 'License'];
+
+// The plugin directory cuts the short description after that.
+const maxShortDescription = 150;
+
+function fail( message ) {
+	console.error( chalk.red( message ) );
+	process.exit( 1 );
+}
+
+/**
+ * Checks a readme against the main plugin file.
+ *
+ * @param {Object} readme The readme, see `parseReadme()`.
+ * @param {string} plugin The contents of the main plugin file.
+ * @returns {{errors: Array<string>, warnings: Array<string>}} The problems.
+ */
+function checkReadme( readme, plugin ) {
+	const errors   = [];
+	const warnings = [];
+	const header   = name => readme.headers[name.toLowerCase()];
+	const titles   = readme.sections.map( section => section.title.toLowerCase() );
+	const version  = getPluginHeader( plugin, 'Version' );
+
+	if ( !readme.name ) {
+		errors.push( 'The first line must be the name of the plugin, as `=== Plugin Name ===`.' );
+	} else if ( readme.name !== getPluginHeader( plugin, 'Plugin Name' ) ) {
+		warnings.push( `The name "${readme.name}" isn't the Plugin Name "${getPluginHeader( plugin, 'Plugin Name' )}" of the plugin header.` );
+	}
+
+	requiredHeaders
+		.filter( name => !header( name ) )
+		.forEach( name => errors.push( `The "${name}:" header is missing.` ) );
+
+	// The plugin directory links the contributors to their profiles, by their WordPress.org username.
+	if ( !header( 'Contributors' ) ) {
+		warnings.push( 'The "Contributors:" header is missing. It lists the WordPress.org usernames of the authors, separated by commas.' );
+	} else {
+		header( 'Contributors' ).split( ',' )
+			.map( contributor => contributor.trim() )
+			.filter( contributor => !/^[a-z0-9_.@-]+$/.test( contributor ) )
+			.forEach( contributor => warnings.push( `The contributor "${contributor}" isn't a WordPress.org username, which is lowercase and has no spaces.` ) );
+	}
+
+	['Requires at least', 'Tested up to', 'Requires PHP']
+		.filter( name => header( name ) && !/^\d+(\.\d+){1,2}$/.test( header( name ) ) )
+		.forEach( name => errors.push( `The "${name}:" header must be a version like 6.8, not "${header( name )}".` ) );
+
+	if ( header( 'Stable tag' ) === 'trunk' ) {
+		warnings.push( 'The Stable tag is "trunk". Tag the releases and use the version of the latest one instead.' );
+	} else if ( header( 'Stable tag' ) && header( 'Stable tag' ) !== version ) {
+		errors.push( `The Stable tag ${header( 'Stable tag' )} isn't the Version ${version || '(missing)'} of the plugin header.` );
+	}
+
+	sharedHeaders
+		.filter( name => header( name ) && getPluginHeader( plugin, name ) && header( name ) !== getPluginHeader( plugin, name ) )
+		.forEach( name => errors.push( `The "${name}:" header is "${header( name )}", but it is "${getPluginHeader( plugin, name )}" in the plugin header.` ) );
+
+	if ( !readme.shortDescription ) {
+		errors.push( 'The short description is missing. It goes after the headers, before the first section.' );
+	} else if ( readme.shortDescription.length > maxShortDescription ) {
+		warnings.push( `The short description is ${readme.shortDescription.length} characters long, only the first ${maxShortDescription} are shown.` );
+	}
+
+	requiredSections
+		.filter( title => titles.indexOf( title.toLowerCase() ) === -1 )
+		.forEach( title => errors.push( `The "== ${title} ==" section is missing.` ) );
+
+	expectedSections
+		.filter( title => titles.indexOf( title.toLowerCase() ) === -1 )
+		.forEach( title => warnings.push( `The "== ${title} ==" section is missing.` ) );
+
+	readme.sections
+		.filter( section => !section.content )
+		.forEach( section => warnings.push( `The "== ${section.title} ==" section is empty.` ) );
+
+	const changelog = readme.sections.filter( section => section.title.toLowerCase() === 'changelog' )[0];
+
+	if ( changelog && version && changelog.content.split( '\n' ).map( line => line.trim() ).indexOf( `= ${version} =` ) === -1 ) {
+		warnings.push( `The changelog has no "= ${version} =" entry for the current version.` );
+	}
+
+	return {
+		errors,
+		warnings,
+	};
+}
+
+/**
+ * Checks the readme.txt of the extension in the format of the WordPress.org
+ * plugin directory: its headers, its sections and that it describes the same
+ * version as the plugin header. It exits with an error when there is a problem
+ * the plugin directory would reject.
+ *
+ * @param {string} root The project directory.
+ * @returns {void}
+ */
+module.exports = function( root ) {
+	let project;
+
+	try {
+		project = getProjectInfo( root );
+	} catch ( err ) {
+		fail( err.message );
+	}
+
+	const readmePath = path.join( root, 'readme.txt' );
+
+	if ( !fs.existsSync( readmePath ) ) {
+		fail( `Could not find ${chalk.cyan( readmePath )}.` );
+	}
+
+	const result = checkReadme(
+		parseReadme( fs.readFileSync( readmePath, 'utf8' ) ),
+		fs.readFileSync( project.pluginFile, 'utf8' )
+	);
+
+	result.errors.forEach( error => console.log( `  ${chalk.red( 'error' )}    ${error}` ) );
+	result.warnings.forEach( warning => console.log( `  ${chalk.yellow( 'warning' )}  ${warning}` ) );
+
+	if ( result.errors.length || result.warnings.length ) {
+		console.log();
+	}
+
+	if ( result.errors.length ) {
+		fail( `${chalk.cyan( 'readme.txt' )} has ${result.errors.length} error(s), the plugin directory won't accept it.` );
+	}
+
+	console.log( `${chalk.green( 'readme.txt is valid.' )}${result.warnings.length ? ` Check the ${result.warnings.length} warning(s) though.` : ''}` );
+};
@@ -0,0 +1,120 @@
+'use strict';
+
+const chalk  = require( 'chalk' );
+const fs     = require( 'fs-extra' );
+const path   = require( 'path' );
+const semver = require( 'semver' );
+
+const getProjectInfo = require( './utils/project' ).getProjectInfo;
+const findVersions   = require( './utils/version' ).findVersions;
+const setVersion     = require( './utils/version' ).setVersion;
+
+const increments = ['major', 'minor', 'patch'];
+
+function fail( message ) {
+	console.error( chalk.red( message ) );
+	process.exit( 1 );
+}
+
+/**
+ * Adds an entry to the `== Changelog ==` section of readme.txt and to
+ * CHANGELOG.md, whichever of them the project has. Projects with neither get a
+ * CHANGELOG.md.
+ *
+ * @param {string} root    The project directory.
+ * @param {string} version The new version.
+ * @param {string} entry   What changed.
+ * @returns {Array<string>} The files that were changed.
+ */
+function addChangelogEntry( root, version, entry ) {
+	const readmePath    = path.join( root, 'readme.txt' );
+	const changelogPath = path.join( root, 'CHANGELOG.md' );
+	const changed       = [];
+
+	if ( fs.existsSync( readmePath ) ) {
+		const readme  = fs.readFileSync( readmePath, 'utf8' );
+		const updated = readme.replace( /^==[ \t]*Changelog[ \t]*==[ \t]*\r?\n/mi, heading => `${heading}\n= ${version} =\n* ${entry}\n` );
+
+		if ( updated !== readme ) {
+			fs.writeFileSync( readmePath, updated );
+			changed.push( readmePath );
+		}
+	}
+
+	if ( fs.existsSync( changelogPath ) || !changed.length ) {
+		const changelog = fs.existsSync( changelogPath ) ? fs.readFileSync( changelogPath, 'utf8' ) : '# Changelog\n';
+		const section   = `## ${version} - ${new Date().toISOString().slice( 0, 10 )}\n\n* ${entry}\n`;
+		const index     = changelog.search( /^## /m );
+
+		// The newest version comes first.
+		fs.writeFileSync(
+			changelogPath,
+			index > -1 ? `${changelog.slice( 0, index )}${section}\n${changelog.slice( index )}` : `${changelog.trim()}\n\n${section}`
+		);
+		changed.push( changelogPath );
+	}
+
+	return changed;
+}
+
+/**
+ * Changes the version of the extension in package.json, the main plugin file
+ * and readme.txt at once, see `findVersions()`.
+ *
+ * @param {string}  root                The project directory.
+ * @param {string}  increment           `major`, `minor`, `patch` or the new version, eg. `1.2.0`.
+ * @param {Object}  [options]           The options.
+ * @param {boolean} [options.force]     Whether to go on when the files don't have the same version,
+ *                                      or when the new version isn't greater.
+ * @param {string}  [options.changelog] An entry for the changelog.
+ * @returns {void}
+ */
+module.exports = function( root, increment, options ) {
+	options = options || {};
+
+	let project;
+
+	try {
+		project = getProjectInfo( root );
+	} catch ( err ) {
+		fail( err.message );
+	}
+
+	const versions = findVersions( project );
+	const current  = versions[0].version;
+	const differ   = versions.filter( version => version.version !== current );
+
+	if ( differ.length && !options.force ) {
+		console.error( chalk.red( 'The files of the extension don\'t have the same version:' ) );
+		versions.forEach( version => {
+			console.error( `  ${chalk.cyan( path.relative( root, version.file ) )}: ${version.label} is ${chalk.green( version.version || 'missing' )}` );
+		} );
+		console.error();
+		fail( `Make them the same, or run the command again with ${chalk.cyan( '--force' )} to overwrite them all.` );
+	}
+
+	const isIncrement = increments.indexOf( increment ) > -1;
+
+	if ( isIncrement && !semver.valid( current ) ) {
+		fail( `The version ${chalk.green( current )} in package.json can't be incremented, please give the new version, eg. ${chalk.green( '1.0.0' )}.` );
+	}
+
+	const version = isIncrement ? semver.inc( current, increment ) : semver.valid( increment );
+
+	if ( !version ) {
+		fail( `The version must be ${increments.join( ', ' )} or a version like ${chalk.green( '1.2.0' )}, not ${chalk.green( `"${increment}"` )}.` );
+	}
+
+	if ( semver.valid( current ) && !semver.gt( version, current ) && !options.force ) {
+		fail( `The version ${chalk.green( version )} isn't greater than ${chalk.green( current )}. Use ${chalk.cyan( '--force' )} to set it anyway.` );
+	}
+
+	const changed = setVersion( project, version ).concat(
+		options.changelog ? addChangelogEntry( root, version, options.changelog ) : []
+	);
+
+	console.log( `Changed the version from ${chalk.green( current )} to ${chalk.green( version )} in:` );
+	changed
+		.filter( ( file, index ) => changed.indexOf( file ) === index )
+		.forEach( file => console.log( `  ${chalk.cyan( path.relative( root, file ) )}` ) );
+};
@@ -0,0 +1,184 @@
+<?php
+/*
+Plugin Name:       <NAME>
+Plugin URI:        <URI>
+Description:       <DESCRIPTION>
+Version:           0.1.0
+Requires at least: <REQUIRES_WP>
+Requires PHP:      <REQUIRES_PHP>
+Author:            <AUTHOR>
+Author URI:        <AUTHOR_URI>
+License:           <LICENSE>
+License URI:       <LICENSE_URI>
+Text Domain:       <GETTEXT_DOMAIN>
+Domain Path:       /languages
+
+<NAME> is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 2 of the License, or
+any later version.
+
+<NAME> is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with <NAME>. If not, see https://www.gnu.org/licenses/gpl-2.0.html.
+*/
+
+define( '__PREFIX_PLUGIN_DIR', dirname( __FILE__ ) );
+define( '__PREFIX_VERSION', '0.1.0' );
+
+
+/**
+ * Performs tasks when the plugin is activated.
+ * {@see 'activate_$PLUGINNAME'}
+ */
+function __prefix_activate() {
+	// Force the backend builder to reload its template cache.
+	// This ensures that our custom modules are available for use right away.
+	et_pb_force_regenerate_templates();
+}
+register_activation_hook( __FILE__, '__prefix_activate' );
+
+
+/**
+ * Performs tasks when the plugin is deactivated.
+ * {@see 'deactivate_$PLUGINNAME'}
+ */
+function __prefix_deactivate() {
+
+}
+register_deactivation_hook( __FILE__, '__prefix_deactivate' );
+
+
+/**
+ * Performs initialization tasks. Once the plugin is activated, this function will be called
+ * during every incoming HTTP request until the plugin is deactivated.
+ * {@see 'plugins_loaded'}
+ */
+function __prefix_initialize() {
+	// Setup translations
+	load_plugin_textdomain( '<GETTEXT_DOMAIN>', false, basename( __PREFIX_PLUGIN_DIR ) . '/languages' );
+}
+add_action( 'plugins_loaded', '__prefix_initialize' );
+
+
+/**
+ * Loads custom modules when the builder is ready.
+ * {@see 'et_builder_ready'}
+ */
+function __prefix_load_custom_builder_modules() {
+	require_once __PREFIX_PLUGIN_DIR . '/module/loader.php';
+}
+add_action( 'et_builder_ready', '__prefix_load_custom_builder_modules' );
+
+
+/**
+ * Returns the manifest written by `npm run build`. It maps each bundle to its hashed
+ * files, the script handles it depends on and its version.
+ *
+ * @return array
+ */
+function __prefix_get_asset_manifest() {
+	static $manifest = null;
+
+	if ( null === $manifest ) {
+		$file     = __PREFIX_PLUGIN_DIR . '/manifest.json';
+		$manifest = file_exists( $file ) ? json_decode( file_get_contents( $file ), true ) : array();
+		$manifest = is_array( $manifest ) ? $manifest : array();
+	}
+
+	return $manifest;
+}
+
+
+/**
+ * Returns the translations of the scripts for the user's locale, which `npm run build` compiles
+ * from `languages/<GETTEXT_DOMAIN>-<locale>.po`. They are read by `module/i18n.js`.
+ *
+ * @return array|null
+ */
+function __prefix_get_script_translations() {
+	static $translations = false;
+
+	if ( false === $translations ) {
+		$locale       = function_exists( 'determine_locale' ) ? determine_locale() : get_user_locale();
+		$file         = __PREFIX_PLUGIN_DIR . "/languages/<GETTEXT_DOMAIN>-{$locale}.json";
+		$translations = file_exists( $file ) ? json_decode( file_get_contents( $file ), true ) : null;
+		$translations = is_array( $translations ) ? $translations : null;
+	}
+
+	return $translations;
+}
+
+
+/**
+ * Enqueues the script and the stylesheet of a bundle listed in the manifest.
+ *
+ * @param string $name The bundle name, ie. the webpack entry.
+ */
+function __prefix_enqueue_bundle( $name ) {
+	$manifest = __prefix_get_asset_manifest();
+
+	if ( empty( $manifest[ $name ] ) ) {
+		return;
+	}
+
+	$bundle = $manifest[ $name ];
+	$handle = "__prefix-{$name}";
+
+	if ( ! empty( $bundle['js'] ) ) {
+		wp_enqueue_script( $handle, plugins_url( $bundle['js'], __FILE__ ), $bundle['dependencies'], $bundle['version'], true );
+
+		$translations = __prefix_get_script_translations();
+
+		if ( $translations ) {
+			wp_add_inline_script( $handle, sprintf( 'window.__prefixI18n = %s;', wp_json_encode( $translations ) ), 'before' );
+		}
+	}
+
+	if ( ! empty( $bundle['css'] ) ) {
+		wp_enqueue_style( $handle, plugins_url( $bundle['css'], __FILE__ ), array(), $bundle['version'] );
+	}
+}
+
+
+/**
+ * Enqueues the builder bundle, which registers the modules' components, when the Visual Builder is active.
+ * {@see 'wp_enqueue_scripts'}
+ */
+function __prefix_enqueue_builder_assets() {
+	if ( function_exists( 'et_core_is_fb_enabled' ) && et_core_is_fb_enabled() ) {
+		__prefix_enqueue_bundle( 'builder' );
+	}
+}
+add_action( 'wp_enqueue_scripts', '__prefix_enqueue_builder_assets' );
+
+
+/**
+ * Enqueues the frontend bundle of a module when its shortcode is rendered, so pages only load
+ * the assets of the modules they use. Stylesheets enqueued this late are printed in the footer.
+ * The Visual Builder renders the modules with their components instead, see the builder bundle.
+ * {@see 'do_shortcode_tag'}
+ *
+ * @param string $output The shortcode's output.
+ * @param string $tag    The shortcode's name.
+ *
+ * @return string
+ */
+function __prefix_enqueue_module_assets( $output, $tag ) {
+	if ( function_exists( 'et_core_is_fb_enabled' ) && et_core_is_fb_enabled() ) {
+		return $output;
+	}
+
+	foreach ( __prefix_get_asset_manifest() as $name => $bundle ) {
+		if ( isset( $bundle['shortcode'] ) && $tag === $bundle['shortcode'] ) {
+			__prefix_enqueue_bundle( $name );
+		}
+	}
+
+	return $output;
+}
+add_filter( 'do_shortcode_tag', '__prefix_enqueue_module_assets', 10, 2 );
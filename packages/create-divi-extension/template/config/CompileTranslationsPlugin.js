@@ -0,0 +1,39 @@
+'use strict';
+
+const path = require( 'path' );
+
+const compileTranslations = require( './translations' ).compileTranslations;
+
+// Compiles the .po files of `languages/` into the JSON translations of the
+// scripts before each build, including watch rebuilds.
+class CompileTranslationsPlugin {
+	constructor( options ) {
+		this.languageRoot = path.resolve( options.languageRoot );
+		this.textDomain   = options.textDomain;
+		this.poFiles      = [];
+	}
+
+	apply( compiler ) {
+		const compile = ( compilerOrWatching, callback ) => {
+			try {
+				this.poFiles = compileTranslations( this.languageRoot, this.textDomain );
+			} catch ( err ) {
+				callback( err );
+				return;
+			}
+			callback();
+		};
+
+		compiler.plugin( 'run', compile );
+		compiler.plugin( 'watch-run', compile );
+
+		// The .po files aren't imported by anything, so tell the watcher about them.
+		compiler.plugin( 'after-compile', ( compilation, callback ) => {
+			this.poFiles.forEach( file => compilation.fileDependencies.push( file ) );
+			compilation.contextDependencies.push( this.languageRoot );
+			callback();
+		} );
+	}
+}
+
+module.exports = CompileTranslationsPlugin;
@@ -0,0 +1,38 @@
+'use strict';
+
+const path = require( 'path' );
+
+const generateFields = require( './fields' ).generateFields;
+
+// Generates the PHP `get_fields()` array and the JS attribute accessor of every
+// module from its field schema before each build, including watch rebuilds.
+class GenerateFieldsPlugin {
+	constructor( options ) {
+		this.moduleRoot = path.resolve( options.moduleRoot );
+		this.textDomain = options.textDomain;
+		this.schemas    = [];
+	}
+
+	apply( compiler ) {
+		const generate = ( compilerOrWatching, callback ) => {
+			try {
+				this.schemas = generateFields( this.moduleRoot, this.textDomain );
+			} catch ( err ) {
+				callback( err );
+				return;
+			}
+			callback();
+		};
+
+		compiler.plugin( 'run', generate );
+		compiler.plugin( 'watch-run', generate );
+
+		// The schemas aren't imported by anything, so tell the watcher about them.
+		compiler.plugin( 'after-compile', ( compilation, callback ) => {
+			this.schemas.forEach( file => compilation.fileDependencies.push( file ) );
+			callback();
+		} );
+	}
+}
+
+module.exports = GenerateFieldsPlugin;
@@ -0,0 +1,41 @@
+'use strict';
+
+const path = require( 'path' );
+
+const generateModules = require( './modules' ).generateModules;
+
+// Generates the lists of components and PHP classes that the loaders register
+// from the module directories before each build, including watch rebuilds.
+class GenerateModulesPlugin {
+	constructor( options ) {
+		this.moduleRoot = path.resolve( options.moduleRoot );
+		this.warnings   = [];
+	}
+
+	apply( compiler ) {
+		const generate = ( compilerOrWatching, callback ) => {
+			try {
+				this.warnings = generateModules( this.moduleRoot );
+			} catch ( err ) {
+				callback( err );
+				return;
+			}
+			callback();
+		};
+
+		compiler.plugin( 'run', generate );
+		compiler.plugin( 'watch-run', generate );
+
+		compiler.plugin( 'this-compilation', compilation => {
+			this.warnings.forEach( warning => compilation.warnings.push( new Error( warning ) ) );
+		} );
+
+		// Rebuild when a module directory is added or removed.
+		compiler.plugin( 'after-compile', ( compilation, callback ) => {
+			compilation.contextDependencies.push( this.moduleRoot );
+			callback();
+		} );
+	}
+}
+
+module.exports = GenerateModulesPlugin;
@@ -0,0 +1,141 @@
+'use strict';
+
+const crypto = require( 'crypto' );
+const fs     = require( 'fs' );
+const path   = require( 'path' );
+
+/**
+ * Writes a manifest that maps each bundle (entry name) to its hashed files, the
+ * WordPress script handles it depends on and a version for cache-busting. The
+ * plugin's PHP reads it to enqueue the bundles, so nothing needs to be edited
+ * after a build. Frontend bundles also name the shortcode they're loaded for.
+ *
+ *     {
+ *       "builder": {
+ *         "js": "scripts/builder.1f3a9c2e.min.js",
+ *         "css": "styles/builder.8d07b6aa.min.css",
+ *         "dependencies": ["jquery"],
+ *         "version": "5b0e41d7"
+ *       },
+ *       "frontend-hello-world": {
+ *         "js": null,
+ *         "css": "styles/frontend-hello-world.0c4e52f1.min.css",
+ *         "dependencies": [],
+ *         "version": "a41d9be0",
+ *         "shortcode": "prefix_pb_hello_world"
+ *       }
+ *     }
+ *
+ * Bundles made of stylesheets only don't get a script once the styles are
+ * extracted, webpack would otherwise emit one that does nothing. The files
+ * listed by the previous manifest that the new build didn't produce are
+ * removed, so stale hashed files don't pile up in the plugin.
+ */
+class ManifestPlugin {
+	constructor( options ) {
+		this.filename   = options.filename || 'manifest.json';
+		// Module name => WordPress script handle, for the externals WordPress registers.
+		this.handles    = options.handles || {};
+		// Entry name => the shortcode the bundle is enqueued for.
+		this.shortcodes = options.shortcodes || {};
+	}
+
+	// External module request (the global it resolves to) => WordPress script handle.
+	getExternalHandles( externals ) {
+		const handles = {};
+
+		if ( !externals || typeof externals !== 'object' || Array.isArray( externals ) ) {
+			return handles;
+		}
+
+		Object.keys( this.handles ).forEach( name => {
+			if ( externals.hasOwnProperty( name ) ) {
+				handles[externals[name]] = this.handles[name];
+			}
+		} );
+
+		return handles;
+	}
+
+	// Whether all the modules of the chunk are stylesheets, besides the one webpack
+	// adds for an entry made of several files.
+	isStylesheetOnly( chunk ) {
+		return chunk.modules
+			.filter( module => !/^multi /.test( module.identifier() ) )
+			.every( module => /\.s?css$/.test( module.resource || '' ) );
+	}
+
+	getManifest( compilation ) {
+		const handles  = this.getExternalHandles( compilation.options.externals );
+		const manifest = {};
+
+		compilation.chunks.filter( chunk => chunk.name ).forEach( chunk => {
+			const dependencies = chunk.modules
+				.filter( module => module.external && handles.hasOwnProperty( module.request ) )
+				.map( module => handles[module.request] );
+
+			if ( this.isStylesheetOnly( chunk ) && chunk.files.some( file => /\.css$/.test( file ) ) ) {
+				chunk.files
+					.filter( file => /\.js$/.test( file ) )
+					.forEach( file => Reflect.deleteProperty( compilation.assets, file ) );
+				chunk.files = chunk.files.filter( file => !/\.js$/.test( file ) );
+			}
+
+			manifest[chunk.name] = {
+				js:           chunk.files.filter( file => /\.js$/.test( file ) )[0] || null,
+				css:          chunk.files.filter( file => /\.css$/.test( file ) )[0] || null,
+				dependencies: dependencies.filter( ( handle, index ) => dependencies.indexOf( handle ) === index ).sort(),
+				// Changes whenever any of the bundle's files does, even when their names don't.
+				version:      crypto.createHash( 'md5' ).update( chunk.hash + chunk.files.join( '\n' ) ).digest( 'hex' ).slice( 0, 8 ),
+			};
+
+			if ( this.shortcodes.hasOwnProperty( chunk.name ) ) {
+				manifest[chunk.name].shortcode = this.shortcodes[chunk.name];
+			}
+		} );
+
+		return manifest;
+	}
+
+	readPreviousManifest( file ) {
+		try {
+			return JSON.parse( fs.readFileSync( file, 'utf8' ) );
+		} catch ( err ) {
+			return {};
+		}
+	}
+
+	apply( compiler ) {
+		let previous = {};
+
+		compiler.plugin( 'emit', ( compilation, callback ) => {
+			const content = `${JSON.stringify( this.getManifest( compilation ), null, 2 )}\n`;
+
+			previous = this.readPreviousManifest( path.join( compilation.outputOptions.path, this.filename ) );
+
+			compilation.assets[this.filename] = {
+				source: () => content,
+				size:   () => content.length,
+			};
+			callback();
+		} );
+
+		compiler.plugin( 'after-emit', ( compilation, callback ) => {
+			const outputPath = compilation.outputOptions.path;
+			const emitted    = Object.keys( compilation.assets );
+
+			Object.keys( previous ).forEach( name => {
+				[previous[name].js, previous[name].css]
+					.filter( file => file && emitted.indexOf( file ) === -1 )
+					.reduce( ( files, file ) => files.concat( file, `${file}.map` ), [] )
+					.map( file => path.join( outputPath, file ) )
+					// Never touch anything outside of the output directory.
+					.filter( file => file.indexOf( outputPath + path.sep ) === 0 && fs.existsSync( file ) )
+					.forEach( file => fs.unlinkSync( file ) );
+			} );
+			callback();
+		} );
+	}
+}
+
+module.exports = ManifestPlugin;
@@ -0,0 +1,258 @@
+'use strict';
+
+const fs   = require( 'fs' );
+const path = require( 'path' );
+
+const findModules    = require( './modules' ).findModules;
+const writeIfChanged = require( './modules' ).writeIfChanged;
+
+// Schema type => how the value of the attribute is read on the JS side.
+const fieldTypes = {
+	text:                'string',
+	textarea:            'string',
+	tiny_mce:            'string',
+	color:               'string',
+	'color-alpha':       'string',
+	upload:              'string',
+	range:               'number',
+	yes_no_button:       'boolean',
+	select:              'oneOf',
+	multiple_checkboxes: 'list',
+};
+
+const schemaFiles = ['schema.js', 'schema.json'];
+const notice      = 'Generated from the module\'s schema by the build, do not edit.';
+
+/**
+ * Loads the field schema of a module, if it has one.
+ *
+ * @param {string} dir The module directory.
+ * @returns {{file: string, fields: Array<Object>}|null} The schema.
+ */
+function readSchema( dir ) {
+	const file = schemaFiles.map( name => path.join( dir, name ) ).filter( fs.existsSync )[0];
+
+	if ( !file ) {
+		return null;
+	}
+
+	// The schema changes between rebuilds in watch mode.
+	Reflect.deleteProperty( require.cache, file );
+
+	const fields = require( file );
+	const errors = [];
+	const names  = [];
+
+	if ( !Array.isArray( fields ) ) {
+		throw new Error( `${file} must contain an array of fields.` );
+	}
+
+	fields.forEach( ( field, index ) => {
+		const where = field.name ? `"${field.name}"` : `#${index + 1}`;
+
+		if ( typeof field.name !== 'string' || !/^[a-z][a-z0-9_]*$/.test( field.name ) ) {
+			errors.push( `Field ${where}: the name must be lowercase letters, digits and underscores.` );
+		} else if ( names.indexOf( field.name ) > -1 ) {
+			errors.push( `Field ${where}: the name is used more than once.` );
+		}
+		if ( !fieldTypes.hasOwnProperty( field.type ) ) {
+			errors.push( `Field ${where}: the type must be one of ${Object.keys( fieldTypes ).join( ', ' )}.` );
+		}
+		if ( typeof field.label !== 'string' || !field.label ) {
+			errors.push( `Field ${where}: the label is required.` );
+		}
+		if ( ['select', 'multiple_checkboxes'].indexOf( field.type ) > -1 && !field.options ) {
+			errors.push( `Field ${where}: a ${field.type} field needs options.` );
+		}
+
+		names.push( field.name );
+	} );
+
+	if ( errors.length ) {
+		throw new Error( `Invalid field schema ${file}:\n${errors.map( error => `  * ${error}` ).join( '\n' )}` );
+	}
+
+	return {
+		file,
+		fields,
+	};
+}
+
+// The default as Divi stores it in the shortcode attributes.
+function getRawDefault( field ) {
+	if ( field.type === 'yes_no_button' ) {
+		return field.default ? 'on' : 'off';
+	}
+	if ( field.type === 'multiple_checkboxes' ) {
+		const selected = field.default || [];
+
+		return Object.keys( field.options ).map( key => selected.indexOf( key ) > -1 ? 'on' : 'off' ).join( '|' );
+	}
+	if ( typeof field.default === 'undefined' ) {
+		return field.type === 'select' ? Object.keys( field.options )[0] : '';
+	}
+
+	return String( field.default );
+}
+
+// The default as the React component receives it from `getAttrs()`.
+function getJsDefault( field ) {
+	switch ( fieldTypes[field.type] ) {
+	case 'boolean':
+		return String( Boolean( field.default ) );
+	case 'number':
+		return String( Number( field.default ) || 0 );
+	case 'list':
+		return JSON.stringify( field.default || [] );
+	default:
+		return JSON.stringify( getRawDefault( field ) );
+	}
+}
+
+function phpString( value ) {
+	return `'${String( value ).replace( /\\/g, '\\\\' ).replace( /'/g, '\\\'' )}'`;
+}
+
+function phpArray( entries, indent ) {
+	const width = Reflect.apply( Math.max, null, entries.map( entry => entry[0].length + 2 ) );
+	const lines = entries.map( entry => {
+		const key = phpString( entry[0] );
+
+		return `${indent}\t${key}${' '.repeat( width - key.length )} => ${entry[1]},`;
+	} );
+
+	return `array(\n${lines.join( '\n' )}\n${indent})`;
+}
+
+/**
+ * Renders the array that the module's `get_fields()` returns.
+ *
+ * @param {Array<Object>} fields     The schema.
+ * @param {string}        textDomain The extension's text domain.
+ * @returns {string} The contents of `fields.php`.
+ */
+function toPhp( fields, textDomain ) {
+	const translate = text => `esc_html__( ${phpString( text )}, ${phpString( textDomain )} )`;
+
+	const entries = fields.map( field => {
+		const entry = [
+			['label', translate( field.label )],
+			['type', phpString( field.type )],
+			['option_category', phpString( field.category || 'basic_option' )],
+		];
+
+		if ( field.description ) {
+			entry.push( ['description', translate( field.description )] );
+		}
+		if ( field.options ) {
+			const options = Object.keys( field.options ).map( key => [key, translate( field.options[key] )] );
+
+			entry.push( ['options', phpArray( options, '\t\t' )] );
+		} else if ( field.type === 'yes_no_button' ) {
+			entry.push( ['options', phpArray( [['off', translate( 'No' )], ['on', translate( 'Yes' )]], '\t\t' )] );
+		}
+		if ( field.toggle ) {
+			entry.push( ['toggle_slug', phpString( field.toggle )] );
+		}
+		entry.push( ['default', phpString( getRawDefault( field ) )] );
+
+		return [field.name, phpArray( entry, '\t' )];
+	} );
+
+	return `<?php\n// ${notice}\n\nreturn ${fields.length ? phpArray( entries, '' ) : 'array()'};\n`;
+}
+
+/**
+ * Renders the defaults and the typed attribute accessor for the React component.
+ *
+ * @param {Array<Object>} fields The schema.
+ * @returns {string} The contents of `fields.js`.
+ */
+function toJs( fields ) {
+	const defaults = fields.map( field => `\t${field.name}: ${getJsDefault( field )},` );
+
+	const attrs = fields.map( field => {
+		const type = fieldTypes[field.type];
+		const args = ['oneOf', 'list'].indexOf( type ) > -1
+			? `, ${JSON.stringify( Object.keys( field.options ) )}`
+			: '';
+
+		return `\t\t${field.name}: ${type}( attrs.${field.name}, defaults.${field.name}${args} ),`;
+	} );
+
+	return `/* eslint-disable */
+// ${notice}
+
+function string( value, fallback ) {
+	return typeof value === 'undefined' ? fallback : String( value );
+}
+
+function number( value, fallback ) {
+	const parsed = parseFloat( value );
+
+	return isNaN( parsed ) ? fallback : parsed;
+}
+
+function boolean( value, fallback ) {
+	return typeof value === 'undefined' ? fallback : value === 'on' || value === true;
+}
+
+function oneOf( value, fallback, options ) {
+	return options.indexOf( value ) > -1 ? value : fallback;
+}
+
+function list( value, fallback, options ) {
+	if ( typeof value !== 'string' ) {
+		return fallback;
+	}
+
+	const flags = value.split( '|' );
+
+	return options.filter( ( option, index ) => flags[index] === 'on' );
+}
+
+export const defaults = {
+${defaults.join( '\n' )}
+};
+
+export default function getAttrs( attrs ) {
+	attrs = attrs || {};
+
+	return {
+${attrs.join( '\n' )}
+	};
+}
+`;
+}
+
+/**
+ * Generates `fields.php` and `fields.js` for every module that has a schema.
+ *
+ * @param {string} moduleRoot The absolute path of the `module/` directory.
+ * @param {string} textDomain The extension's text domain.
+ * @returns {Array<string>} The schema files that were read.
+ */
+function generateFields( moduleRoot, textDomain ) {
+	const schemas = [];
+
+	findModules( moduleRoot ).forEach( module => {
+		const schema = readSchema( module.dir );
+
+		if ( !schema ) {
+			return;
+		}
+
+		writeIfChanged( path.join( module.dir, 'fields.php' ), toPhp( schema.fields, textDomain ) );
+		writeIfChanged( path.join( module.dir, 'fields.js' ), toJs( schema.fields ) );
+		schemas.push( schema.file );
+	} );
+
+	return schemas;
+}
+
+module.exports = {
+	generateFields,
+	readSchema,
+	toJs,
+	toPhp,
+};
@@ -0,0 +1,190 @@
+'use strict';
+
+const fs   = require( 'fs' );
+const path = require( 'path' );
+
+// The files a module can provide for the pages it's rendered on, in load order.
+const frontendFiles = ['styles.scss', 'frontend.js'];
+
+const notice = 'Generated from the module directories by the build, do not edit.';
+
+// Reads the shortcode slug from the module's PHP class, ie. `$this->slug = '...';`.
+function readSlug( dir, name ) {
+	const file = path.join( dir, `${name}.php` );
+
+	if ( !fs.existsSync( file ) ) {
+		return null;
+	}
+
+	const match = fs.readFileSync( file, 'utf8' ).match( /\$this->slug\s*=\s*(['"])([^'"]+)\1/ );
+
+	return match ? match[2] : null;
+}
+
+/**
+ * Lists the module directories, ie. every directory directly inside `module/`.
+ *
+ * @param {string} moduleRoot The absolute path of the `module/` directory.
+ * @returns {Array<{name: string, dir: string, slug: ?string}>} The modules, sorted by name.
+ */
+function findModules( moduleRoot ) {
+	return fs
+		.readdirSync( moduleRoot )
+		.filter( name => fs.statSync( path.join( moduleRoot, name ) ).isDirectory() )
+		.sort()
+		.map( name => {
+			const dir = path.join( moduleRoot, name );
+
+			return {
+				name,
+				dir,
+				slug: readSlug( dir, name ),
+			};
+		} );
+}
+
+/**
+ * Lists the frontend bundles: one for every module that has a stylesheet or a
+ * `frontend.js` script. They're enqueued on the pages where the module's
+ * shortcode is rendered, so they don't include anything of the builder.
+ *
+ * @param {string} moduleRoot The absolute path of the `module/` directory.
+ * @returns {Array<{entry: string, files: Array<string>, slug: string}>} The bundles.
+ */
+function findFrontendBundles( moduleRoot ) {
+	return findModules( moduleRoot )
+		.filter( module => module.slug )
+		.map( module => ( {
+			entry: `frontend-${module.name.replace( /([a-z0-9])([A-Z])/g, '$1-$2' ).toLowerCase()}`,
+			files: frontendFiles.map( file => path.join( module.dir, file ) ).filter( fs.existsSync ),
+			slug:  module.slug,
+		} ) )
+		.filter( bundle => bundle.files.length );
+}
+
+/**
+ * Finds the modules that can be registered: those with a PHP class that declares
+ * a slug, and usually a component. A module that only exists on one side is
+ * reported, it would be missing from either the Visual Builder or WordPress.
+ *
+ * @param {string} moduleRoot The absolute path of the `module/` directory.
+ * @returns {{modules: Array<Object>, warnings: Array<string>}} The modules and what's wrong with the others.
+ */
+function discoverModules( moduleRoot ) {
+	const modules  = [];
+	const warnings = [];
+	const slugs    = {};
+
+	findModules( moduleRoot ).forEach( module => {
+		const hasPhp       = fs.existsSync( path.join( module.dir, `${module.name}.php` ) );
+		const hasComponent = fs.existsSync( path.join( module.dir, `${module.name}.jsx` ) );
+		const where        = `module/${module.name}`;
+
+		if ( !hasPhp && !hasComponent ) {
+			// Not a module, eg. a directory of shared code.
+			return;
+		}
+		if ( !hasPhp ) {
+			warnings.push( `${where} has a component but no ${module.name}.php, it isn't registered.` );
+			return;
+		}
+		if ( !module.slug ) {
+			warnings.push( `${where}/${module.name}.php doesn't set $this->slug, the module isn't registered.` );
+			return;
+		}
+		if ( slugs.hasOwnProperty( module.slug ) ) {
+			throw new Error( `module/${slugs[module.slug]} and ${where} both use the slug "${module.slug}".` );
+		}
+		if ( !hasComponent ) {
+			warnings.push( `${where} has no ${module.name}.jsx, the module won't render in the Visual Builder.` );
+		} else if ( !/^[A-Za-z_$][\w$]*$/.test( module.name ) ) {
+			warnings.push( `${where}: the directory name must be a valid JavaScript identifier to import the component.` );
+			return;
+		}
+
+		slugs[module.slug] = module.name;
+		modules.push( Object.assign( { hasComponent }, module ) );
+	} );
+
+	return {
+		modules,
+		warnings,
+	};
+}
+
+/**
+ * Renders the list of components that `module/loader.jsx` registers.
+ *
+ * @param {Array<Object>} modules The modules from `discoverModules()`.
+ * @returns {string} The contents of `module/modules.js`.
+ */
+function toJsModules( modules ) {
+	const withComponent = modules.filter( module => module.hasComponent );
+	const imports       = withComponent.map( module => `import ${module.name} from './${module.name}/${module.name}';` );
+	const entries       = withComponent.map( module => `\t{ component: ${module.name}, slug: '${module.slug}' },` );
+
+	return `/* eslint-disable */
+// ${notice}
+
+${imports.join( '\n' )}${imports.length ? '\n\n' : ''}export default [
+${entries.join( '\n' )}${entries.length ? '\n' : ''}];
+`;
+}
+
+/**
+ * Renders the list of PHP classes that `module/loader.php` requires, by slug.
+ *
+ * @param {Array<Object>} modules The modules from `discoverModules()`.
+ * @returns {string} The contents of `module/modules.php`.
+ */
+function toPhpModules( modules ) {
+	const width   = Reflect.apply( Math.max, null, modules.map( module => module.slug.length + 2 ).concat( 0 ) );
+	const entries = modules.map( module => {
+		const key = `'${module.slug}'`;
+
+		return `\t${key}${' '.repeat( width - key.length )} => '${module.name}/${module.name}.php',`;
+	} );
+
+	return `<?php\n// ${notice}\n\nreturn ${entries.length ? `array(\n${entries.join( '\n' )}\n)` : 'array()'};\n`;
+}
+
+/**
+ * Generates `module/modules.js` and `module/modules.php` from the module directories.
+ *
+ * @param {string} moduleRoot The absolute path of the `module/` directory.
+ * @returns {Array<string>} Warnings about the modules that can't be registered.
+ */
+function generateModules( moduleRoot ) {
+	const result = discoverModules( moduleRoot );
+
+	writeIfChanged( path.join( moduleRoot, 'modules.js' ), toJsModules( result.modules ) );
+	writeIfChanged( path.join( moduleRoot, 'modules.php' ), toPhpModules( result.modules ) );
+
+	return result.warnings;
+}
+
+/**
+ * Writes a generated file unless its contents are unchanged. Rewriting an
+ * unchanged file would trigger another rebuild in watch mode.
+ *
+ * @param {string} file    The absolute path of the file.
+ * @param {string} content The new contents.
+ * @returns {boolean} Whether the file was written.
+ */
+function writeIfChanged( file, content ) {
+	if ( fs.existsSync( file ) && fs.readFileSync( file, 'utf8' ) === content ) {
+		return false;
+	}
+
+	fs.writeFileSync( file, content );
+
+	return true;
+}
+
+module.exports = {
+	discoverModules,
+	findFrontendBundles,
+	findModules,
+	generateModules,
+	writeIfChanged,
+};
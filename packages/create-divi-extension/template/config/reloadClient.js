@@ -0,0 +1,79 @@
+/* eslint-env browser */
+/* global __resourceQuery, __webpack_hash__, __webpack_public_path__: true */
+'use strict';
+
+// Included in every bundle of the development build, see `config/start.js`. It
+// listens to the reload server and refreshes the page once a rebuild is written.
+// With `&hot` in the query, it applies the changes in place when the bundle's
+// modules accept them, see `module/loader.jsx`, and only reloads otherwise.
+// This file isn't compiled by Babel, it only runs in the developer's browser.
+
+const query     = __resourceQuery.slice( 1 ).split( '&' );
+const reloadUrl = query[0];
+const isHot     = query.indexOf( 'hot' ) > -1 && Boolean( module.hot );
+
+// Assets are loaded relative to the plugin's folder, wherever WordPress serves it from,
+// unless the webpack config sets an `output.publicPath`.
+if ( !__webpack_public_path__ && document.currentScript ) {
+	__webpack_public_path__ = document.currentScript.src.replace( /scripts\/[^\/]*$/, '' );
+}
+
+function update() {
+	if ( !isHot ) {
+		window.location.reload();
+		return;
+	}
+
+	// The next build will be checked once the current one is applied.
+	if ( module.hot.status() !== 'idle' ) {
+		return;
+	}
+
+	module.hot.check( true )
+		.then( updatedModules => {
+			// The update couldn't be found, eg. `npm start` was restarted.
+			if ( !updatedModules ) {
+				window.location.reload();
+			}
+		} )
+		// A change that no module accepts.
+		.catch( () => window.location.reload() );
+}
+
+// All the bundles of a page share a single connection.
+function listen( onMessage ) {
+	const connections = window.__diviExtensionReload || ( window.__diviExtensionReload = {} );
+	let connection    = connections[reloadUrl];
+
+	if ( !connection ) {
+		connection = connections[reloadUrl] = {
+			listeners: [],
+			source:    new EventSource( `${reloadUrl}/events` ),
+		};
+
+		connection.source.onmessage = event => {
+			const message = JSON.parse( event.data );
+
+			connection.listeners.forEach( listener => listener( message ) );
+		};
+	}
+
+	connection.listeners.push( onMessage );
+}
+
+if ( typeof EventSource === 'function' ) {
+	listen( message => {
+		switch ( message.type ) {
+		case 'errors':
+			console.error( `[divi-extension] The build failed:\n\n${message.errors.join( '\n\n' )}` );
+			break;
+		case 'built':
+			if ( message.hash !== __webpack_hash__ ) {
+				update();
+			}
+			break;
+		default:
+			break;
+		}
+	} );
+}
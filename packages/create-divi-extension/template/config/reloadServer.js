@@ -0,0 +1,60 @@
+'use strict';
+
+const http = require( 'http' );
+
+// Where the browser reaches the reload server. Override it with the RELOAD_HOST
+// and RELOAD_PORT environment variables, eg. when WordPress runs in a VM.
+const host      = process.env.RELOAD_HOST || 'localhost';
+const port      = parseInt( process.env.RELOAD_PORT, 10 ) || 35729;
+const reloadUrl = `http://${host}:${port}`;
+
+// Sent regularly so that proxies and the browser keep the connection open.
+const keepAliveInterval = 30000;
+
+/**
+ * Starts a server that pushes build events to the pages of the local WordPress
+ * install using server-sent events, see `reloadClient.js`.
+ *
+ * @returns {{send: function(Object), close: function()}} The server.
+ */
+function createReloadServer() {
+	const clients = [];
+
+	const server = http.createServer( ( request, response ) => {
+		if ( request.url !== '/events' ) {
+			response.writeHead( 404 );
+			response.end();
+			return;
+		}
+
+		response.writeHead( 200, {
+			// The pages are served by WordPress, from another origin.
+			'Access-Control-Allow-Origin': '*',
+			'Cache-Control':               'no-cache',
+			Connection:                    'keep-alive',
+			'Content-Type':                'text/event-stream',
+		} );
+		response.write( '\n' );
+
+		clients.push( response );
+		request.on( 'close', () => clients.splice( clients.indexOf( response ), 1 ) );
+	} );
+
+	const keepAlive = setInterval( () => clients.forEach( client => client.write( ':\n\n' ) ), keepAliveInterval );
+
+	server.listen( port );
+
+	return {
+		send: message => clients.forEach( client => client.write( `data: ${JSON.stringify( message )}\n\n` ) ),
+		close: () => {
+			clearInterval( keepAlive );
+			clients.forEach( client => client.end() );
+			server.close();
+		},
+	};
+}
+
+module.exports = {
+	createReloadServer,
+	reloadUrl,
+};
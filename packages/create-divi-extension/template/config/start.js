@@ -0,0 +1,90 @@
+'use strict';
+
+// Do this as the first thing so that any code reading it knows the right env.
+process.env.NODE_ENV = 'development';
+
+// Makes the script crash on unhandled rejections instead of silently
+// ignoring them. In the future, promise rejections that are not handled will
+// terminate the Node.js process with a non-zero exit code.
+process.on( 'unhandledRejection', err => {
+	throw err;
+} );
+
+const chalk                 = require( 'chalk' );
+const fs                    = require( 'fs' );
+const path                  = require( 'path' );
+const webpack               = require( 'webpack' );
+const clearConsole          = require( 'react-dev-utils/clearConsole' );
+const formatWebpackMessages = require( 'react-dev-utils/formatWebpackMessages' );
+const config                = require( '../webpack.config.dev' );
+const createReloadServer    = require( './reloadServer' ).createReloadServer;
+const reloadUrl             = require( './reloadServer' ).reloadUrl;
+
+const isInteractive = process.stdout.isTTY;
+const hotUpdates    = path.resolve( __dirname, '../scripts/hot' );
+
+// The hot updates of the previous run can't be applied anymore.
+if ( fs.existsSync( hotUpdates ) ) {
+	fs.readdirSync( hotUpdates ).forEach( file => fs.unlinkSync( path.join( hotUpdates, file ) ) );
+}
+
+const compiler     = webpack( config );
+const reloadServer = createReloadServer();
+
+compiler.plugin( 'invalid', () => {
+	if ( isInteractive ) {
+		clearConsole();
+	}
+	console.log( 'Compiling...' );
+} );
+
+// Watches the files and writes each rebuild to the plugin folder, where the
+// local WordPress install loads it from. Then tells the open pages about it.
+const watching = compiler.watch( {}, ( err, stats ) => {
+	if ( err ) {
+		console.log( chalk.red( 'Failed to compile.' ) );
+		console.log();
+		console.log( err.message || err );
+		reloadServer.send( { type: 'errors', errors: [err.message || String( err )] } );
+		return;
+	}
+
+	const messages = formatWebpackMessages( stats.toJson( {}, true ) );
+
+	if ( isInteractive ) {
+		clearConsole();
+	}
+
+	if ( messages.errors.length ) {
+		console.log( chalk.red( 'Failed to compile.' ) );
+		console.log();
+		console.log( messages.errors.join( '\n\n' ) );
+		reloadServer.send( { type: 'errors', errors: messages.errors } );
+		return;
+	}
+
+	if ( messages.warnings.length ) {
+		console.log( chalk.yellow( 'Compiled with warnings.' ) );
+		console.log();
+		console.log( messages.warnings.join( '\n\n' ) );
+	} else {
+		console.log( chalk.green( 'Compiled successfully!' ) );
+	}
+
+	console.log();
+	console.log( `The development build is in ${chalk.cyan( 'scripts/' )}, activate the plugin in your local WordPress to use it.` );
+	console.log( `The Visual Builder updates its modules when you save a file and other pages reload, through ${chalk.cyan( reloadUrl )}.` );
+	console.log();
+	console.log( `Note that the development build is not optimized. To create a production build, use ${chalk.cyan( 'npm run build' )}.` );
+
+	reloadServer.send( { type: 'built', hash: stats.hash } );
+} );
+
+['SIGINT', 'SIGTERM'].forEach( signal => {
+	process.on( signal, () => {
+		watching.close( () => {
+			reloadServer.close();
+			process.exit();
+		} );
+	} );
+} );
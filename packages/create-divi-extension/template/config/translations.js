@@ -0,0 +1,157 @@
+'use strict';
+
+const fs   = require( 'fs' );
+const path = require( 'path' );
+
+const writeIfChanged = require( './modules' ).writeIfChanged;
+
+// The files the JavaScript strings are found in, going by the references of a .po file.
+const scriptFiles = /\.jsx?(?::\d+)?$/;
+
+function unescape( value ) {
+	const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' };
+
+	return value.replace( /\\([ntr"\\])/g, ( match, char ) => escapes[char] );
+}
+
+// The field of an entry a `msgctxt`, `msgid`, `msgid_plural` or `msgstr[n]` line sets.
+function getField( keyword, index ) {
+	if ( keyword === 'msgstr' ) {
+		return Number( index || 0 );
+	}
+
+	return {
+		msgctxt:      'context',
+		msgid:        'id',
+		msgid_plural: 'plural',
+	}[keyword];
+}
+
+/**
+ * Reads the entries of a .po file, which are separated by blank lines. The
+ * obsolete ones, commented out with `#~`, are left out.
+ *
+ * @param {string} content The contents of the file.
+ * @returns {Array<Object>} The entries, as their `context`, `id`, `plural`, `translations`, `references`
+ *          and whether they are `fuzzy`. The header is the one with an empty `id`.
+ */
+function parsePo( content ) {
+	const entries = [];
+	let entry     = null;
+	let field     = null;
+
+	content.replace( /\r\n?/g, '\n' ).split( '\n' ).forEach( line => {
+		if ( !line.trim() ) {
+			entry = null;
+			field = null;
+			return;
+		}
+
+		if ( !entry ) {
+			entry = { context: null, id: null, plural: null, translations: [], references: [], fuzzy: false, obsolete: false };
+			entries.push( entry );
+		}
+
+		const keyword = line.match( /^(msgctxt|msgid|msgid_plural|msgstr)(?:\[(\d+)\])?\s+"(.*)"\s*$/ );
+		const string  = line.match( /^\s*"(.*)"\s*$/ );
+
+		if ( /^#~/.test( line ) ) {
+			entry.obsolete = true;
+		} else if ( /^#,/.test( line ) ) {
+			entry.fuzzy = entry.fuzzy || /\bfuzzy\b/.test( line );
+		} else if ( /^#:/.test( line ) ) {
+			entry.references = entry.references.concat( line.slice( 2 ).trim().split( /\s+/ ) );
+		} else if ( keyword ) {
+			field = getField( keyword[1], keyword[2] );
+			setField( entry, field, unescape( keyword[3] ) );
+		} else if ( string && field !== null ) {
+			setField( entry, field, ( typeof field === 'number' ? entry.translations[field] : entry[field] ) + unescape( string[1] ) );
+		}
+	} );
+
+	return entries.filter( item => item.id !== null && !item.obsolete );
+}
+
+function setField( entry, field, value ) {
+	if ( typeof field === 'number' ) {
+		entry.translations[field] = value;
+	} else {
+		entry[field] = value;
+	}
+}
+
+/**
+ * Turns a .po file into the JSON that `module/i18n.js` reads, in the Jed format
+ * of `wp.i18n`. Only the strings of the JavaScript files are kept, unless the
+ * file has no references at all. The untranslated and fuzzy strings are left out.
+ *
+ * @param {string} content    The contents of the .po file.
+ * @param {string} textDomain The text domain of the extension.
+ * @param {string} locale     The locale of the translations, eg. `de_DE`.
+ * @returns {Object} The translations.
+ */
+function compilePo( content, textDomain, locale ) {
+	const entries  = parsePo( content );
+	const header   = entries.filter( entry => entry.id === '' && entry.context === null )[0];
+	const plural   = header && ( header.translations[0] || '' ).match( /^Plural-Forms:\s*(.*?)\s*$/mi );
+	const scripted = entries.some( entry => entry.references.length );
+	const messages = {
+		'': {
+			domain:         textDomain,
+			lang:           locale,
+			'plural-forms': plural ? plural[1] : 'nplurals=2; plural=(n != 1);',
+		},
+	};
+
+	entries
+		.filter( entry => entry.id && !entry.fuzzy && entry.translations.some( translation => translation ) )
+		.filter( entry => !scripted || entry.references.some( reference => scriptFiles.test( reference ) ) )
+		.forEach( entry => {
+			messages[entry.context === null ? entry.id : `${entry.context}\u0004${entry.id}`] = entry.translations;
+		} );
+
+	const data = {
+		domain:      textDomain,
+		locale_data: {},
+	};
+
+	data.locale_data[textDomain] = messages;
+
+	return data;
+}
+
+/**
+ * Compiles the translations in `languages/`, ie. the `<text-domain>-<locale>.po`
+ * files, into the `<text-domain>-<locale>.json` files that the main plugin file
+ * prints for the scripts.
+ *
+ * @param {string} languageRoot The absolute path of the `languages/` directory.
+ * @param {string} textDomain   The text domain of the extension.
+ * @returns {Array<string>} The absolute paths of the .po files.
+ */
+function compileTranslations( languageRoot, textDomain ) {
+	if ( !fs.existsSync( languageRoot ) ) {
+		return [];
+	}
+
+	// Text domains are only lowercase letters, numbers and dashes.
+	const pattern = new RegExp( `^${textDomain}-(.+)\\.po$` );
+
+	return fs.readdirSync( languageRoot )
+		.filter( file => pattern.test( file ) )
+		.map( file => {
+			const poFile = path.join( languageRoot, file );
+			const locale = file.match( pattern )[1];
+			const data   = compilePo( fs.readFileSync( poFile, 'utf8' ), textDomain, locale );
+
+			writeIfChanged( poFile.replace( /\.po$/, '.json' ), `${JSON.stringify( data, null, '\t' )}\n` );
+
+			return poFile;
+		} );
+}
+
+module.exports = {
+	compilePo,
+	compileTranslations,
+	parsePo,
+};
@@ -1,7 +1,9 @@
 import React, { Component } from 'react';
 import ReactDOM from 'react-dom';
 
-import 'style.scss';
+import getAttrs from './fields';
+import { __ } from '../i18n';
+import './styles.scss';
 
 
 class HelloWorld extends Component {
@@ -11,9 +13,10 @@ class HelloWorld extends Component {
 	}
 
 	render() {
-		const props = this.props.attrs;
+		const props = getAttrs( this.props.attrs );
 
-		return <div>{props.content}</div>;
+		// Only the Visual Builder renders the component, the page shows nothing without content.
+		return <div className="hello-world">{props.content || __( 'Type the text of the module in its settings.', '<GETTEXT_DOMAIN>' )}</div>;
 	}
 }
 
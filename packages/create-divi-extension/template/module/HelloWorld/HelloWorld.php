@@ -9,11 +9,12 @@ class __Prefix_ET_Builder_Module_HelloWorld extends ET_Builder_Module {
 	}
 
 	public function get_fields() {
-		return array();
+		// Generated from schema.json by the build.
+		return require dirname( __FILE__ ) . '/fields.php';
 	}
 
 	public function shortcode_callback( $attrs, $content = null, $function_name ) {
-
+		return sprintf( '<div class="hello-world">%1$s</div>', esc_html( $this->shortcode_atts['content'] ) );
 	}
 }
 
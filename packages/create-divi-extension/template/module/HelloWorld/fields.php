@@ -0,0 +1,13 @@
+<?php
+// Generated from the module's schema by the build, do not edit.
+
+return array(
+	'content' => array(
+		'label'           => esc_html__( 'Content', '<GETTEXT_DOMAIN>' ),
+		'type'            => 'text',
+		'option_category' => 'basic_option',
+		'description'     => esc_html__( 'The text that is displayed by the module.', '<GETTEXT_DOMAIN>' ),
+		'toggle_slug'     => 'main_content',
+		'default'         => 'Hello World',
+	),
+);
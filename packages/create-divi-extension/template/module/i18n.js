@@ -0,0 +1,127 @@
+// The translations of the extension for the user's locale, in the Jed format that
+// `npm run build` compiles the .po files of `languages/` into. The main plugin
+// file prints them before the bundles.
+const data = window.__prefixI18n || { locale_data: {} };
+
+// The plural form functions, by their `plural=` expression.
+const pluralForms = {};
+
+/**
+ * Creates the function that tells which plural form goes with a number, from
+ * the Plural-Forms header of the translations. Only numbers, `n` and operators
+ * are allowed in the expression.
+ *
+ * @param {string} header The Plural-Forms header, eg. `nplurals=2; plural=(n != 1);`.
+ * @returns {function(number): number} The function.
+ */
+function getPluralForm( header ) {
+	const match      = /plural\s*=\s*([^;]+)/.exec( header || '' );
+	const expression = match && /^[\sn\d()!=<>%&|?:+\-*/]+$/.test( match[1] ) ? match[1] : 'n != 1';
+
+	if ( !pluralForms.hasOwnProperty( expression ) ) {
+		pluralForms[expression] = new Function( 'n', `return Number( ${expression} );` );
+	}
+
+	return pluralForms[expression];
+}
+
+/**
+ * Translates a string, or picks the form of a string for a number when it has a
+ * plural. The string itself is used when it isn't translated.
+ *
+ * @param {string}  domain  The text domain.
+ * @param {?string} context The context of the string.
+ * @param {string}  single  The string, or its singular form.
+ * @param {?string} plural  The plural form of the string.
+ * @param {number}  number  The number the form is picked for.
+ * @returns {string} The translated string.
+ */
+function translate( domain, context, single, plural, number ) {
+	const messages     = data.locale_data[domain] || {};
+	const key          = context === null ? single : `${context}\u0004${single}`;
+	const translations = messages.hasOwnProperty( key ) ? messages[key] : [];
+	const index        = plural === null ? 0 : getPluralForm( messages[''] && messages['']['plural-forms'] )( number );
+
+	if ( translations[index] ) {
+		return translations[index];
+	}
+
+	if ( plural === null ) {
+		return single;
+	}
+
+	return number === 1 ? single : plural;
+}
+
+/**
+ * Translates a string.
+ *
+ * @param {string} text   The string.
+ * @param {string} domain The text domain of the extension.
+ * @returns {string} The translated string.
+ */
+export function __( text, domain ) {
+	return translate( domain, null, text, null, 1 );
+}
+
+/**
+ * Translates a string that means something else elsewhere.
+ *
+ * @param {string} text    The string.
+ * @param {string} context What the string is about, for the translators.
+ * @param {string} domain  The text domain of the extension.
+ * @returns {string} The translated string.
+ */
+export function _x( text, context, domain ) {
+	return translate( domain, context, text, null, 1 );
+}
+
+/**
+ * Translates the singular or the plural form of a string, depending on a number.
+ *
+ * @param {string} single The singular form.
+ * @param {string} plural The plural form.
+ * @param {number} number The number.
+ * @param {string} domain The text domain of the extension.
+ * @returns {string} The translated string.
+ */
+export function _n( single, plural, number, domain ) {
+	return translate( domain, null, single, plural, number );
+}
+
+/**
+ * Translates the singular or the plural form of a string that means something
+ * else elsewhere, depending on a number.
+ *
+ * @param {string} single  The singular form.
+ * @param {string} plural  The plural form.
+ * @param {number} number  The number.
+ * @param {string} context What the string is about, for the translators.
+ * @param {string} domain  The text domain of the extension.
+ * @returns {string} The translated string.
+ */
+export function _nx( single, plural, number, context, domain ) {
+	return translate( domain, context, single, plural, number );
+}
+
+/**
+ * Replaces the `%s` and `%d` placeholders of a translated string, or `%1$s` and
+ * `%2$d` when the translation changes their order.
+ *
+ * @param {string} format The string.
+ * @param {...*}   args   The values.
+ * @returns {string} The string with the values.
+ */
+export function sprintf( format, ...args ) {
+	let next = 0;
+
+	return format.replace( /%(?:(\d+)\$)?([sd%])/g, ( match, position, type ) => {
+		if ( type === '%' ) {
+			return '%';
+		}
+
+		const value = args[position ? Number( position ) - 1 : next++];
+
+		return type === 'd' ? String( parseInt( value, 10 ) ) : String( value );
+	} );
+}
@@ -1,10 +1,15 @@
-// External Dependencies
-import ETBuilderComponentRegistry from 'et-builder-component-registry';
-
 // Internal Dependencies
-import HelloWorld from './HelloWorld/HelloWorld';
+import modules from './modules';
+import registerModules from './registry';
+
 
+registerModules( modules, Boolean( module.hot ) );
 
-ETBuilderComponentRegistry.on( 'ready', event => {
-	ETBuilderComponentRegistry.register( HelloWorld, '__prefix_pb_hello_world' );
-} );
+if ( module.hot ) {
+	// Swap in the new components when one of them changes, instead of reloading the Visual Builder.
+	module.hot.accept( './modules', () => {
+		if ( !registerModules( modules, true ) ) {
+			window.location.reload();
+		}
+	} );
+}
@@ -4,5 +4,9 @@ if ( ! class_exists( 'ET_Builder_Module' ) ) {
 	return;
 }
 
-// Load custom modules (add more below as needed)
-require_once 'HelloWorld/HelloWorld.php';
+// The modules are discovered by the build, see modules.php.
+$__prefix_modules = require dirname( __FILE__ ) . '/modules.php';
+
+foreach ( $__prefix_modules as $slug => $file ) {
+	require_once dirname( __FILE__ ) . '/' . $file;
+}
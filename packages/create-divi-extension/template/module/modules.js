@@ -0,0 +1,8 @@
+/* eslint-disable */
+// Generated from the module directories by the build, do not edit.
+
+import HelloWorld from './HelloWorld/HelloWorld';
+
+export default [
+	{ component: HelloWorld, slug: '__prefix_pb_hello_world' },
+];
@@ -0,0 +1,6 @@
+<?php
+// Generated from the module directories by the build, do not edit.
+
+return array(
+	'__prefix_pb_hello_world' => 'HelloWorld/HelloWorld.php',
+);
@@ -0,0 +1,107 @@
+// External Dependencies
+import React, { Component } from 'react';
+import ETBuilderComponentRegistry from 'et-builder-component-registry';
+
+
+// Slug => the module's current component, its proxy and the mounted instances of the proxy.
+const registered = {};
+
+// The statics of a component that belong to it and not to the module, like the ones
+// every function has. The builder reads the others, eg. `css`, from the registered component.
+const ownStatics = ['arguments', 'caller', 'childContextTypes', 'contextTypes', 'defaultProps', 'displayName', 'length', 'name', 'propTypes', 'prototype'];
+
+/**
+ * Copies the statics of a module's component onto its proxy, so that the
+ * builder finds them on the registered component.
+ *
+ * @param {Component} proxy     The proxy component.
+ * @param {Component} component The module's component.
+ * @returns {void}
+ */
+function hoistStatics( proxy, component ) {
+	Reflect.ownKeys( component )
+		.filter( key => ownStatics.indexOf( key ) === -1 )
+		.forEach( key => {
+			proxy[key] = component[key];
+		} );
+}
+
+/**
+ * Creates the component registered for a module during development. It renders
+ * the module's current component, so that a new version of it can be swapped in
+ * without registering the module again, which the Visual Builder doesn't support.
+ *
+ * @param {Object} entry The registered module.
+ * @returns {Component} The proxy component.
+ */
+function createProxy( entry ) {
+	class HotModule extends Component {
+		componentDidMount() {
+			entry.instances.push( this );
+		}
+
+		componentWillUnmount() {
+			entry.instances.splice( entry.instances.indexOf( this ), 1 );
+		}
+
+		render() {
+			return React.createElement( entry.component, this.props );
+		}
+	}
+
+	HotModule.displayName = `Hot(${entry.component.displayName || entry.component.name})`;
+	hoistStatics( HotModule, entry.component );
+
+	return HotModule;
+}
+
+/**
+ * Registers the modules with the Visual Builder once it's ready. During
+ * development, calling it again with new versions of the components re-renders
+ * the modules in place, keeping the layout and the modules' settings.
+ *
+ * @param {Array<{component: Component, slug: string}>} modules The modules, see `modules.js`.
+ * @param {boolean}                                      hot     Whether the components can be replaced later.
+ * @returns {boolean} Whether the modules could be registered or replaced.
+ */
+export default function registerModules( modules, hot ) {
+	const added = modules.filter( module => !registered.hasOwnProperty( module.slug ) );
+
+	// A new module also needs its PHP class, so it takes a reload.
+	if ( Object.keys( registered ).length && added.length ) {
+		return false;
+	}
+
+	modules.forEach( module => {
+		if ( registered.hasOwnProperty( module.slug ) ) {
+			const entry = registered[module.slug];
+
+			entry.component = module.component;
+
+			if ( entry.proxy ) {
+				hoistStatics( entry.proxy, entry.component );
+			}
+
+			entry.instances.forEach( instance => instance.forceUpdate() );
+		} else {
+			registered[module.slug] = {
+				component: module.component,
+				proxy:     null,
+				instances: [],
+			};
+		}
+	} );
+
+	if ( added.length ) {
+		ETBuilderComponentRegistry.on( 'ready', () => {
+			added.forEach( module => {
+				const entry = registered[module.slug];
+
+				entry.proxy = hot ? createProxy( entry ) : null;
+				ETBuilderComponentRegistry.register( entry.proxy || entry.component, module.slug );
+			} );
+		} );
+	}
+
+	return true;
+}
@@ -6,6 +6,45 @@ const webpack                       = require( 'webpack' );
 const CaseSensitivePathsPlugin      = require( 'case-sensitive-paths-webpack-plugin' );
 const WatchMissingNodeModulesPlugin = require( 'react-dev-utils/WatchMissingNodeModulesPlugin' );
 const eslintFormatter               = require( 'react-dev-utils/eslintFormatter' );
+const CompileTranslationsPlugin     = require( './config/CompileTranslationsPlugin' );
+const GenerateFieldsPlugin          = require( './config/GenerateFieldsPlugin' );
+const GenerateModulesPlugin         = require( './config/GenerateModulesPlugin' );
+const ManifestPlugin                = require( './config/ManifestPlugin' );
+const findFrontendBundles           = require( './config/modules' ).findFrontendBundles;
+const reloadUrl                     = require( './config/reloadServer' ).reloadUrl;
+const extension                     = require( './package.json' ).diviExtension;
+
+// Bundles are written to the `scripts/` folder of the plugin, like the production
+// build, so that the local WordPress install can load them.
+const outputPath = path.resolve( __dirname );
+const moduleRoot = path.resolve( __dirname, 'module' );
+
+// Connects each bundle to the reload server run by `npm start`. The builder
+// bundle's modules are replaced in place, the other bundles reload the page.
+const reloadClient = `${require.resolve( './config/reloadClient' )}?${reloadUrl}`;
+const hotClient    = `${reloadClient}&hot`;
+
+// The modules' stylesheets and `frontend.js` scripts, bundled per module for the
+// pages where it's rendered. New modules are picked up when `npm start` restarts.
+const frontendBundles = findFrontendBundles( moduleRoot );
+
+// "postcss" loader applies autoprefixer to the CSS of both plain and Sass stylesheets.
+const postcssOptions = {
+	ident: 'postcss', // https://webpack.js.org/guides/migrating/#complex-options
+	sourceMap: true,
+	plugins: () => [
+		require( 'postcss-flexbugs-fixes' ),
+		autoprefixer( {
+			browsers: [
+				'>1%',
+				'last 4 versions',
+				'Firefox ESR',
+				'not ie < 10', // React doesn't support IE8 anyway
+			],
+			flexbox: 'no-2009',
+		} ),
+	],
+};
 
 
 // This is the development configuration.
@@ -13,34 +52,32 @@ const eslintFormatter               = require( 'react-dev-utils/eslintFormatter'
 // The production configuration is different and lives in a separate file.
 module.exports = {
 	devtool: 'cheap-module-source-map',
-	// These are the "entry points" to our application.
-	// This means they will be the "root" imports that are included in JS bundle.
-	// The first two entry points enable "hot" CSS and auto-refreshes for JS.
-	entry: [
-		// Include an alternative client for WebpackDevServer. A client's job is to
-		// connect to WebpackDevServer by a socket and get notified about changes.
-		// When you save a file, the client will either apply hot updates (in case
-		// of CSS changes), or refresh the page (in case of JS changes).
-		require.resolve( 'webpack-dev-server/client' ) + '?/',
-		require.resolve( 'webpack/hot/dev-server' ),
-		// Errors should be considered fatal in development
-		require.resolve( 'react-error-overlay' ),
-		// Finally, this is your app's code:
-		path.resolve( 'module/loader.jsx' ),
-	],
+	// The builder bundle registers the modules with the Visual Builder, the
+	// frontend bundles are loaded by the pages that use the modules. All of
+	// them start with the client that updates the page after a rebuild.
+	entry: frontendBundles.reduce( ( entry, bundle ) => {
+		entry[bundle.entry] = [reloadClient].concat( bundle.files );
+
+		return entry;
+	}, {
+		builder: [hotClient, path.join( moduleRoot, 'loader.jsx' )],
+	} ),
 	output: {
-		// Next line is not used in dev but WebpackDevServer crashes without it:
-		path: 'scripts',
+		path: outputPath,
 		// Add /* filename */ comments to generated require()s in the output.
 		pathinfo: true,
-		// This does not produce a real file. It's just the virtual path that is
-		// served by WebpackDevServer in development. This is the JS bundle
-		// containing code from all our entry points, and the Webpack runtime.
-		filename: 'scripts/bundle.js',
+		// The file names don't change between rebuilds, the manifest's versions do.
+		filename: 'scripts/[name].js',
 		// There are also additional JS chunk files if you use code splitting.
 		chunkFilename: 'scripts/[name].chunk.js',
-		// This is the URL that app is served from. We use "/" in development.
-		publicPath: '/',
+		// Set at runtime by the reload client, the plugin's URL isn't known here.
+		publicPath: '',
+		// Hot updates are written next to the bundles, they're removed when `npm start` starts.
+		hotUpdateChunkFilename: 'scripts/hot/[id].[hash].hot-update.js',
+		hotUpdateMainFilename: 'scripts/hot/[hash].hot-update.json',
+		// Don't clash with the runtime of other extensions on the same page.
+		hotUpdateFunction: `webpackHotUpdate_${extension.prefix}`,
+		jsonpFunction: `webpackJsonp_${extension.prefix}`,
 		// Point sourcemap entries to original disk location
 		devtoolModuleFilenameTemplate: info => path.resolve( info.absoluteResourcePath ),
 	},
@@ -53,8 +90,8 @@ module.exports = {
 		rules: [
 			{
 				parser: {
-					requireEnsure: false
-				}
+					requireEnsure: false,
+				},
 			},
 
 			// First, run the linter. It's important to do this before Babel processes the JS.
@@ -71,7 +108,7 @@ module.exports = {
 						loader: require.resolve( 'eslint-loader' ),
 					},
 				],
-				include: `${__dirname}/**/*.jsx?`,
+				include: moduleRoot,
 			},
 			// ** ADDING/UPDATING LOADERS **
 			// The "file" loader handles all assets unless explicitly excluded.
@@ -79,14 +116,14 @@ module.exports = {
 			// When adding a new loader, you must add its `test`
 			// as a new entry in the `exclude` list for "file" loader.
 
-			// "file" loader makes sure those assets get served by WebpackDevServer.
-			// When you `import` an asset, you get its (virtual) filename.
-			// In production, they would get copied to the `build` folder.
+			// "file" loader copies the asset into `styles/media/`.
+			// When you `import` an asset, you get its filename.
 			{
 				exclude: [
 					/\.html$/,
 					/\.(js|jsx)$/,
 					/\.css$/,
+					/\.scss$/,
 					/\.json$/,
 					/\.bmp$/,
 					/\.gif$/,
@@ -95,7 +132,7 @@ module.exports = {
 				],
 				loader: require.resolve( 'file-loader' ),
 				options: {
-					name: 'static/media/[name].[hash:8].[ext]',
+					name: 'styles/media/[name].[hash:8].[ext]',
 				},
 			},
 			// "url" loader works like "file" loader except that it embeds assets
@@ -106,13 +143,13 @@ module.exports = {
 				loader: require.resolve( 'url-loader' ),
 				options: {
 					limit: 10000,
-					name: 'static/media/[name].[hash:8].[ext]',
+					name: 'styles/media/[name].[hash:8].[ext]',
 				},
 			},
 			// Process JS with Babel.
 			{
 				test: /\.(js|jsx)$/,
-				include: `${__dirname}/**/*.jsx?`,
+				include: moduleRoot,
 				loader: require.resolve( 'babel-loader' ),
 				options: {
 					compact: false,
@@ -133,8 +170,7 @@ module.exports = {
 			// "postcss" loader applies autoprefixer to our CSS.
 			// "css" loader resolves paths in CSS and adds assets as dependencies.
 			// "style" loader turns CSS into JS modules that inject <style> tags.
-			// In production, we use a plugin to extract that CSS to a file, but
-			// in development "style" loader enables hot editing of CSS.
+			// In production, we use a plugin to extract that CSS to a file.
 			{
 				test: /\.css$/,
 				use: [
@@ -147,20 +183,33 @@ module.exports = {
 					},
 					{
 						loader: require.resolve( 'postcss-loader' ),
+						options: postcssOptions,
+					},
+				],
+			},
+			// "sass" loader compiles Sass to CSS with source maps, the result goes
+			// through the same loaders as plain CSS.
+			// Partials in `module/` (eg. `_variables.scss`) can be imported from any module.
+			{
+				test: /\.scss$/,
+				use: [
+					require.resolve( 'style-loader' ),
+					{
+						loader: require.resolve( 'css-loader' ),
 						options: {
-							ident: 'postcss', // https://webpack.js.org/guides/migrating/#complex-options
-							plugins: () => [
-								require( 'postcss-flexbugs-fixes' ),
-								autoprefixer( {
-									browsers: [
-										'>1%',
-										'last 4 versions',
-										'Firefox ESR',
-										'not ie < 10', // React doesn't support IE8 anyway
-									],
-									flexbox: 'no-2009',
-								} ),
-							],
+							importLoaders: 2,
+							sourceMap: true,
+						},
+					},
+					{
+						loader: require.resolve( 'postcss-loader' ),
+						options: postcssOptions,
+					},
+					{
+						loader: require.resolve( 'sass-loader' ),
+						options: {
+							includePaths: [moduleRoot],
+							sourceMap: true,
 						},
 					},
 				],
@@ -172,11 +221,14 @@ module.exports = {
 	plugins: [
 		// Add module names to factory functions so they appear in browser profiler.
 		new webpack.NamedModulesPlugin(),
-		// Makes some environment variables available to the JS code, for example:
+		// Makes some environment variables available to the JS code. The libraries
+		// bundled with the modules check NODE_ENV for their development warnings.
+		// React isn't one of them: it is an external, see `externals` below.
 		new webpack.DefinePlugin( {
-			'process.env.NODE_ENV': JSON.stringify( 'production' ),
+			'process.env.NODE_ENV': JSON.stringify( 'development' ),
 		} ),
-		// This is necessary to emit hot updates (currently CSS only):
+		// Emits the hot updates that the reload client applies. It also provides
+		// `__webpack_hash__`, which the client compares to the latest build.
 		new webpack.HotModuleReplacementPlugin(),
 		// Watcher doesn't work well if you mistype casing in a path so we use
 		// a plugin that prints an error when you attempt to do this.
@@ -187,6 +239,32 @@ module.exports = {
 		// makes the discovery automatic so you don't have to restart.
 		// See https://github.com/facebookincubator/create-react-app/issues/186
 		new WatchMissingNodeModulesPlugin( path.resolve( './node_modules' ) ),
+		// Generates each module's `fields.php` and `fields.js` from its `schema.json`.
+		new GenerateFieldsPlugin( {
+			moduleRoot: 'module',
+			textDomain: extension.textDomain,
+		} ),
+		// Generates `module/modules.js` and `module/modules.php` from the module directories.
+		new GenerateModulesPlugin( {
+			moduleRoot: 'module',
+		} ),
+		// Compiles `languages/<text-domain>-<locale>.po` into the JSON the scripts are translated with.
+		new CompileTranslationsPlugin( {
+			languageRoot: 'languages',
+			textDomain:   extension.textDomain,
+		} ),
+		// Maps each bundle to its files and dependencies for the PHP side.
+		new ManifestPlugin( {
+			filename: 'manifest.json',
+			handles: {
+				jquery: 'jquery',
+			},
+			shortcodes: frontendBundles.reduce( ( shortcodes, bundle ) => {
+				shortcodes[bundle.entry] = bundle.slug;
+
+				return shortcodes;
+			}, {} ),
+		} ),
 	],
 	// Turn off performance hints during development because we don't do any
 	// splitting or minification in interest of speed. These warnings become
@@ -194,6 +272,7 @@ module.exports = {
 	performance: {
 		hints: false,
 	},
+	// These are provided by WordPress and the Divi Builder at runtime.
 	externals: {
 		jquery: 'jQuery',
 		react: 'React',
@@ -1,58 +1,44 @@
-// @remove-on-eject-begin
-/**
- * Copyright (c) 2015-present, Facebook, Inc.
- * All rights reserved.
- *
- * This source code is licensed under the BSD-style license found in the
- * LICENSE file in the root directory of this source tree. An additional grant
- * of patent rights can be found in the PATENTS file in the same directory.
- */
-// @remove-on-eject-end
 'use strict';
 
-const autoprefixer            = require( 'autoprefixer' );
-const path                    = require( 'path' );
-const webpack                 = require( 'webpack' );
-const HtmlWebpackPlugin       = require( 'html-webpack-plugin' );
-const ExtractTextPlugin       = require( 'extract-text-webpack-plugin' );
-const ManifestPlugin          = require( 'webpack-manifest-plugin' );
-const InterpolateHtmlPlugin   = require( 'react-dev-utils/InterpolateHtmlPlugin' );
-const SWPrecacheWebpackPlugin = require( 'sw-precache-webpack-plugin' );
-const eslintFormatter         = require( 'react-dev-utils/eslintFormatter' );
-const ModuleScopePlugin       = require( 'react-dev-utils/ModuleScopePlugin' );
-const paths                   = require( './paths' );
-const getClientEnvironment    = require( './env' );
+const autoprefixer              = require( 'autoprefixer' );
+const path                      = require( 'path' );
+const webpack                   = require( 'webpack' );
+const ExtractTextPlugin         = require( 'extract-text-webpack-plugin' );
+const eslintFormatter           = require( 'react-dev-utils/eslintFormatter' );
+const CompileTranslationsPlugin = require( './config/CompileTranslationsPlugin' );
+const GenerateFieldsPlugin      = require( './config/GenerateFieldsPlugin' );
+const GenerateModulesPlugin     = require( './config/GenerateModulesPlugin' );
+const ManifestPlugin            = require( './config/ManifestPlugin' );
+const findFrontendBundles       = require( './config/modules' ).findFrontendBundles;
+const extension                 = require( './package.json' ).diviExtension;
 
-// Webpack uses `publicPath` to determine where the app is being served from.
-// It requires a trailing slash, or the file assets will get an incorrect path.
-const publicPath = paths.servedPath;
-// Some apps do not use client-side routing with pushState.
-// For these, "homepage" can be set to "." to enable relative asset paths.
-const shouldUseRelativeAssetPaths = publicPath === './';
-// `publicUrl` is just like `publicPath`, but we will provide it to our app
-// as %PUBLIC_URL% in `index.html` and `process.env.PUBLIC_URL` in JavaScript.
-// Omit trailing slash as %PUBLIC_URL%/xyz looks better than %PUBLIC_URL%xyz.
-const publicUrl = publicPath.slice( 0, -1 );
-// Get environment variables to inject into our app.
-const env       = getClientEnvironment( publicUrl );
+// Bundles and stylesheets are written to the `scripts/` and `styles/` folders
+// of the plugin, so the output path is the project root. The file names contain
+// a hash for cache-busting, `manifest.json` tells the PHP side what they are.
+const outputPath  = path.resolve( __dirname );
+const moduleRoot  = path.resolve( __dirname, 'module' );
+const cssFilename = 'styles/[name].[contenthash:8].min.css';
 
-// Assert this just to be safe.
-// Development builds of React are slow and not intended for production.
-if ( env.stringified['process.env'].NODE_ENV !== '"production"' ) {
-	throw new Error( 'Production builds must have NODE_ENV=production.' );
-}
+// The modules' stylesheets and `frontend.js` scripts, bundled per module for the
+// pages where it's rendered. New modules are picked up by the next build.
+const frontendBundles = findFrontendBundles( moduleRoot );
 
-// Note: defined here because it will be used more than once.
-const cssFilename = 'static/css/[name].[contenthash:8].css';
-
-// ExtractTextPlugin expects the build output to be flat.
-// (See https://github.com/webpack-contrib/extract-text-webpack-plugin/issues/27)
-// However, our output is structured with css, js and media folders.
-// To have this structure working with relative paths, we have to use custom options.
-const extractTextPluginOptions = shouldUseRelativeAssetPaths
-	? // Making sure that the publicPath goes back to to build folder.
-	{ publicPath: Array( cssFilename.split( '/' ).length ).join( '../' ) }
-	: {};
+// "postcss" loader applies autoprefixer to the CSS of both plain and Sass stylesheets.
+const postcssOptions = {
+	ident: 'postcss', // https://webpack.js.org/guides/migrating/#complex-options
+	plugins: () => [
+		require( 'postcss-flexbugs-fixes' ),
+		autoprefixer( {
+			browsers: [
+				'>1%',
+				'last 4 versions',
+				'Firefox ESR',
+				'not ie < 10', // React doesn't support IE8 anyway
+			],
+			flexbox: 'no-2009',
+		} ),
+	],
+};
 
 // This is the production configuration.
 // It compiles slowly and is focused on producing a fast and minimal bundle.
@@ -60,70 +46,40 @@ const extractTextPluginOptions = shouldUseRelativeAssetPaths
 module.exports = {
 	// Don't attempt to continue if there are any errors.
 	bail: true,
+	// Source maps aren't generated because they would end up in the plugin's
+	// distribution. Use the development build to debug.
+	devtool: false,
+	// The builder bundle registers the modules with the Visual Builder, the
+	// frontend bundles are loaded by the pages that use the modules.
+	entry: frontendBundles.reduce( ( entry, bundle ) => {
+		entry[bundle.entry] = bundle.files;
 
-	// We generate sourcemaps in production. This is slow but gives good results.
-	// You can exclude the *.map files from the build during deployment.
-	devtool: 'source-map',
-	// In production, we only want to load the polyfills and the app code.
-	entry: [require.resolve( './polyfills' ), paths.appIndexJs],
+		return entry;
+	}, {
+		builder: path.join( moduleRoot, 'loader.jsx' ),
+	} ),
 	output: {
-		// The build folder.
-		path: paths.appBuild,
-		// Generated JS file names (with nested folders).
-		// There will be one main bundle, and one file per asynchronous chunk.
-		// We don't currently advertise code splitting but Webpack supports it.
-		filename: 'static/js/[name].[chunkhash:8].js',
-		chunkFilename: 'static/js/[name].[chunkhash:8].chunk.js',
-		// We inferred the "public path" (such as / or /my-project) from homepage.
-		publicPath: publicPath,
-		// Point sourcemap entries to original disk location
-		devtoolModuleFilenameTemplate: info =>
-			path.relative( paths.appSrc, info.absoluteResourcePath ),
+		path: outputPath,
+		// The JS bundles end up in `scripts/`.
+		filename: 'scripts/[name].[chunkhash:8].min.js',
+		chunkFilename: 'scripts/[name].[chunkhash:8].chunk.min.js',
+		// Assets are referenced relative to the stylesheet, see `ExtractTextPlugin` below.
+		publicPath: '',
+		// Don't clash with the runtime of other extensions on the same page.
+		jsonpFunction: `webpackJsonp_${extension.prefix}`,
 	},
 	resolve: {
-		// This allows you to set a fallback for where Webpack should look for modules.
-		// We placed these paths second because we want `node_modules` to "win"
-		// if there are any conflicts. This matches Node resolution mechanism.
-		// https://github.com/facebookincubator/create-react-app/issues/253
-		modules: ['node_modules', paths.appNodeModules].concat(
-			// It is guaranteed to exist because we tweak it in `env.js`
-			process.env.NODE_PATH.split( path.delimiter ).filter( Boolean )
-		),
-		// These are the reasonable defaults supported by the Node ecosystem.
-		// We also include JSX as a common component filename extension to support
-		// some tools, although we do not recommend using it, see:
-		// https://github.com/facebookincubator/create-react-app/issues/290
 		extensions: ['.js', '.json', '.jsx'],
-		alias: {
-			// @remove-on-eject-begin
-			// Resolve Babel runtime relative to react-scripts.
-			// It usually still works on npm 3 without this but it would be
-			// unfortunate to rely on, as react-scripts could be symlinked,
-			// and thus babel-runtime might not be resolvable from the source.
-			'babel-runtime': path.dirname(
-				require.resolve( 'babel-runtime/package.json' )
-			),
-			// @remove-on-eject-end
-			// Support React Native Web
-			// https://www.smashingmagazine.com/2016/08/a-glimpse-into-the-future-with-react-native-for-web/
-			'react-native': 'react-native-web',
-		},
-		plugins: [
-			// Prevents users from importing files from outside of src/ (or node_modules/).
-			// This often causes confusion because we only process files within src/ with babel.
-			// To fix this, we prevent you from importing files out of src/ -- if you'd like to,
-			// please link the files into your node_modules/ and let module-resolution kick in.
-			// Make sure your source files are compiled, as they will not be processed in any way.
-			new ModuleScopePlugin( paths.appSrc ),
-		],
 	},
 	module: {
+		// Make missing exports a compile-time error.
 		strictExportPresence: true,
 		rules: [
-			// TODO: Disable require.ensure as it's not a standard language feature.
-			// We are waiting for
-			// https://github.com/facebookincubator/create-react-app/issues/2176. { parser: {
-			// requireEnsure: false } },
+			{
+				parser: {
+					requireEnsure: false,
+				},
+			},
 
 			// First, run the linter.
 			// It's important to do this before Babel processes the JS.
@@ -134,20 +90,13 @@ module.exports = {
 					{
 						options: {
 							formatter: eslintFormatter,
-							// @remove-on-eject-begin
-							// TODO: consider separate config for production,
-							// e.g. to enable no-console and no-debugger only in production.
-							baseConfig: {
-								extends: [require.resolve( 'eslint-config-react-app' )],
-							},
 							ignore: false,
-							useEslintrc: false,
-							// @remove-on-eject-end
+							useEslintrc: true,
 						},
 						loader: require.resolve( 'eslint-loader' ),
 					},
 				],
-				include: paths.appSrc,
+				include: moduleRoot,
 			},
 			// ** ADDING/UPDATING LOADERS **
 			// The "file" loader handles all assets unless explicitly excluded.
@@ -155,13 +104,14 @@ module.exports = {
 			// When adding a new loader, you must add its `test`
 			// as a new entry in the `exclude` list in the "file" loader.
 
-			// "file" loader makes sure those assets end up in the `build` folder.
+			// "file" loader copies the asset into `styles/media/`.
 			// When you `import` an asset, you get its filename.
 			{
 				exclude: [
 					/\.html$/,
 					/\.(js|jsx)$/,
 					/\.css$/,
+					/\.scss$/,
 					/\.json$/,
 					/\.bmp$/,
 					/\.gif$/,
@@ -170,7 +120,7 @@ module.exports = {
 				],
 				loader: require.resolve( 'file-loader' ),
 				options: {
-					name: 'static/media/[name].[hash:8].[ext]',
+					name: 'styles/media/[name].[hash:8].[ext]',
 				},
 			},
 			// "url" loader works just like "file" loader but it also embeds
@@ -180,107 +130,92 @@ module.exports = {
 				loader: require.resolve( 'url-loader' ),
 				options: {
 					limit: 10000,
-					name: 'static/media/[name].[hash:8].[ext]',
+					name: 'styles/media/[name].[hash:8].[ext]',
 				},
 			},
 			// Process JS with Babel.
 			{
 				test: /\.(js|jsx)$/,
-				include: paths.appSrc,
+				include: moduleRoot,
 				loader: require.resolve( 'babel-loader' ),
-				// @remove-on-eject-begin
 				options: {
-					babelrc: false,
-					presets: [require.resolve( 'babel-preset-react-app' )],
+					compact: true,
+					plugins: [
+						'transform-object-rest-spread',
+						'transform-class-properties',
+					],
+					presets: [
+						'react',
+						['env', { modules: false }],
+					],
 				},
-				// @remove-on-eject-end
 			},
-			// The notation here is somewhat confusing.
 			// "postcss" loader applies autoprefixer to our CSS.
 			// "css" loader resolves paths in CSS and adds assets as dependencies.
-			// "style" loader normally turns CSS into JS modules injecting <style>,
-			// but unlike in development configuration, we do something different.
-			// `ExtractTextPlugin` first applies the "postcss" and "css" loaders
-			// (second argument), then grabs the result CSS and puts it into a
-			// separate file in our build process. This way we actually ship
-			// a single CSS file in production instead of JS code injecting <style>
-			// tags. If you use code splitting, however, any async bundles will still
-			// use the "style" loader inside the async code so CSS from them won't be
-			// in the main CSS file.
+			// `ExtractTextPlugin` then grabs the result CSS and puts it into a
+			// separate file, so we ship a single minified stylesheet in `styles/`
+			// instead of JS code injecting <style> tags.
 			{
 				test: /\.css$/,
-				loader: ExtractTextPlugin.extract(
-					Object.assign(
+				loader: ExtractTextPlugin.extract( {
+					fallback: require.resolve( 'style-loader' ),
+					use: [
+						{
+							loader: require.resolve( 'css-loader' ),
+							options: {
+								importLoaders: 1,
+								minimize: true,
+							},
+						},
 						{
-							fallback: require.resolve( 'style-loader' ),
-							use: [
-								{
-									loader: require.resolve( 'css-loader' ),
-									options: {
-										importLoaders: 1,
-										minimize: true,
-										sourceMap: true,
-									},
-								},
-								{
-									loader: require.resolve( 'postcss-loader' ),
-									options: {
-										ident: 'postcss', // https://webpack.js.org/guides/migrating/#complex-options
-										plugins: () => [
-											require( 'postcss-flexbugs-fixes' ),
-											autoprefixer( {
-												browsers: [
-													'>1%',
-													'last 4 versions',
-													'Firefox ESR',
-													'not ie < 9', // React doesn't support IE8
-																  // anyway
-												],
-												flexbox: 'no-2009',
-											} ),
-										],
-									},
-								},
-							],
+							loader: require.resolve( 'postcss-loader' ),
+							options: postcssOptions,
 						},
-						extractTextPluginOptions
-					)
-				),
+					],
+					// The stylesheet lives in `styles/`, so asset URLs are relative to the project root.
+					publicPath: '../',
+				} ),
 				// Note: this won't work without `new ExtractTextPlugin()` in `plugins`.
 			},
+			// "sass" loader compiles Sass to CSS, the result goes through the same
+			// loaders as plain CSS and ends up in the same extracted stylesheet.
+			// Partials in `module/` (eg. `_variables.scss`) can be imported from any module.
+			{
+				test: /\.scss$/,
+				loader: ExtractTextPlugin.extract( {
+					fallback: require.resolve( 'style-loader' ),
+					use: [
+						{
+							loader: require.resolve( 'css-loader' ),
+							options: {
+								importLoaders: 2,
+								minimize: true,
+							},
+						},
+						{
+							loader: require.resolve( 'postcss-loader' ),
+							options: postcssOptions,
+						},
+						{
+							loader: require.resolve( 'sass-loader' ),
+							options: {
+								includePaths: [moduleRoot],
+							},
+						},
+					],
+					publicPath: '../',
+				} ),
+			},
 			// ** STOP ** Are you adding a new loader?
 			// Remember to add the new extension(s) to the "file" loader exclusion list.
 		],
 	},
 	plugins: [
-		// Makes some environment variables available in index.html.
-		// The public URL is available as %PUBLIC_URL% in index.html, e.g.:
-		// <link rel="shortcut icon" href="%PUBLIC_URL%/favicon.ico">
-		// In production, it will be an empty string unless you specify "homepage"
-		// in `package.json`, in which case it will be the pathname of that URL.
-		new InterpolateHtmlPlugin( env.raw ),
-		// Generates an `index.html` file with the <script> injected.
-		new HtmlWebpackPlugin( {
-			inject: true,
-			template: paths.appHtml,
-			minify: {
-				removeComments: true,
-				collapseWhitespace: true,
-				removeRedundantAttributes: true,
-				useShortDoctype: true,
-				removeEmptyAttributes: true,
-				removeStyleLinkTypeAttributes: true,
-				keepClosingSlash: true,
-				minifyJS: true,
-				minifyCSS: true,
-				minifyURLs: true,
-			},
-		} ),
-		// Makes some environment variables available to the JS code, for example:
-		// if (process.env.NODE_ENV === 'production') { ... }. See `./env.js`.
-		// It is absolutely essential that NODE_ENV was set to production here.
+		// It is absolutely essential that NODE_ENV is set to production here.
 		// Otherwise React will be compiled in the very slow development mode.
-		new webpack.DefinePlugin( env.stringified ),
+		new webpack.DefinePlugin( {
+			'process.env.NODE_ENV': JSON.stringify( 'production' ),
+		} ),
 		// Minify the code.
 		new webpack.optimize.UglifyJsPlugin( {
 			compress: {
@@ -294,58 +229,45 @@ module.exports = {
 			output: {
 				comments: false,
 			},
-			sourceMap: true,
 		} ),
 		// Note: this won't work without ExtractTextPlugin.extract(..) in `loaders`.
 		new ExtractTextPlugin( {
 			filename: cssFilename,
 		} ),
-		// Generate a manifest file which contains a mapping of all asset filenames
-		// to their corresponding output file so that tools can pick it up without
-		// having to parse `index.html`.
-		new ManifestPlugin( {
-			fileName: 'asset-manifest.json',
+		// Generates each module's `fields.php` and `fields.js` from its `schema.json`.
+		new GenerateFieldsPlugin( {
+			moduleRoot: 'module',
+			textDomain: extension.textDomain,
+		} ),
+		// Generates `module/modules.js` and `module/modules.php` from the module directories.
+		new GenerateModulesPlugin( {
+			moduleRoot: 'module',
 		} ),
-		// Generate a service worker script that will precache, and keep up to date,
-		// the HTML & assets that are part of the Webpack build.
-		new SWPrecacheWebpackPlugin( {
-			// By default, a cache-busting query parameter is appended to requests
-			// used to populate the caches, to ensure the responses are fresh.
-			// If a URL is already hashed by Webpack, then there is no concern
-			// about it being stale, and the cache-busting can be skipped.
-			dontCacheBustUrlsMatching: /\.\w{8}\./,
-			filename: 'service-worker.js',
-			logger( message ) {
-				if ( message.indexOf( 'Total precache size is' ) === 0 ) {
-					// This message occurs for every build and is a bit too noisy.
-					return;
-				}
-				console.log( message );
+		// Compiles `languages/<text-domain>-<locale>.po` into the JSON the scripts are translated with.
+		new CompileTranslationsPlugin( {
+			languageRoot: 'languages',
+			textDomain:   extension.textDomain,
+		} ),
+		// Maps each bundle to its hashed files and dependencies for the PHP side.
+		new ManifestPlugin( {
+			filename: 'manifest.json',
+			handles: {
+				jquery: 'jquery',
 			},
-			minify: true,
-			// For unknown URLs, fallback to the index page
-			navigateFallback: publicUrl + '/index.html',
-			// Ignores URLs starting from /__ (useful for Firebase):
-			// https://github.com/facebookincubator/create-react-app/issues/2237#issuecomment-302693219
-			navigateFallbackWhitelist: [/^(?!\/__).*/],
-			// Don't precache sourcemaps (they're large) and build asset manifest:
-			staticFileGlobsIgnorePatterns: [/\.map$/, /asset-manifest\.json$/],
-			// Work around Windows path issue in SWPrecacheWebpackPlugin:
-			// https://github.com/facebookincubator/create-react-app/issues/2235
-			stripPrefix: paths.appBuild.replace( /\\/g, '/' ) + '/',
+			shortcodes: frontendBundles.reduce( ( shortcodes, bundle ) => {
+				shortcodes[bundle.entry] = bundle.slug;
+
+				return shortcodes;
+			}, {} ),
 		} ),
-		// Moment.js is an extremely popular library that bundles large locale files
-		// by default due to how Webpack interprets its code. This is a practical
-		// solution that requires the user to opt into importing specific locales.
-		// https://github.com/jmblog/how-to-optimize-momentjs-with-webpack
-		// You can remove this if you don't use Moment.js:
-		new webpack.IgnorePlugin( /^\.\/locale$/, /moment$/ ),
 	],
-	// Some libraries import Node modules but don't use them in the browser.
-	// Tell Webpack to provide empty mocks for them so importing them works.
-	node: {
-		fs: 'empty',
-		net: 'empty',
-		tls: 'empty',
+	// These are provided by WordPress and the Divi Builder at runtime. The ones
+	// registered as WordPress scripts are listed in `ManifestPlugin`'s `handles`
+	// so that the bundles are enqueued after them.
+	externals: {
+		jquery: 'jQuery',
+		react: 'React',
+		'react-dom': 'ReactDOM',
+		'et-builder-component-registry': 'ETBuilderComponentRegistry',
 	},
 };